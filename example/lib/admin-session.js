@@ -0,0 +1,84 @@
+/**
+ * Cached n8n admin session
+ *
+ * Logs in as the admin once and reuses the cookie until it expires or n8n
+ * answers 401. Concurrent callers share a single in-flight login, and a
+ * failed login is remembered briefly so a rate-limited n8n is not hammered.
+ */
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const FAILURE_COOLDOWN_MS = 5 * 1000;
+
+// Earliest expiry among Set-Cookie headers (Max-Age or Expires), or null
+function setCookieExpiry(headers) {
+  let expiresAt = null;
+  for (const header of headers || []) {
+    const maxAge = /;\s*max-age=(-?\d+)/i.exec(header);
+    const expires = /;\s*expires=([^;]+)/i.exec(header);
+    const at = maxAge ? Date.now() + Number(maxAge[1]) * 1000 : (expires ? Date.parse(expires[1]) : NaN);
+    if (!Number.isNaN(at) && (expiresAt === null || at < expiresAt)) expiresAt = at;
+  }
+  return expiresAt;
+}
+
+class AdminSessionManager {
+  // login() must resolve to { cookie, expiresAt } where expiresAt may be null
+  constructor(login, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.login = login;
+    this.ttlMs = ttlMs;
+    this.cookie = null;
+    this.expiresAt = 0;
+    this.refreshing = null;
+    this.lastFailure = null;
+  }
+
+  async getCookie() {
+    if (this.cookie && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) return this.cookie;
+    return this.refresh();
+  }
+
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+    if (this.lastFailure && Date.now() < this.lastFailure.retryAt) {
+      return Promise.reject(this.lastFailure.error);
+    }
+
+    this.refreshing = this.login()
+      .then(({ cookie, expiresAt }) => {
+        if (!cookie) throw new Error('n8n admin login returned no session cookie');
+        this.cookie = cookie;
+        this.expiresAt = expiresAt || Date.now() + this.ttlMs;
+        this.lastFailure = null;
+        return cookie;
+      })
+      .catch(error => {
+        const retryAfter = Number(error.response?.headers?.['retry-after']) * 1000;
+        this.lastFailure = { error, retryAt: Date.now() + (retryAfter || FAILURE_COOLDOWN_MS) };
+        throw error;
+      })
+      .finally(() => { this.refreshing = null; });
+    return this.refreshing;
+  }
+
+  // Drop the cookie, unless another caller already replaced it
+  invalidate(cookie) {
+    if (this.cookie === cookie) {
+      this.cookie = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  // Run fn(cookie), logging in again once if n8n rejects the cached cookie
+  async withCookie(fn) {
+    const cookie = await this.getCookie();
+    try {
+      return await fn(cookie);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+      this.invalidate(cookie);
+      return fn(await this.getCookie());
+    }
+  }
+}
+
+module.exports = { AdminSessionManager, setCookieExpiry };
@@ -0,0 +1,151 @@
+/**
+ * Tamper-evident audit log
+ *
+ * Each entry records who did what: the actor, the action, its target, the
+ * values before and after the change and the client IP. Entries form a hash
+ * chain: an entry's hash covers its content and the previous entry's hash,
+ * so editing, removing or reordering an entry breaks every hash after it.
+ * Removing the newest entries only shows against a previously noted head
+ * hash, which verifyChain() returns.
+ *
+ * AuditLog keeps the chain in an append-only NDJSON file. The user
+ * management API keeps the same chain in its database and shares the
+ * hashing, filtering and export helpers.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const GENESIS_HASH = '0'.repeat(64);
+const FIELDS = ['id', 'at', 'actor', 'action', 'target', 'ip', 'before', 'after', 'details', 'prevHash', 'hash'];
+
+// JSON with sorted object keys, so a value hashes the same after a round trip through storage
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function entryHash(entry, prevHash) {
+  const content = canonicalJson([
+    entry.id, entry.at, entry.actor, entry.action, entry.target, entry.ip, entry.before, entry.after, entry.details
+  ]);
+  return crypto.createHash('sha256').update(`${prevHash}\n${content}`).digest('hex');
+}
+
+// Complete an entry with its ID, timestamp and hashes, given the previous entry
+function chainEntry({ actor = null, action, target = null, ip = null, before = null, after = null, details = null }, previous) {
+  const entry = {
+    id: (previous?.id || 0) + 1,
+    at: new Date().toISOString(),
+    actor, action, target, ip, before, after, details,
+    prevHash: previous?.hash || GENESIS_HASH
+  };
+  entry.hash = entryHash(entry, entry.prevHash);
+  return entry;
+}
+
+// Check entries oldest first; stops at the first entry that does not match its predecessor
+function verifyChain(entries) {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  for (const entry of entries) {
+    if (entry.prevHash !== prevHash || entry.hash !== entryHash(entry, prevHash)) {
+      return { valid: false, checked, brokenAt: entry.id, head: prevHash };
+    }
+    prevHash = entry.hash;
+    checked++;
+  }
+  return { valid: true, checked, head: prevHash };
+}
+
+// The top-level fields that differ, as { before, after }; omitted fields are never recorded
+function diffValues(before, after, omit = []) {
+  const changed = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (omit.includes(key) || canonicalJson(before?.[key]) === canonicalJson(after?.[key])) continue;
+    changed.before[key] = before?.[key] ?? null;
+    changed.after[key] = after?.[key] ?? null;
+  }
+  return changed;
+}
+
+// Filters shared by both stores: exact actor, action and target, ISO from/to on the timestamp
+function matchesFilters(entry, { actor, action, target, from, to } = {}) {
+  return (!actor || entry.actor === actor)
+    && (!action || entry.action === action)
+    && (!target || entry.target === target)
+    && (!from || entry.at >= from)
+    && (!to || entry.at <= to);
+}
+
+function toNdjson(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  return [FIELDS.join(','), ...entries.map(entry => FIELDS.map(field => csvField(entry[field])).join(','))].join('\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', render: toNdjson },
+  csv: { contentType: 'text/csv', render: toCsv }
+};
+
+class AuditLog {
+  constructor({ file }) {
+    this.file = file;
+    this.last = undefined;
+    this.writing = Promise.resolve();
+  }
+
+  async readAll() {
+    let data = '';
+    try {
+      data = await fs.readFile(this.file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Appends are serialized so each entry chains to the one written before it
+  record(event) {
+    const recorded = this.writing.then(async () => {
+      if (this.last === undefined) this.last = (await this.readAll()).pop() || null;
+      const entry = chainEntry(event, this.last);
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      this.last = entry;
+      return entry;
+    });
+    this.writing = recorded.catch(e => console.log('Could not record audit event:', e.message));
+    return this.writing;
+  }
+
+  // Matching entries newest first
+  async query({ limit = 100, offset = 0, ...filters } = {}) {
+    await this.writing;
+    const entries = (await this.readAll()).filter(entry => matchesFilters(entry, filters));
+    return { entries: entries.reverse().slice(offset, offset + limit), total: entries.length };
+  }
+
+  async verify() {
+    await this.writing;
+    return verifyChain(await this.readAll());
+  }
+}
+
+module.exports = { AuditLog, GENESIS_HASH, entryHash, chainEntry, verifyChain, diffValues, matchesFilters, EXPORT_FORMATS };
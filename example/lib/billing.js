@@ -0,0 +1,109 @@
+/**
+ * Billing engine
+ *
+ * Plans are loaded from a JSON file (see billing-plans.json). Each plan has
+ * a base fee, quota limits and metered items (executions, storage GB,
+ * compute hours). A meter's `included` allowance is free; the rest is
+ * priced through graduated tiers, where `upTo` is the cumulative billable
+ * quantity a tier ends at (null for unbounded).
+ *
+ * The same module is installed into the user management API by
+ * setup/user_management_api.sh, so both services price usage identically.
+ */
+const fs = require('fs');
+
+const METERS = {
+  executions: 'Workflow executions',
+  storage: 'Storage',
+  compute: 'Compute time'
+};
+
+// Round to the currency's minor unit
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Date range of a billing period label: 'YYYY-MM' (monthly) or 'YYYY' (yearly)
+function periodRange(label) {
+  let match = /^(\d{4})-(\d{2})$/.exec(label || '');
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1) - 1);
+    return { label, period: 'monthly', from, to };
+  }
+  match = /^(\d{4})$/.exec(label || '');
+  if (match) {
+    const from = new Date(Date.UTC(Number(match[1]), 0, 1));
+    const to = new Date(Date.UTC(Number(match[1]) + 1, 0, 1) - 1);
+    return { label, period: 'yearly', from, to };
+  }
+  return null;
+}
+
+// Label of the period containing date for a plan's billing period
+function periodLabel(period, date = new Date()) {
+  const iso = date.toISOString();
+  return period === 'yearly' ? iso.slice(0, 4) : iso.slice(0, 7);
+}
+
+class BillingEngine {
+  constructor(config) {
+    if (!config?.plans || !config.plans[config.defaultPlan]) {
+      throw new Error('Billing config needs plans and a valid defaultPlan');
+    }
+    this.config = config;
+  }
+
+  static fromFile(filePath) {
+    return new BillingEngine(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  // Explicit plan ID, then the config's assignment for the user, then the default plan
+  resolvePlan(userKey, planId) {
+    const id = [planId, this.config.assignments?.[(userKey || '').toLowerCase()], this.config.defaultPlan]
+      .find(candidate => candidate && this.config.plans[candidate]);
+    return { id, ...this.config.plans[id] };
+  }
+
+  priceMeter(meter, quantity) {
+    const included = Math.min(quantity, meter?.included || 0);
+    const billable = quantity - included;
+    const tiers = [];
+    let from = 0;
+    let amount = 0;
+    for (const tier of meter?.tiers || []) {
+      const end = tier.upTo === null || tier.upTo === undefined ? Infinity : tier.upTo;
+      const inTier = Math.max(0, Math.min(billable, end) - from);
+      if (inTier > 0) {
+        tiers.push({ from, upTo: tier.upTo ?? null, quantity: inTier, unitPrice: tier.unitPrice, amount: inTier * tier.unitPrice });
+        amount += inTier * tier.unitPrice;
+      }
+      from = end;
+      if (from >= billable) break;
+    }
+    return { quantity, included, billable, amount: roundMoney(amount), tiers };
+  }
+
+  // Price usage { executions, storageGB, computeHours } on a plan
+  quote(plan, usage) {
+    const quantities = { executions: usage.executions || 0, storage: usage.storageGB || 0, compute: usage.computeHours || 0 };
+    const lines = [];
+    if (plan.baseFee) {
+      lines.push({ item: 'base', description: `${plan.name} plan`, quantity: 1, unit: plan.period, included: 0, billable: 1, amount: roundMoney(plan.baseFee), tiers: [] });
+    }
+    for (const [item, description] of Object.entries(METERS)) {
+      const meter = plan.meters?.[item];
+      lines.push({ item, description, unit: meter?.unit || '', ...this.priceMeter(meter, quantities[item]) });
+    }
+    return {
+      planId: plan.id,
+      planName: plan.name,
+      currency: plan.currency || 'USD',
+      period: plan.period || 'monthly',
+      lines,
+      total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+    };
+  }
+}
+
+module.exports = { BillingEngine, periodRange, periodLabel, roundMoney };
@@ -0,0 +1,69 @@
+/**
+ * Embedding bridge injection for proxied n8n pages
+ *
+ * n8n's HTML pages get a <script> tag for public/sdk/bridge.js, which talks
+ * to the host page through postMessage. The tag carries the origins allowed
+ * to embed n8n; the bridge only posts to and accepts messages from those
+ * origins (plus the proxy's own), and the page gets a matching
+ * frame-ancestors policy so other sites cannot frame it at all.
+ */
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const BRIDGE_PATH = '/sdk/bridge.js';
+
+const DECODERS = {
+  gzip: promisify(zlib.gunzip),
+  deflate: promisify(zlib.inflate),
+  br: promisify(zlib.brotliDecompress)
+};
+
+// Origins from a comma-separated list, normalised to scheme://host[:port]
+function parseAllowedOrigins(value) {
+  return (value || '').split(',').map(o => o.trim()).filter(Boolean).map(origin => {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch (e) {
+      throw new Error(`Invalid embed origin: ${origin}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.origin !== origin.replace(/\/$/, '')) {
+      throw new Error(`Embed origins must be scheme://host[:port] without a path: ${origin}`);
+    }
+    return url.origin;
+  });
+}
+
+// Only full n8n page loads get the bridge, not assets, API calls or streams
+function shouldInject(req, proxyRes) {
+  return req.method === 'GET'
+    && proxyRes.statusCode === 200
+    && /^text\/html\b/i.test(proxyRes.headers['content-type'] || '');
+}
+
+function bridgeTag(allowedOrigins) {
+  return `<script src="${BRIDGE_PATH}" data-allowed-origins="${allowedOrigins.join(' ')}"></script>`;
+}
+
+// The bridge has to run before n8n's own scripts, so it goes first in <head>
+function injectBridge(html, allowedOrigins) {
+  const tag = bridgeTag(allowedOrigins);
+  const head = /<head(\s[^>]*)?>/i.exec(html);
+  if (head) return html.slice(0, head.index + head[0].length) + tag + html.slice(head.index + head[0].length);
+  return tag + html;
+}
+
+function frameAncestors(allowedOrigins) {
+  return `frame-ancestors 'self'${allowedOrigins.map(o => ` ${o}`).join('')}`;
+}
+
+// Read a proxied response body, decoding any Content-Encoding
+async function readBody(proxyRes) {
+  const chunks = [];
+  for await (const chunk of proxyRes) chunks.push(chunk);
+  const body = Buffer.concat(chunks);
+  const decode = DECODERS[(proxyRes.headers['content-encoding'] || '').toLowerCase()];
+  return decode ? decode(body) : body;
+}
+
+module.exports = { BRIDGE_PATH, parseAllowedOrigins, shouldInject, injectBridge, frameAncestors, readBody };
@@ -0,0 +1,160 @@
+/**
+ * Local cache of per-user execution summaries
+ *
+ * Each user has an append-only NDJSON file of compact execution summaries.
+ * A sync pages through n8n's executions from newest to oldest and stops at
+ * the cursor, so after the first full sync only new executions are fetched.
+ * Executions that were still running are fetched again until they finish;
+ * the last line for an execution ID wins.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const PAGE_SIZE = 100;
+const UNFINISHED_STATUSES = ['new', 'running', 'waiting'];
+// Give up re-checking executions that never finished (e.g. deleted while running)
+const UNFINISHED_RECHECK_MS = 24 * 60 * 60 * 1000;
+const FILE_NODE_TYPES = ['n8n-nodes-base.readBinaryFile', 'n8n-nodes-base.writeBinaryFile',
+                         'n8n-nodes-base.spreadsheetFile', 'n8n-nodes-base.moveFile'];
+
+function normalizeStatus(e) {
+  if (['error', 'crashed', 'failed'].includes(e.status)) return 'error';
+  if (e.status) return e.status;
+  return e.finished ? 'success' : 'unknown';
+}
+
+// Compact summary of an n8n execution list item
+function toSummary(e) {
+  const startedAt = e.startedAt ? new Date(e.startedAt).toISOString() : null;
+  const stoppedAt = e.stoppedAt ? new Date(e.stoppedAt).toISOString() : null;
+  return {
+    id: String(e.id),
+    workflowId: e.workflowId || e.workflowData?.id || null,
+    workflowName: e.workflowData?.name || e.workflowName || 'Unknown',
+    status: normalizeStatus(e),
+    mode: e.mode || 'manual',
+    startedAt,
+    stoppedAt,
+    durationMs: startedAt && stoppedAt ? new Date(stoppedAt) - new Date(startedAt) : null,
+    fileNodes: !!e.workflowData?.nodes?.some(n => FILE_NODE_TYPES.includes(n.type))
+  };
+}
+
+const byIdDesc = (a, b) => Number(b.id) - Number(a.id);
+
+class ExecutionCache {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.users = new Map();
+    this.syncing = new Map();
+  }
+
+  fileFor(email) {
+    const key = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 32);
+    return path.join(this.dirPath, `${key}.ndjson`);
+  }
+
+  async load(email) {
+    const key = email.toLowerCase();
+    if (this.users.has(key)) return this.users.get(key);
+
+    const state = { file: this.fileFor(key), executions: new Map() };
+    let lines = 0;
+    try {
+      const data = await fs.readFile(state.file, 'utf8');
+      for (const line of data.split('\n')) {
+        if (!line) continue;
+        const summary = JSON.parse(line);
+        state.executions.set(summary.id, summary);
+        lines++;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    // Rewrite the file once superseded lines outnumber live ones
+    if (lines > 2 * state.executions.size) await this.compact(state);
+    this.users.set(key, state);
+    return state;
+  }
+
+  async compact(state) {
+    const tmp = `${state.file}.tmp`;
+    const body = [...state.executions.values()].map(s => JSON.stringify(s)).join('\n');
+    await fs.writeFile(tmp, body ? `${body}\n` : '', { mode: 0o600 });
+    await fs.rename(tmp, state.file);
+  }
+
+  // Everything newer than the cursor is fetched on the next sync
+  cursor(state) {
+    const now = Date.now();
+    let cursor = 0;
+    let oldestUnfinished = null;
+    for (const s of state.executions.values()) {
+      const id = Number(s.id);
+      cursor = Math.max(cursor, id);
+      const recheck = UNFINISHED_STATUSES.includes(s.status) && s.startedAt && now - new Date(s.startedAt) < UNFINISHED_RECHECK_MS;
+      if (recheck && (oldestUnfinished === null || id < oldestUnfinished)) oldestUnfinished = id;
+    }
+    return oldestUnfinished !== null ? oldestUnfinished - 1 : cursor;
+  }
+
+  // Fetch new executions via fetchPage({ firstId, lastId, limit }) => raw n8n executions
+  sync(email, fetchPage) {
+    const key = email.toLowerCase();
+    if (!this.syncing.has(key)) {
+      this.syncing.set(key, this.runSync(key, fetchPage).finally(() => this.syncing.delete(key)));
+    }
+    return this.syncing.get(key);
+  }
+
+  async runSync(key, fetchPage) {
+    const state = await this.load(key);
+    const cursor = this.cursor(state);
+    const changed = [];
+    let lastId;
+
+    for (;;) {
+      const page = await fetchPage({ firstId: cursor || undefined, lastId, limit: PAGE_SIZE });
+      const fresh = page.map(toSummary).filter(s => Number(s.id) > cursor);
+      for (const summary of fresh) {
+        const existing = state.executions.get(summary.id);
+        if (!existing || JSON.stringify(existing) !== JSON.stringify(summary)) changed.push(summary);
+      }
+      // Older n8n versions ignore firstId, so also stop once we reach the cursor
+      if (page.length < PAGE_SIZE || fresh.length < page.length) break;
+      lastId = Math.min(...page.map(e => Number(e.id)));
+    }
+
+    if (changed.length) {
+      await fs.mkdir(this.dirPath, { recursive: true });
+      await fs.appendFile(state.file, changed.map(s => JSON.stringify(s)).join('\n') + '\n', { mode: 0o600 });
+      changed.forEach(s => state.executions.set(s.id, s));
+    }
+    return { fetched: changed.length, total: state.executions.size };
+  }
+
+  // Forget a user's executions and delete their file; a sync in progress finishes first
+  async remove(email) {
+    const key = email.toLowerCase();
+    await this.syncing.get(key)?.catch(() => {});
+    this.users.delete(key);
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  // Summaries newest first, optionally limited to startedAt within [from, to]
+  async query(email, { from, to } = {}) {
+    const state = await this.load(email);
+    return [...state.executions.values()]
+      .filter(s => {
+        if (!from && !to) return true;
+        if (!s.startedAt) return false;
+        const started = new Date(s.startedAt);
+        return (!from || started >= from) && (!to || started <= to);
+      })
+      .sort(byIdDesc);
+  }
+}
+
+module.exports = { ExecutionCache, toSummary };
@@ -0,0 +1,25 @@
+/**
+ * JSON file helpers for the proxy's local state
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+// Read a JSON file, returning fallback if it does not exist yet
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// Write through a temp file and rename, so readers never see a partial file
+async function writeJsonAtomic(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, filePath);
+}
+
+module.exports = { readJson, writeJsonAtomic };
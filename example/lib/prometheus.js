@@ -0,0 +1,315 @@
+/**
+ * Prometheus and OpenMetrics export
+ *
+ * A small metrics registry with counters, gauges and histograms, served in
+ * the Prometheus text format (0.0.4) or OpenMetrics 1.0, whichever the
+ * scraper asks for in its Accept header (or ?format=openmetrics).
+ * Collectors added with collect() run before each scrape, to refresh
+ * gauges from stores that are cheaper to read than to keep in sync.
+ *
+ * Every metric keeps at most `maxSeries` label combinations. Once a metric
+ * is full, counters and histograms add new combinations to one series
+ * whose labels are all "other", so totals stay right; gauges drop them.
+ * Both are counted in <prefix>metrics_series_overflow_total.
+ *
+ * The scrape endpoint needs a bearer token; without one configured it only
+ * answers requests from the local host.
+ *
+ * The same module is installed into the user management API by
+ * setup/user_management_api.sh.
+ */
+const crypto = require('crypto');
+
+const OVERFLOW_LABEL_VALUE = 'other';
+const LOOPBACK = /^(127\.\d+\.\d+\.\d+|::1|::ffff:127\.\d+\.\d+\.\d+)$/;
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONTENT_TYPES = {
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+  openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(registry, type, { name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.registry = registry;
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // The series for a label set, created on first use; null for a gauge over its limit
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => String(labels?.[name] ?? ''));
+    let key = values.join('\u0000');
+    if (!this.series.has(key) && this.series.size >= this.registry.maxSeries) {
+      this.registry.recordOverflow(this.name);
+      if (this.type === 'gauge') return null;
+      key = this.labelNames.map(() => OVERFLOW_LABEL_VALUE).join('\u0000');
+      labels = Object.fromEntries(this.labelNames.map(name => [name, OVERFLOW_LABEL_VALUE]));
+    }
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels?.[name] ?? '')])), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  // Remove all series, e.g. before a collector sets the current values
+  reset() {
+    this.series.clear();
+  }
+
+  // Remove the series whose labels include all of the given ones; returns how many were removed
+  remove(labels) {
+    let removed = 0;
+    for (const [key, series] of this.series) {
+      if (Object.entries(labels).every(([name, value]) => series.labels[name] === String(value))) {
+        this.series.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  render(openMetrics) {
+    // OpenMetrics names a counter family without its _total suffix
+    const family = openMetrics && this.type === 'counter' ? this.name.replace(/_total$/, '') : this.name;
+    const lines = [`# HELP ${family} ${escapeHelp(this.help)}`, `# TYPE ${family} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.samples(series));
+    }
+    return lines;
+  }
+
+  samples(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(registry, options) {
+    super(registry, 'counter', options);
+    if (!this.name.endsWith('_total')) {
+      throw new Error(`Counter names must end in _total: ${this.name}`);
+    }
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    if (value < 0) throw new Error('Counters can only increase');
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(registry, options) {
+    super(registry, 'gauge', options);
+  }
+
+  set(labels = {}, value) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    const series = this.seriesFor(labels, () => ({ value: 0 }));
+    if (series) series.value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    const series = this.seriesFor(labels, () => ({ value: 0 }));
+    if (series) series.value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(registry, { buckets = DEFAULT_BUCKETS, ...options }) {
+    super(registry, 'histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    const bucket = this.buckets.findIndex(bound => value <= bound);
+    if (bucket !== -1) series.counts[bucket]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that observes the seconds elapsed since startTimer was called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  samples(series) {
+    const lines = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, index) => {
+      cumulative += series.counts[index];
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+    });
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor({ prefix = '', maxSeries = 1000 } = {}) {
+    this.prefix = prefix;
+    this.maxSeries = maxSeries;
+    this.metrics = new Map();
+    this.collectors = [];
+    this.overflows = this.counter({
+      name: `${prefix}metrics_series_overflow_total`,
+      help: 'Samples added to the "other" series or dropped because a metric reached its series limit',
+      labelNames: ['metric']
+    });
+    this.processMetrics();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(this, options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(this, options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(this, options));
+  }
+
+  // Run fn before every scrape
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  // Remove the series with these labels from every metric that has all of the label names,
+  // e.g. a deleted user's series
+  removeSeries(labels) {
+    const names = Object.keys(labels);
+    let removed = 0;
+    for (const metric of this.metrics.values()) {
+      if (names.every(name => metric.labelNames.includes(name))) removed += metric.remove(labels);
+    }
+    return removed;
+  }
+
+  recordOverflow(name) {
+    if (name !== this.overflows.name) this.overflows.inc({ metric: name });
+  }
+
+  // Standard process metrics, unprefixed so existing dashboards work
+  processMetrics() {
+    const startTime = this.gauge({ name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds' });
+    const residentMemory = this.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes' });
+    const heapUsed = this.gauge({ name: 'nodejs_heap_size_used_bytes', help: 'Process heap size used from Node.js in bytes' });
+    startTime.set(Math.round(Date.now() / 1000 - process.uptime()));
+    this.collect(() => {
+      const memory = process.memoryUsage();
+      residentMemory.set(memory.rss);
+      heapUsed.set(memory.heapUsed);
+    });
+  }
+
+  // Exposition text after running the collectors; a failing collector does not fail the scrape
+  async render(format = 'prometheus') {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (e) {
+        console.log('Metrics collector failed:', e.message);
+      }
+    }
+    const openMetrics = format === 'openmetrics';
+    const lines = [...this.metrics.values()].flatMap(metric => metric.render(openMetrics));
+    if (openMetrics) lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  // Express handler for GET /metrics; with a token, scrapers must send it as a bearer token,
+  // otherwise only loopback addresses may scrape (req.ip, so set trust proxy behind a local proxy)
+  handler({ token } = {}) {
+    return async (req, res) => {
+      if (!token && !LOOPBACK.test(req.ip || '')) {
+        return res.status(403).type('text/plain').send('Forbidden: set a metrics token to scrape from other hosts\n');
+      }
+      if (token) {
+        const given = Buffer.from((req.get('Authorization') || '').replace(/^Bearer /, ''));
+        const expected = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+      }
+      const format = req.query.format === 'openmetrics' || (req.get('Accept') || '').includes('application/openmetrics-text')
+        ? 'openmetrics'
+        : 'prometheus';
+      try {
+        const body = await this.render(format);
+        res.set('Content-Type', CONTENT_TYPES[format]);
+        res.send(body);
+      } catch (e) {
+        res.status(500).type('text/plain').send(`Could not render metrics: ${e.message}\n`);
+      }
+    };
+  }
+
+  // Middleware timing every request into <prefix>http_request_duration_seconds{method,route,status}.
+  // route is the matched Express route pattern, or fallbackRoute(req) for requests no route handled.
+  httpMetrics({ fallbackRoute = () => 'unmatched', buckets } = {}) {
+    const duration = this.histogram({
+      name: `${this.prefix}http_request_duration_seconds`,
+      help: 'HTTP request duration in seconds by route',
+      labelNames: ['method', 'route', 'status'],
+      buckets
+    });
+    return (req, res, next) => {
+      const end = duration.startTimer();
+      res.on('finish', () => end({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : fallbackRoute(req),
+        status: String(res.statusCode)
+      }));
+      next();
+    };
+  }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPES, DEFAULT_BUCKETS };
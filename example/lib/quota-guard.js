@@ -0,0 +1,116 @@
+/**
+ * Plan quota enforcement for proxied n8n calls
+ *
+ * Calls that create workflows or credentials, activate a workflow or start a
+ * manual run are checked against the user's plan limits before they reach
+ * n8n. Blocked calls get an n8n-style error body ({ code, message, hint })
+ * so the n8n UI shows it. Calls that bring usage to the warning threshold
+ * go through with a warning. Both outcomes are appended to an NDJSON event
+ * log for later review.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_WARN_THRESHOLD = 0.8;
+
+const RULES = [
+  { method: 'POST', pattern: /^\/rest\/workflows\/?$/, action: 'workflow.create', quota: 'workflows' },
+  { method: 'POST', pattern: /^\/rest\/credentials\/?$/, action: 'credential.create', quota: 'credentials' },
+  { method: 'PATCH', pattern: /^\/rest\/workflows\/[^/]+\/?$/, action: 'workflow.activate', quota: 'executions', when: body => body?.active === true },
+  { method: 'POST', pattern: /^\/rest\/workflows\/[^/]+\/activate\/?$/, action: 'workflow.activate', quota: 'executions' },
+  { method: 'POST', pattern: /^\/rest\/workflows\/[^/]+\/run\/?$/, action: 'workflow.run', quota: 'executions' }
+];
+
+// Count limits are a hard 403; the execution limit resets each period, so 429
+const QUOTAS = {
+  workflows: { status: 403, label: 'Workflow', hint: 'Delete workflows you no longer need or upgrade your plan.' },
+  credentials: { status: 403, label: 'Credential', hint: 'Delete credentials you no longer need or upgrade your plan.' },
+  executions: { status: 429, label: 'Execution', hint: 'The limit resets with the next billing period, or upgrade your plan.' }
+};
+
+class QuotaGuard {
+  // usage(quota, session) must resolve to { plan, limit, used, resetsAt? }
+  constructor({ usage, eventsFile, warnThreshold = DEFAULT_WARN_THRESHOLD }) {
+    this.usage = usage;
+    this.eventsFile = eventsFile;
+    this.warnThreshold = warnThreshold;
+    this.writing = Promise.resolve();
+  }
+
+  // Rule for a request, or null if it is not quota-relevant
+  static match(req) {
+    return RULES.find(r => r.method === req.method && r.pattern.test(req.path) && (!r.when || r.when(req.body))) || null;
+  }
+
+  // Returns null when the plan has no limit for the quota
+  async check(rule, req) {
+    const session = req.proxySession;
+    const { plan, limit, used, resetsAt } = await this.usage(rule.quota, session);
+    if (limit === null || limit === undefined) return null;
+
+    const quota = QUOTAS[rule.quota];
+    const result = {
+      action: rule.action,
+      quota: rule.quota,
+      used,
+      limit,
+      plan: plan.id,
+      blocked: used >= limit,
+      warning: used < limit && used + 1 >= limit * this.warnThreshold,
+      status: quota.status,
+      resetsAt: rule.quota === 'executions' ? resetsAt || null : null
+    };
+
+    if (result.blocked) {
+      const scope = rule.quota === 'executions' ? ' for this billing period' : '';
+      result.error = {
+        code: quota.status,
+        message: `${quota.label} limit reached${scope} (${used} of ${limit} on the ${plan.name} plan)`,
+        hint: quota.hint,
+        quota: { name: rule.quota, used, limit, plan: plan.id, resetsAt: result.resetsAt }
+      };
+    }
+    if (result.blocked || result.warning) {
+      this.record({
+        at: new Date().toISOString(),
+        email: session.email.toLowerCase(),
+        outcome: result.blocked ? 'blocked' : 'warning',
+        action: rule.action,
+        quota: rule.quota,
+        used,
+        limit,
+        plan: plan.id,
+        method: req.method,
+        path: req.path
+      });
+    }
+    return result;
+  }
+
+  record(event) {
+    this.writing = this.writing
+      .then(() => fs.mkdir(path.dirname(this.eventsFile), { recursive: true }))
+      .then(() => fs.appendFile(this.eventsFile, JSON.stringify(event) + '\n', { mode: 0o600 }))
+      .catch(e => console.log('Could not record quota event:', e.message));
+    return this.writing;
+  }
+
+  // Recorded events newest first, optionally for one user or outcome
+  async events({ email, outcome, limit = 100 } = {}) {
+    await this.writing;
+    let data = '';
+    try {
+      data = await fs.readFile(this.eventsFile, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    return data.split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(e => (!email || e.email === email.toLowerCase()) && (!outcome || e.outcome === outcome))
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = { QuotaGuard };
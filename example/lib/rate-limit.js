@@ -0,0 +1,326 @@
+/**
+ * Rate limiting and login lockout
+ *
+ * A policy allows `limit` requests per `windowMs` for each key, counted
+ * either as a sliding window (the current and the weighted previous fixed
+ * window) or as a token bucket (bursts up to `limit`, refilled evenly over
+ * the window). Keys come from the client IP, the signed-in user or the API
+ * key, whichever the policy lists first and the request has.
+ *
+ * Counters live in memory or in any Redis-compatible server, so instances
+ * behind a load balancer share their limits. When the backend is down,
+ * requests are let through rather than failing the whole API.
+ *
+ * LoginLockout locks an account after repeated failed logins and doubles
+ * the lockout with each further failure, up to a maximum.
+ */
+const crypto = require('crypto');
+const { RespClient } = require('./resp-client');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Take one token from a bucket refilled at one token per refillMs
+function takeToken(state, capacity, refillMs, now) {
+  const elapsed = Math.max(0, now - state.updatedAt);
+  const tokens = Math.min(capacity, state.tokens + elapsed / refillMs);
+  const allowed = tokens >= 1;
+  return { allowed, tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+}
+
+// Same as takeToken, run atomically inside Redis
+const TOKEN_BUCKET_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local capacity = tonumber(ARGV[1])
+local refillMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local tokens = tonumber(state[1]) or capacity
+local elapsed = math.max(0, now - (tonumber(state[2]) or now))
+tokens = math.min(capacity, tokens + elapsed / refillMs)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity * refillMs))
+return { allowed, tostring(tokens) }
+`;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // The expiry is set by the first increment and kept by later ones
+  async increment(key, ttlMs) {
+    const entry = this.entry(key);
+    if (entry) return ++entry.value;
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+    return 1;
+  }
+
+  async get(key) {
+    return this.entry(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Remaining lifetime in ms, 0 when the key does not exist
+  async ttl(key) {
+    const entry = this.entry(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async takeToken(key, capacity, refillMs) {
+    const now = Date.now();
+    const state = this.entry(key)?.value || { tokens: capacity, updatedAt: now };
+    const next = takeToken(state, capacity, refillMs, now);
+    this.entries.set(key, {
+      value: { tokens: next.tokens, updatedAt: next.updatedAt },
+      expiresAt: now + Math.ceil(capacity * refillMs)
+    });
+    return { allowed: next.allowed, tokens: next.tokens };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+class RedisRateLimitStore {
+  constructor({ url }) {
+    this.client = new RespClient(url);
+  }
+
+  async increment(key, ttlMs) {
+    await this.client.command('SET', key, 0, 'PX', ttlMs, 'NX');
+    return this.client.command('INCR', key);
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', key);
+    return value === null ? null : Number(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.command('SET', key, value, 'PX', Math.ceil(ttlMs));
+  }
+
+  async ttl(key) {
+    return Math.max(0, await this.client.command('PTTL', key));
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', key);
+  }
+
+  async takeToken(key, capacity, refillMs) {
+    const [allowed, tokens] = await this.client.command('EVAL', TOKEN_BUCKET_SCRIPT, 1, key, capacity, refillMs, Date.now());
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+function createRateLimitStore({ type = 'memory', redisUrl }) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'redis':
+      return new RedisRateLimitStore({ url: redisUrl });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE type: ${type}`);
+  }
+}
+
+// Key the raw API key by its hash so it never reaches the backend
+const DEFAULT_IDENTITIES = {
+  ip: req => req.ip,
+  user: req => req.user?.userId,
+  apiKey: req => req.headers['x-api-key'] && crypto.createHash('sha256').update(req.headers['x-api-key']).digest('hex').slice(0, 32)
+};
+
+function defaultOnLimit(req, res, result) {
+  res.status(429).json({
+    error: 'Too many requests',
+    retryAfter: Math.ceil(result.retryAfterMs / 1000)
+  });
+}
+
+class RateLimiter {
+  // identities override or add key sources, e.g. { user: req => req.proxySession?.email }
+  constructor({ store, prefix = 'ratelimit:', identities = {}, onLimit = defaultOnLimit }) {
+    this.store = store;
+    this.prefix = prefix;
+    this.identities = { ...DEFAULT_IDENTITIES, ...identities };
+    this.onLimit = onLimit;
+  }
+
+  // Storage key for the first identity the request has, null if it has none
+  keyFor(policy, req) {
+    for (const kind of policy.keyBy || ['ip']) {
+      const id = this.identities[kind]?.(req);
+      if (id) return `${this.prefix}${policy.name}:${kind}:${String(id).toLowerCase()}`;
+    }
+    return null;
+  }
+
+  // Count one request, returns { allowed, limit, remaining, resetMs, retryAfterMs }
+  async consume(policy, key) {
+    return policy.algorithm === 'token-bucket'
+      ? this.tokenBucket(policy, key)
+      : this.slidingWindow(policy, key);
+  }
+
+  async slidingWindow({ limit, windowMs }, key) {
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now % windowMs) / windowMs;
+    const current = await this.store.increment(`${key}:${window}`, windowMs * 2);
+    const previous = (await this.store.get(`${key}:${window - 1}`)) || 0;
+    const count = previous * (1 - elapsed) + current;
+    const resetMs = windowMs - (now % windowMs);
+
+    // Time until one more request fits under the weighted limit
+    let retryAfterMs = 0;
+    if (count > limit) {
+      retryAfterMs = current >= limit
+        ? resetMs + (1 - (limit - 1) / current) * windowMs
+        : (1 - (limit - current - 1) / previous - elapsed) * windowMs;
+    }
+    return {
+      allowed: count <= limit,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - count)),
+      resetMs,
+      retryAfterMs: Math.ceil(Math.max(retryAfterMs, 0))
+    };
+  }
+
+  async tokenBucket({ limit, windowMs }, key) {
+    const refillMs = windowMs / limit;
+    const { allowed, tokens } = await this.store.takeToken(key, limit, refillMs);
+    return {
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limit - tokens) * refillMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * refillMs)
+    };
+  }
+
+  // Count a request against a policy: { name, limit, windowMs, algorithm?, keyBy? }.
+  // Sends the 429 and resolves false when over the limit. A request is
+  // counted once per policy even if several routers apply it.
+  async check(policy, req, res) {
+    req.rateLimits = req.rateLimits || new Set();
+    if (req.rateLimits.has(policy.name)) return true;
+    req.rateLimits.add(policy.name);
+
+    const key = this.keyFor(policy, req);
+    if (!key) return true;
+
+    let result;
+    try {
+      result = await this.consume(policy, key);
+    } catch (e) {
+      console.log('Rate limit check failed:', e.message);
+      return true;
+    }
+
+    res.set({
+      'X-RateLimit-Limit': result.limit,
+      'X-RateLimit-Remaining': result.remaining,
+      'X-RateLimit-Reset': new Date(Date.now() + result.resetMs).toISOString()
+    });
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      this.onLimit(req, res, result);
+      return false;
+    }
+    return true;
+  }
+
+  middleware(policy) {
+    return async (req, res, next) => {
+      if (await this.check(policy, req, res)) next();
+    };
+  }
+}
+
+class LoginLockout {
+  // Failures are forgotten resetMs after the first one, or on a successful login
+  constructor({ store, prefix = 'lockout:', threshold = 5, baseMs = 60 * 1000, maxMs = 60 * 60 * 1000, resetMs = 24 * 60 * 60 * 1000 }) {
+    this.store = store;
+    this.prefix = prefix;
+    this.threshold = threshold;
+    this.baseMs = baseMs;
+    this.maxMs = maxMs;
+    this.resetMs = resetMs;
+  }
+
+  key(account, kind) {
+    return `${this.prefix}${kind}:${String(account).toLowerCase()}`;
+  }
+
+  // Milliseconds until the account may try again, 0 if it is not locked
+  async lockedFor(account) {
+    try {
+      return await this.store.ttl(this.key(account, 'locked'));
+    } catch (e) {
+      console.log('Login lockout check failed:', e.message);
+      return 0;
+    }
+  }
+
+  // Returns the lockout the failure triggered in ms, 0 while under the threshold
+  async recordFailure(account) {
+    try {
+      const failures = await this.store.increment(this.key(account, 'failures'), this.resetMs);
+      if (failures < this.threshold) return 0;
+      const lockMs = Math.min(this.maxMs, this.baseMs * 2 ** (failures - this.threshold));
+      await this.store.set(this.key(account, 'locked'), failures, lockMs);
+      return lockMs;
+    } catch (e) {
+      console.log('Could not record failed login:', e.message);
+      return 0;
+    }
+  }
+
+  async recordSuccess(account) {
+    try {
+      await this.store.delete(this.key(account, 'failures'));
+      await this.store.delete(this.key(account, 'locked'));
+    } catch (e) {
+      console.log('Could not reset failed logins:', e.message);
+    }
+  }
+}
+
+module.exports = { createRateLimitStore, MemoryRateLimitStore, RedisRateLimitStore, RateLimiter, LoginLockout };
@@ -0,0 +1,126 @@
+/**
+ * Minimal Redis protocol (RESP2) client
+ *
+ * Speaks just enough of the protocol for the proxy's shared state, so any
+ * Redis-compatible server (Redis, Valkey, KeyDB or a local stand-in) works
+ * without pulling in a full client library.
+ */
+const net = require('net');
+
+class RespError extends Error {}
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+// Parse one reply starting at offset; returns [value, nextOffset] or null if incomplete
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new RespError(line), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item[0]);
+        pos = item[1];
+      }
+      return [items, pos];
+    }
+    default:
+      throw new RespError(`Unexpected reply type: ${type}`);
+  }
+}
+
+class RespClient {
+  constructor(url = 'redis://127.0.0.1:6379') {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.socket) return;
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket.setNoDelay(true);
+    this.socket.on('data', chunk => this.onData(chunk));
+    this.socket.on('error', err => this.reset(err));
+    this.socket.on('close', () => this.reset(new RespError('Connection closed')));
+
+    // Queued ahead of the caller's command, so ordering is preserved
+    if (this.password) this.send(['AUTH', this.password]).catch(err => console.error('Redis AUTH failed:', err.message));
+    if (this.db) this.send(['SELECT', this.db]).catch(err => console.error('Redis SELECT failed:', err.message));
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let offset = 0;
+    let reply;
+    while (this.pending.length && (reply = parseReply(this.buffer, offset))) {
+      const [value, next] = reply;
+      offset = next;
+      const { resolve, reject } = this.pending.shift();
+      value instanceof RespError ? reject(value) : resolve(value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  // Fail everything in flight and reconnect on the next command
+  reset(err) {
+    if (!this.socket) return;
+    this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(err));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  command(...args) {
+    this.connect();
+    return this.send(args);
+  }
+
+  quit() {
+    if (!this.socket) return Promise.resolve();
+    return this.command('QUIT').catch(() => {}).finally(() => this.reset(new RespError('Client closed')));
+  }
+}
+
+module.exports = { RespClient, RespError };
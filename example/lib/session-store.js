@@ -0,0 +1,189 @@
+/**
+ * Proxy session stores
+ *
+ * Every backend exposes the same async interface:
+ *   get(token), set(token, session), delete(token), list(), close()
+ *
+ * Sessions expire once `lastActive` is older than the configured TTL.
+ * Expired sessions are never returned and are removed lazily on access
+ * as well as by a periodic sweep.
+ */
+const { RespClient } = require('./resp-client');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemorySessionStore {
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  isExpired(session) {
+    return Date.now() - session.lastActive > this.ttlMs;
+  }
+
+  async get(token) {
+    const session = this.sessions.get(token);
+    if (!session) return null;
+    if (this.isExpired(session)) {
+      await this.delete(token);
+      return null;
+    }
+    return { ...session };
+  }
+
+  async set(token, session) {
+    this.sessions.set(token, { ...session });
+  }
+
+  async delete(token) {
+    this.sessions.delete(token);
+  }
+
+  async list() {
+    return [...this.sessions.entries()]
+      .filter(([, s]) => !this.isExpired(s))
+      .map(([token, s]) => ({ token, ...s }));
+  }
+
+  async sweep() {
+    for (const [token, session] of this.sessions.entries()) {
+      if (this.isExpired(session)) await this.delete(token);
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// Memory store persisted to a JSON file so sessions survive restarts
+class FileSessionStore extends MemorySessionStore {
+  constructor({ ttlMs, filePath }) {
+    super({ ttlMs });
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+    this.loaded = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await readJson(this.filePath, {});
+      for (const [token, session] of Object.entries(data)) {
+        if (!this.isExpired(session)) this.sessions.set(token, session);
+      }
+    } catch (e) {
+      console.log('Could not load session file:', e.message);
+    }
+  }
+
+  // Serialize writes and replace the file atomically
+  save() {
+    this.writing = this.writing
+      .then(() => writeJsonAtomic(this.filePath, Object.fromEntries(this.sessions)))
+      .catch(e => console.log('Could not save session file:', e.message));
+    return this.writing;
+  }
+
+  async get(token) {
+    await this.loaded;
+    return super.get(token);
+  }
+
+  async set(token, session) {
+    await this.loaded;
+    await super.set(token, session);
+    await this.save();
+  }
+
+  async delete(token) {
+    await this.loaded;
+    if (!this.sessions.has(token)) return;
+    await super.delete(token);
+    await this.save();
+  }
+
+  async list() {
+    await this.loaded;
+    return super.list();
+  }
+
+  async close() {
+    await super.close();
+    await this.writing;
+  }
+}
+
+// Sessions as Redis keys with a matching PX expiry, plus an index set for listing
+class RedisSessionStore {
+  constructor({ ttlMs, url, prefix }) {
+    this.ttlMs = ttlMs;
+    this.prefix = prefix;
+    this.indexKey = `${prefix}index`;
+    this.client = new RespClient(url);
+  }
+
+  key(token) {
+    return `${this.prefix}${token}`;
+  }
+
+  async get(token) {
+    const raw = await this.client.command('GET', this.key(token));
+    if (!raw) return null;
+    const session = JSON.parse(raw);
+    if (Date.now() - session.lastActive > this.ttlMs) {
+      await this.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  async set(token, session) {
+    const remaining = this.ttlMs - (Date.now() - session.lastActive);
+    if (remaining <= 0) return this.delete(token);
+    await this.client.command('SET', this.key(token), JSON.stringify(session), 'PX', Math.ceil(remaining));
+    await this.client.command('SADD', this.indexKey, token);
+  }
+
+  async delete(token) {
+    await this.client.command('DEL', this.key(token));
+    await this.client.command('SREM', this.indexKey, token);
+  }
+
+  async list() {
+    const tokens = await this.client.command('SMEMBERS', this.indexKey);
+    const sessions = [];
+    for (const token of tokens) {
+      const session = await this.get(token);
+      if (session) {
+        sessions.push({ token, ...session });
+      } else {
+        // Key expired in Redis, drop it from the index
+        await this.client.command('SREM', this.indexKey, token);
+      }
+    }
+    return sessions;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+function createSessionStore({ type = 'memory', ttlMs, filePath, redisUrl, redisPrefix = 'n8n_proxy:session:' }) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore({ ttlMs });
+    case 'file':
+      return new FileSessionStore({ ttlMs, filePath });
+    case 'redis':
+      return new RedisSessionStore({ ttlMs, url: redisUrl, prefix: redisPrefix });
+    default:
+      throw new Error(`Unknown SESSION_STORE type: ${type}`);
+  }
+}
+
+module.exports = { createSessionStore, MemorySessionStore, FileSessionStore, RedisSessionStore };
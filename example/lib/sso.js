@@ -0,0 +1,71 @@
+/**
+ * Single sign-on handoff from the host application
+ *
+ * The host app signs a short-lived JWT for the logged-in user, either with
+ * a shared secret (HS256) or with a private key whose public half is listed
+ * in a JWKS file (RS256/ES256). Each token can be used once.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+class SsoError extends Error {}
+
+function createSsoVerifier({ secret, jwksFile, issuer, audience, maxAge = '5m' }) {
+  if (!secret && !jwksFile) return null;
+
+  // Public keys by kid, loaded once at startup
+  const publicKeys = new Map();
+  if (jwksFile) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    for (const jwk of keys) {
+      publicKeys.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+
+  // Token IDs already used, kept until the token would have expired anyway
+  const usedTokenIds = new Map();
+
+  function resolveKey(header) {
+    if (header.alg?.startsWith('HS')) {
+      if (!secret) throw new SsoError('Shared-secret tokens are not accepted');
+      return { key: secret, algorithms: ['HS256', 'HS384', 'HS512'] };
+    }
+    const key = publicKeys.get(header.kid || 'default') || (publicKeys.size === 1 ? [...publicKeys.values()][0] : null);
+    if (!key) throw new SsoError('No public key for token');
+    return { key, algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'] };
+  }
+
+  return function verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new SsoError('Malformed token');
+
+    const { key, algorithms } = resolveKey(decoded.header);
+    let claims;
+    try {
+      claims = jwt.verify(token, key, { algorithms, issuer, audience, maxAge });
+    } catch (e) {
+      throw new SsoError(e.message);
+    }
+    if (!claims.exp) throw new SsoError('Token must expire');
+
+    const now = Date.now();
+    for (const [id, expiresAt] of usedTokenIds) {
+      if (expiresAt < now) usedTokenIds.delete(id);
+    }
+    const tokenId = claims.jti || crypto.createHash('sha256').update(token).digest('hex');
+    if (usedTokenIds.has(tokenId)) throw new SsoError('Token already used');
+    usedTokenIds.set(tokenId, claims.exp * 1000);
+
+    return claims;
+  };
+}
+
+// Stable n8n password for SSO users, never shown to them
+function deriveSsoPassword(secret, email) {
+  const digest = crypto.createHmac('sha256', secret).update(email.toLowerCase()).digest('base64url');
+  // n8n requires a digit and an uppercase letter
+  return `Sso1${digest}`;
+}
+
+module.exports = { createSsoVerifier, deriveSsoPassword, SsoError };
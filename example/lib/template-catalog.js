@@ -0,0 +1,145 @@
+/**
+ * Workflow template catalog
+ *
+ * Each template is a JSON file in the templates directory, named after its ID:
+ * metadata, declared parameters and the n8n workflow itself. Strings in the
+ * workflow may contain {{ name }} placeholders for a declared parameter or one
+ * of the built-in values (user.email, user.firstName, user.lastName,
+ * tenant.id). Anything else in double braces, such as n8n's own
+ * {{ $json.field }} expressions, is left alone.
+ *
+ * seeds.json in the same directory lists the templates installed for new
+ * users: "default" for everyone, plus "plans" and "tenants" keyed by plan or
+ * tenant ID. Shared with the user management API.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const BUILTINS = ['user.email', 'user.firstName', 'user.lastName', 'tenant.id'];
+const SEEDS_FILE = 'seeds.json';
+
+class TemplateCatalog {
+  constructor({ templates = {}, seeds = {} }) {
+    this.templates = new Map();
+    for (const [id, template] of Object.entries(templates)) {
+      this.templates.set(id, TemplateCatalog.validate(id, template));
+    }
+    this.seeds = {
+      default: seeds.default || [],
+      plans: seeds.plans || {},
+      tenants: seeds.tenants || {}
+    };
+    const seeded = [this.seeds.default, ...Object.values(this.seeds.plans), ...Object.values(this.seeds.tenants)].flat();
+    const unknown = seeded.filter(id => !this.templates.has(id));
+    if (unknown.length) throw new Error(`Seeds reference unknown templates: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  // Every <id>.json in the directory; a missing directory is an empty catalog
+  static fromDirectory(dir) {
+    if (!fs.existsSync(dir)) return new TemplateCatalog({});
+    const templates = {};
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json') && f !== SEEDS_FILE).sort()) {
+      templates[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+    const seedsPath = path.join(dir, SEEDS_FILE);
+    const seeds = fs.existsSync(seedsPath) ? JSON.parse(fs.readFileSync(seedsPath, 'utf8')) : {};
+    return new TemplateCatalog({ templates, seeds });
+  }
+
+  static isValidTemplateId(id) {
+    return TEMPLATE_ID_PATTERN.test(id || '');
+  }
+
+  static validate(id, template) {
+    if (!TemplateCatalog.isValidTemplateId(id)) throw new Error(`Invalid template ID: ${id}`);
+    if (!template.name || !template.workflow?.nodes || !template.workflow?.connections) {
+      throw new Error(`Template ${id} needs a name and a workflow with nodes and connections`);
+    }
+    for (const name of Object.keys(template.parameters || {})) {
+      if (!PARAMETER_NAME_PATTERN.test(name) || BUILTINS.includes(name)) {
+        throw new Error(`Template ${id} has an invalid parameter name: ${name}`);
+      }
+    }
+    return { version: 1, parameters: {}, ...template };
+  }
+
+  get(id) {
+    return this.templates.get(id) || null;
+  }
+
+  // Template metadata without the workflow itself
+  list() {
+    return [...this.templates.entries()].map(([id, t]) => ({
+      id,
+      name: t.name,
+      description: t.description || '',
+      category: t.category || null,
+      tags: t.tags || [],
+      version: t.version,
+      parameters: Object.entries(t.parameters).map(([name, p]) => ({
+        name,
+        description: p.description || '',
+        required: p.default === undefined,
+        default: p.default ?? null
+      }))
+    }));
+  }
+
+  // Templates to install for a new user: default, then plan, then tenant seeds, without duplicates
+  seedsFor({ plan, tenantId } = {}) {
+    return [...new Set([
+      ...this.seeds.default,
+      ...(plan && this.seeds.plans[plan] || []),
+      ...(tenantId && this.seeds.tenants[tenantId] || [])
+    ])];
+  }
+
+  // The template's workflow with placeholders filled in from parameters, their defaults
+  // and context ({ user: { email, firstName, lastName }, tenant: { id } })
+  render(id, { parameters = {}, context = {} } = {}) {
+    const template = this.get(id);
+    if (!template) throw Object.assign(new Error(`Template not found: ${id}`), { status: 404 });
+
+    const unknown = Object.keys(parameters).filter(name => !(name in template.parameters));
+    if (unknown.length) {
+      throw Object.assign(new Error(`Unknown template parameters: ${unknown.join(', ')}`), { status: 400 });
+    }
+    const values = {};
+    for (const [name, p] of Object.entries(template.parameters)) {
+      const value = parameters[name] ?? p.default;
+      if (value === undefined || value === null || value === '') {
+        throw Object.assign(new Error(`Missing template parameter: ${name}`), { status: 400 });
+      }
+      if (typeof value === 'object') {
+        throw Object.assign(new Error(`Template parameter ${name} must be a string, number or boolean`), { status: 400 });
+      }
+      values[name] = value;
+    }
+    for (const name of BUILTINS) {
+      const [scope, field] = name.split('.');
+      values[name] = String(context[scope]?.[field] ?? '');
+    }
+
+    const fillString = text => text.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\}\}/g, (match, name) => (name in values ? String(values[name]) : match));
+    // A string that is a single placeholder takes the value's own type, e.g. a number of minutes.
+    // Keys are filled too, since connections are keyed by node name
+    const fill = value => {
+      if (typeof value === 'string') {
+        const whole = /^\{\{\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\}\}$/.exec(value);
+        return whole && whole[1] in values ? values[whole[1]] : fillString(value);
+      }
+      if (Array.isArray(value)) return value.map(fill);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [fillString(k), fill(v)]));
+      }
+      return value;
+    };
+    const workflow = fill(template.workflow);
+    delete workflow.id;
+    return { name: fillString(template.name), settings: {}, ...workflow, active: false };
+  }
+}
+
+module.exports = { TemplateCatalog };
@@ -0,0 +1,109 @@
+/**
+ * Tenant to n8n project mapping
+ *
+ * Each tenant gets its own n8n project, created on demand with the admin
+ * session. Users are added to their tenant's project so workflows and
+ * credentials are scoped per tenant. Projects need an n8n license that
+ * includes them.
+ *
+ * n8n replaces a project's whole member list on update, so membership
+ * changes to one project run one after another. Members added or seen here
+ * are remembered, so logins of known members skip the lookup; a member
+ * removed in n8n itself is only added back after a restart.
+ */
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class TenantProjects {
+  constructor({ filePath, adminRequest, projectRole = 'project:editor' }) {
+    this.filePath = filePath;
+    this.adminRequest = adminRequest;
+    this.projectRole = projectRole;
+    this.tenants = {};
+    this.creating = new Map();
+    this.updating = new Map();
+    this.members = new Map();
+    this.writing = Promise.resolve();
+    this.loaded = readJson(filePath, {})
+      .then(data => { this.tenants = data; })
+      .catch(e => console.log('Could not load tenant projects:', e.message));
+  }
+
+  static isValidTenantId(tenantId) {
+    return TENANT_ID_PATTERN.test(tenantId || '');
+  }
+
+  // Project for a tenant, creating it once even under concurrent logins
+  async ensureProject(tenantId) {
+    await this.loaded;
+    if (this.tenants[tenantId]) return this.tenants[tenantId].projectId;
+    if (!this.creating.has(tenantId)) {
+      this.creating.set(tenantId, this.createProject(tenantId).finally(() => this.creating.delete(tenantId)));
+    }
+    return this.creating.get(tenantId);
+  }
+
+  async createProject(tenantId) {
+    const projectRes = await this.adminRequest({ method: 'post', url: '/rest/projects', data: { name: `Tenant ${tenantId}` } });
+    const projectId = (projectRes.data?.data ?? projectRes.data).id;
+    this.tenants[tenantId] = { projectId, createdAt: new Date().toISOString() };
+    this.writing = this.writing
+      .then(() => writeJsonAtomic(this.filePath, this.tenants))
+      .catch(e => console.log('Could not save tenant projects:', e.message));
+    await this.writing;
+    return projectId;
+  }
+
+  // Project members as { userId, role }
+  async getRelations(projectId) {
+    const projectRes = await this.adminRequest({ method: 'get', url: `/rest/projects/${projectId}` });
+    const relations = (projectRes.data?.data ?? projectRes.data).relations || [];
+    return relations.map(r => ({ userId: r.id, role: r.role }));
+  }
+
+  // n8n replaces the whole member list on update
+  setRelations(projectId, relations) {
+    return this.adminRequest({ method: 'patch', url: `/rest/projects/${projectId}`, data: { relations } });
+  }
+
+  // Run fn once the project's earlier membership changes have settled, whether or not they failed
+  serialize(projectId, fn) {
+    const run = (this.updating.get(projectId) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    this.updating.set(projectId, settled);
+    settled.then(() => {
+      if (this.updating.get(projectId) === settled) this.updating.delete(projectId);
+    });
+    return run;
+  }
+
+  // Add a user to the tenant's project, keeping existing members, returns the project ID
+  async addUser(tenantId, userId) {
+    const projectId = await this.ensureProject(tenantId);
+    if (this.members.get(projectId)?.has(userId)) return projectId;
+    await this.serialize(projectId, async () => {
+      const relations = await this.getRelations(projectId);
+      if (!relations.some(r => r.userId === userId)) {
+        await this.setRelations(projectId, [...relations, { userId, role: this.projectRole }]);
+      }
+      this.members.set(projectId, new Set([...relations.map(r => r.userId), userId]));
+    });
+    return projectId;
+  }
+
+  async removeUser(tenantId, userId) {
+    await this.loaded;
+    const projectId = this.tenants[tenantId]?.projectId;
+    if (!projectId) return;
+    await this.serialize(projectId, async () => {
+      const relations = await this.getRelations(projectId);
+      if (relations.some(r => r.userId === userId)) {
+        await this.setRelations(projectId, relations.filter(r => r.userId !== userId));
+      }
+      this.members.set(projectId, new Set(relations.map(r => r.userId).filter(id => id !== userId)));
+    });
+  }
+}
+
+module.exports = { TenantProjects };
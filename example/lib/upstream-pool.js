@@ -0,0 +1,162 @@
+/**
+ * Health-checked pool of n8n upstreams
+ *
+ * Each upstream is probed on an interval and gets its own circuit breaker:
+ * after a run of consecutive failed requests the circuit opens and the
+ * upstream is skipped, then after a cool-down a single trial request is let
+ * through (half-open) and its outcome closes or reopens the circuit.
+ *
+ * Requests with an affinity key (the user's email) always go to the same
+ * available upstream, picked by rendezvous hashing, so a user only moves
+ * when their upstream becomes unavailable and moves back when it recovers.
+ * Requests without a key are spread round-robin.
+ */
+const crypto = require('crypto');
+
+const DEFAULT_HEALTH_INTERVAL_MS = 10 * 1000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_OPEN_MS = 30 * 1000;
+// A trial request that never reports back frees the half-open slot after this long
+const TRIAL_TIMEOUT_MS = 30 * 1000;
+const RETRY_BASE_DELAY_MS = 250;
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+// True when an axios error means the upstream itself failed: no response or a gateway error
+function isUpstreamFailure(error) {
+  if (error?.code === 'ERR_CANCELED') return false;
+  return !error?.response || RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// Whether a failed axios request may be sent again
+function isRetryable(error) {
+  return IDEMPOTENT_METHODS.includes((error?.config?.method || 'get').toLowerCase()) && isUpstreamFailure(error);
+}
+
+// Exponential backoff with jitter for retry number attempt (1-based)
+function retryDelay(attempt) {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+class UpstreamPool {
+  // probe(upstream) must resolve when the upstream is healthy and reject otherwise
+  constructor({ urls, probe, healthIntervalMs = DEFAULT_HEALTH_INTERVAL_MS, failureThreshold = DEFAULT_FAILURE_THRESHOLD, openMs = DEFAULT_OPEN_MS }) {
+    if (!urls.length) throw new Error('At least one upstream URL is required');
+    this.upstreams = urls.map(url => ({
+      url: url.replace(/\/+$/, ''),
+      healthy: true,
+      lastCheckAt: null,
+      lastError: null,
+      circuit: 'closed',
+      failures: 0,
+      openedAt: null,
+      trialAt: null
+    }));
+    this.probe = probe;
+    this.healthIntervalMs = healthIntervalMs;
+    this.failureThreshold = failureThreshold;
+    this.openMs = openMs;
+    this.next = 0;
+    this.timer = null;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.timer || !this.healthIntervalMs) return;
+    this.timer = setInterval(() => this.checkAll(), this.healthIntervalMs);
+    this.timer.unref();
+    this.checkAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Probe every upstream; one round at a time
+  checkAll() {
+    if (!this.checking) {
+      this.checking = Promise.all(this.upstreams.map(u => this.check(u)))
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async check(upstream) {
+    try {
+      await this.probe(upstream);
+      if (!upstream.healthy) console.log(`Upstream ${upstream.url} is healthy again`);
+      upstream.healthy = true;
+      upstream.lastError = null;
+    } catch (e) {
+      if (upstream.healthy) console.log(`Upstream ${upstream.url} failed its health check:`, e.message);
+      upstream.healthy = false;
+      upstream.lastError = e.message;
+    }
+    upstream.lastCheckAt = Date.now();
+  }
+
+  // Whether a request may go to the upstream now; an open circuit turns half-open after openMs
+  available(upstream, now = Date.now()) {
+    if (!upstream.healthy) return false;
+    if (upstream.circuit === 'open' && now - upstream.openedAt >= this.openMs) {
+      upstream.circuit = 'half_open';
+      upstream.trialAt = null;
+    }
+    if (upstream.circuit === 'open') return false;
+    return upstream.circuit === 'closed' || !upstream.trialAt || now - upstream.trialAt >= TRIAL_TIMEOUT_MS;
+  }
+
+  // Upstream for a request, or null when none is available
+  pick(affinity) {
+    const now = Date.now();
+    const candidates = this.upstreams.filter(u => this.available(u, now));
+    if (!candidates.length) return null;
+
+    let upstream;
+    if (affinity) {
+      const key = String(affinity).toLowerCase();
+      const score = u => crypto.createHash('sha1').update(`${key}\n${u.url}`).digest().readUInt32BE(0);
+      upstream = candidates.reduce((best, u) => (score(u) > score(best) ? u : best));
+    } else {
+      upstream = candidates[this.next++ % candidates.length];
+    }
+    if (upstream.circuit === 'half_open') upstream.trialAt = now;
+    return upstream;
+  }
+
+  recordSuccess(upstream) {
+    if (upstream.circuit !== 'closed') console.log(`Circuit for ${upstream.url} closed`);
+    upstream.circuit = 'closed';
+    upstream.failures = 0;
+    upstream.openedAt = null;
+    upstream.trialAt = null;
+  }
+
+  recordFailure(upstream) {
+    upstream.failures++;
+    if (upstream.circuit === 'half_open' || (upstream.circuit === 'closed' && upstream.failures >= this.failureThreshold)) {
+      console.log(`Circuit for ${upstream.url} opened after ${upstream.failures} consecutive failures`);
+      upstream.circuit = 'open';
+      upstream.openedAt = Date.now();
+      upstream.trialAt = null;
+    }
+  }
+
+  // Upstream states for the admin API and metrics
+  status() {
+    return this.upstreams.map(u => ({
+      url: u.url,
+      healthy: u.healthy,
+      available: this.available(u),
+      circuit: u.circuit,
+      failures: u.failures,
+      openedAt: u.openedAt ? new Date(u.openedAt).toISOString() : null,
+      lastCheckAt: u.lastCheckAt ? new Date(u.lastCheckAt).toISOString() : null,
+      lastError: u.lastError
+    }));
+  }
+}
+
+module.exports = { UpstreamPool, isUpstreamFailure, isRetryable, retryDelay };
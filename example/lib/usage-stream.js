@@ -0,0 +1,231 @@
+/**
+ * Live usage updates over Server-Sent Events
+ *
+ * Each user with an open stream gets one feed that polls their usage on an
+ * interval, however many dashboards they have open. Every poll is compared
+ * with the previous one and only the differences are sent: executions that
+ * started, finished or failed, the execution counts and quota usage. A feed
+ * only polls while it has viewers and is dropped after a short grace period
+ * without any, so a quick reconnect keeps its event history.
+ *
+ * Event ids are <feed id>-<sequence>. A client that reconnects with
+ * Last-Event-ID gets the events it missed replayed from a short buffer;
+ * when they are no longer available it gets a snapshot with resync set and
+ * should reload the full usage data.
+ */
+const crypto = require('crypto');
+
+const DEFAULT_POLL_MS = 5 * 1000;
+const DEFAULT_MAX_VIEWERS = 10;
+// Workflow and credential counts each cost an extra n8n request, so refresh them less often
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const HEARTBEAT_MS = 15 * 1000;
+const IDLE_GRACE_MS = 30 * 1000;
+const RECONNECT_MS = 5 * 1000;
+const REPLAY_BUFFER_SIZE = 100;
+const UNFINISHED_STATUSES = ['new', 'running', 'waiting'];
+
+// Execution counts, as in the /api/usage metrics
+function countExecutions(executions) {
+  const total = executions.length;
+  const successful = executions.filter(e => e.status === 'success').length;
+  return {
+    total,
+    successful,
+    failed: executions.filter(e => e.status === 'error').length,
+    running: executions.filter(e => UNFINISHED_STATUSES.includes(e.status)).length,
+    successRate: total > 0 ? Math.round((successful / total) * 100) : 0
+  };
+}
+
+// Event for an execution whose status changed between two polls, or null
+function executionEvent(summary, previousStatus) {
+  const unfinished = UNFINISHED_STATUSES.includes(summary.status);
+  if (unfinished) return previousStatus === undefined ? 'execution.started' : null;
+  if (previousStatus !== undefined && !UNFINISHED_STATUSES.includes(previousStatus)) return null;
+  return summary.status === 'error' ? 'execution.failed' : 'execution.finished';
+}
+
+class UsageStream {
+  // load(viewer, { refresh }) must resolve to { executions, quotas }: the user's execution
+  // summaries newest first and quota usage by name; workflow and credential quotas are
+  // only needed when refresh is true. validate(viewer) resolves false once the viewer's
+  // session has ended.
+  constructor({ load, validate = async () => true, pollMs = DEFAULT_POLL_MS, maxViewers = DEFAULT_MAX_VIEWERS }) {
+    this.load = load;
+    this.validate = validate;
+    this.pollMs = pollMs;
+    this.maxViewers = maxViewers;
+    this.feeds = new Map();
+  }
+
+  // Start streaming to res; viewer.user keys the shared feed and viewer is passed to load()
+  subscribe(req, res, viewer) {
+    const key = viewer.user.toLowerCase();
+    let feed = this.feeds.get(key);
+    if (feed && feed.viewers.size >= this.maxViewers) {
+      throw Object.assign(new Error('Too many open usage streams'), { status: 429 });
+    }
+    if (!feed) {
+      feed = this.createFeed(key);
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    clearTimeout(feed.idleTimer);
+    const entry = { ...viewer, res, lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null };
+    feed.viewers.add(entry);
+    feed.viewer = entry;
+    res.on('close', () => this.unsubscribe(feed, entry));
+
+    // A new feed sends its first snapshot once the first poll completes
+    if (feed.counts) this.catchUp(feed, entry);
+    if (!feed.timer && !feed.polling) this.poll(feed);
+  }
+
+  createFeed(key) {
+    const feed = {
+      key,
+      id: crypto.randomBytes(4).toString('hex'),
+      seq: 0,
+      buffer: [],
+      viewers: new Set(),
+      viewer: null,
+      executions: null,
+      counts: null,
+      quotas: {},
+      refreshedAt: 0,
+      timer: null,
+      polling: false,
+      idleTimer: null
+    };
+    feed.heartbeat = setInterval(() => {
+      feed.viewers.forEach(v => v.res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_MS);
+    feed.heartbeat.unref();
+    this.feeds.set(key, feed);
+    return feed;
+  }
+
+  unsubscribe(feed, entry) {
+    feed.viewers.delete(entry);
+    if (feed.viewer === entry) feed.viewer = [...feed.viewers].pop() || null;
+    if (feed.viewers.size || this.feeds.get(feed.key) !== feed) return;
+
+    clearTimeout(feed.idleTimer);
+    feed.idleTimer = setTimeout(() => this.close(feed), IDLE_GRACE_MS);
+    feed.idleTimer.unref();
+  }
+
+  close(feed) {
+    clearTimeout(feed.timer);
+    clearTimeout(feed.idleTimer);
+    clearInterval(feed.heartbeat);
+    feed.viewers.forEach(v => v.res.end());
+    if (this.feeds.get(feed.key) === feed) this.feeds.delete(feed.key);
+  }
+
+  // Open feeds and connected viewers, for metrics
+  stats() {
+    const feeds = [...this.feeds.values()];
+    return { feeds: feeds.length, viewers: feeds.reduce((sum, f) => sum + f.viewers.size, 0) };
+  }
+
+  // Replay events missed since the viewer's Last-Event-ID, or send a snapshot
+  catchUp(feed, entry) {
+    const [feedId, seq] = (entry.lastEventId || '').split('-');
+    const since = Number(seq);
+    const oldest = feed.buffer.length ? feed.buffer[0].seq : feed.seq + 1;
+    if (entry.lastEventId && feedId === feed.id && since >= oldest - 1 && since <= feed.seq) {
+      feed.buffer.filter(e => e.seq > since).forEach(e => entry.res.write(e.message));
+    } else {
+      this.write(entry, 'snapshot', `${feed.id}-${feed.seq}`, {
+        counts: feed.counts,
+        quotas: feed.quotas,
+        running: [...feed.executions.values()].filter(e => UNFINISHED_STATUSES.includes(e.status)),
+        resync: !!entry.lastEventId
+      });
+    }
+    entry.lastEventId = null;
+  }
+
+  write(entry, event, id, data) {
+    entry.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(feed, event, data) {
+    const seq = ++feed.seq;
+    const message = `id: ${feed.id}-${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    feed.buffer.push({ seq, message });
+    if (feed.buffer.length > REPLAY_BUFFER_SIZE) feed.buffer.shift();
+    feed.viewers.forEach(v => v.res.write(message));
+  }
+
+  // One poll at a time per feed; the next is scheduled while it has viewers
+  async poll(feed) {
+    feed.timer = null;
+    feed.polling = true;
+    try {
+      await this.dropEnded(feed);
+      if (feed.viewer) {
+        const refresh = Date.now() - feed.refreshedAt >= REFRESH_INTERVAL_MS;
+        const { executions, quotas } = await this.load(feed.viewer, { refresh });
+        if (refresh) feed.refreshedAt = Date.now();
+        this.update(feed, executions, quotas);
+      }
+    } catch (e) {
+      console.log(`Usage stream poll failed for ${feed.key}:`, e.message);
+    } finally {
+      feed.polling = false;
+    }
+    if (feed.viewers.size && this.feeds.get(feed.key) === feed) {
+      feed.timer = setTimeout(() => this.poll(feed), this.pollMs);
+      feed.timer.unref();
+    }
+  }
+
+  // End streams whose session was revoked or expired
+  async dropEnded(feed) {
+    for (const entry of [...feed.viewers]) {
+      if (await this.validate(entry)) continue;
+      this.write(entry, 'session.ended', `${feed.id}-${feed.seq}`, { reason: 'Session not found' });
+      entry.res.end();
+      this.unsubscribe(feed, entry);
+    }
+  }
+
+  update(feed, executions, quotas = {}) {
+    const first = !feed.counts;
+    if (!first) {
+      // Oldest first, so clients see events in the order they happened
+      for (const summary of [...executions].reverse()) {
+        const event = executionEvent(summary, feed.executions.get(summary.id)?.status);
+        if (event) this.broadcast(feed, event, summary);
+      }
+    }
+    feed.executions = new Map(executions.map(e => [e.id, e]));
+
+    const counts = countExecutions(executions);
+    if (!first && JSON.stringify(counts) !== JSON.stringify(feed.counts)) this.broadcast(feed, 'counts', counts);
+    feed.counts = counts;
+
+    for (const [name, usage] of Object.entries(quotas)) {
+      const previous = feed.quotas[name];
+      if (!first && previous && JSON.stringify(previous) !== JSON.stringify(usage)) {
+        this.broadcast(feed, 'quota', { name, ...usage });
+      }
+      feed.quotas[name] = usage;
+    }
+
+    if (first) feed.viewers.forEach(v => this.catchUp(feed, v));
+  }
+}
+
+module.exports = { UsageStream, countExecutions };
@@ -0,0 +1,63 @@
+/**
+ * Local user directory
+ *
+ * n8n stays the source of truth for accounts; this file only records what
+ * the proxy knows on top of it: who was provisioned through the proxy and
+ * when, the proxy-side role and whether the user is disabled here.
+ * Records are keyed by lowercased email.
+ */
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+class UserDirectory {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.writing = Promise.resolve();
+    this.loaded = readJson(filePath, {})
+      .then(data => Object.entries(data).forEach(([email, user]) => this.users.set(email, user)))
+      .catch(e => console.log('Could not load user directory:', e.message));
+  }
+
+  save() {
+    this.writing = this.writing
+      .then(() => writeJsonAtomic(this.filePath, Object.fromEntries(this.users)))
+      .catch(e => console.log('Could not save user directory:', e.message));
+    return this.writing;
+  }
+
+  async get(email) {
+    await this.loaded;
+    const user = this.users.get(email.toLowerCase());
+    return user ? { ...user } : null;
+  }
+
+  async list() {
+    await this.loaded;
+    return [...this.users.values()].map(u => ({ ...u }));
+  }
+
+  // Merge fields into a user's record, creating it if needed
+  async update(email, fields) {
+    await this.loaded;
+    const key = email.toLowerCase();
+    const user = { email: key, proxyRole: 'member', disabled: false, ...this.users.get(key), ...fields };
+    this.users.set(key, user);
+    await this.save();
+    return { ...user };
+  }
+
+  async recordProvisioned(email, { n8nUserId, via }) {
+    return this.update(email, { n8nUserId, provisionedVia: via, provisionedAt: new Date().toISOString() });
+  }
+
+  async recordLogin(email) {
+    return this.update(email, { lastLoginAt: new Date().toISOString() });
+  }
+
+  async remove(email) {
+    await this.loaded;
+    if (this.users.delete(email.toLowerCase())) await this.save();
+  }
+}
+
+module.exports = { UserDirectory };
@@ -0,0 +1,253 @@
+/**
+ * n8n embedding bridge
+ *
+ * Injected by the proxy into every n8n page, ahead of n8n's own scripts. It
+ * watches n8n's API calls and push connection for saved workflows, finished
+ * executions and an expired session, and reports them to the host page
+ * with postMessage. It also carries out the host's open, navigate and
+ * setTheme commands.
+ *
+ * Messages are only sent to, and accepted from, the origins listed in the
+ * script tag's data-allowed-origins and the proxy's own origin.
+ */
+(function () {
+  'use strict';
+
+  if (window.parent === window || window.__n8nEmbedBridge) return;
+  window.__n8nEmbedBridge = true;
+
+  var SOURCE = 'n8n-embed';
+  var VERSION = 1;
+  var THEME_STORAGE_KEY = 'N8N_THEME';
+  var script = document.currentScript;
+  var allowedOrigins = ((script && script.getAttribute('data-allowed-origins')) || '')
+    .split(' ').filter(Boolean).concat(location.origin);
+  var sessionExpired = false;
+
+  // postMessage drops messages whose target origin does not match the parent, so
+  // posting to each allowed origin only ever reaches an allowed host
+  function post(type, data) {
+    var message = { source: SOURCE, version: VERSION, type: type, data: data || {} };
+    allowedOrigins.forEach(function (origin) {
+      try {
+        window.parent.postMessage(message, origin);
+      } catch (e) {
+        // Invalid origin string; ignore it
+      }
+    });
+  }
+
+  function emit(event, data) {
+    post('event', { event: event, payload: data || {} });
+  }
+
+  function expireSession() {
+    if (sessionExpired) return;
+    sessionExpired = true;
+    emit('session.expired', { path: location.pathname });
+  }
+
+  // --- n8n API calls -------------------------------------------------------
+
+  function apiPath(url) {
+    try {
+      var parsed = new URL(url, location.href);
+      return parsed.origin === location.origin ? parsed.pathname : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The n8n REST call a request makes, or null for any other request. Only workflow
+  // creates and updates (save) have their response body read.
+  function apiRequest(method, url) {
+    var path = apiPath(url);
+    if (!path || path.indexOf('/rest/') !== 0) return null;
+    method = (method || 'GET').toUpperCase();
+    var created = method === 'POST' && /^\/rest\/workflows\/?$/.test(path);
+    var updated = method === 'PATCH' && /^\/rest\/workflows\/[^/]+\/?$/.test(path);
+    return { path: path, save: created || updated ? { created: created } : null };
+  }
+
+  function needsBody(request, status) {
+    return !!(request && request.save && status >= 200 && status < 300);
+  }
+
+  // body is only given when needsBody() is true
+  function onApiResponse(request, status, body) {
+    if (!request) return;
+    if (status === 401 && request.path !== '/rest/login') return expireSession();
+    if (!needsBody(request, status)) return;
+
+    var workflow;
+    try {
+      workflow = JSON.parse(body);
+      workflow = workflow.data || workflow;
+    } catch (e) {
+      workflow = {};
+    }
+    emit('workflow.saved', {
+      workflowId: workflow.id || request.path.split('/')[3] || null,
+      name: workflow.name || null,
+      active: typeof workflow.active === 'boolean' ? workflow.active : null,
+      created: request.save.created
+    });
+  }
+
+  var open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    var xhr = this;
+    // A request object can be reused, so listen once and read the latest request
+    if (!xhr.__n8nEmbedRequest) {
+      xhr.addEventListener('load', function () {
+        var request = xhr.__n8nEmbedRequest.api;
+        var body = null;
+        if (needsBody(request, xhr.status)) {
+          body = xhr.responseType === '' || xhr.responseType === 'text' ? xhr.responseText : JSON.stringify(xhr.response);
+        }
+        onApiResponse(request, xhr.status, body);
+      });
+    }
+    xhr.__n8nEmbedRequest = { api: apiRequest(method, String(url)) };
+    return open.apply(this, arguments);
+  };
+
+  if (window.fetch) {
+    var fetch = window.fetch;
+    window.fetch = function (input, init) {
+      var method = (init && init.method) || (input && input.method) || 'GET';
+      var url = typeof input === 'string' ? input : (input && input.url) || String(input);
+      var request = apiRequest(method, url);
+      return fetch.apply(this, arguments).then(function (response) {
+        if (!needsBody(request, response.status)) {
+          onApiResponse(request, response.status, null);
+        } else {
+          response.clone().text().then(function (body) {
+            onApiResponse(request, response.status, body);
+          }, function () {});
+        }
+        return response;
+      });
+    };
+  }
+
+  // --- n8n push connection (WebSocket or Server-Sent Events) ---------------
+
+  function onPushMessage(raw) {
+    var message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (!message || message.type !== 'executionFinished') return;
+    var data = message.data || {};
+    emit('execution.finished', {
+      executionId: data.executionId || null,
+      workflowId: data.workflowId || (data.data && data.data.workflowId) || null,
+      status: data.status || (data.data && data.data.status) || null
+    });
+  }
+
+  function watchPush(Original) {
+    if (!Original) return Original;
+    function Patched(url) {
+      var instance = new (Function.prototype.bind.apply(Original, [null].concat([].slice.call(arguments))))();
+      if (String(url).indexOf('/rest/push') !== -1) {
+        instance.addEventListener('message', function (event) {
+          if (typeof event.data === 'string') onPushMessage(event.data);
+        });
+      }
+      return instance;
+    }
+    Patched.prototype = Original.prototype;
+    Object.keys(Original).forEach(function (key) { Patched[key] = Original[key]; });
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function (key) {
+      if (key in Original) Patched[key] = Original[key];
+    });
+    return Patched;
+  }
+
+  window.WebSocket = watchPush(window.WebSocket);
+  window.EventSource = watchPush(window.EventSource);
+
+  // --- Navigation and size -------------------------------------------------
+
+  function routeChanged() {
+    if (/^\/signin\b/.test(location.pathname)) expireSession();
+    emit('route.changed', { path: location.pathname + location.search });
+  }
+
+  ['pushState', 'replaceState'].forEach(function (name) {
+    var original = history[name];
+    history[name] = function () {
+      var result = original.apply(this, arguments);
+      routeChanged();
+      return result;
+    };
+  });
+  window.addEventListener('popstate', routeChanged);
+
+  // n8n uses Vue Router in history mode, which follows popstate without reloading
+  function navigate(path) {
+    if (typeof path !== 'string' || path.charAt(0) !== '/' || path.charAt(1) === '/') return;
+    history.pushState({}, '', path);
+    window.dispatchEvent(new PopStateEvent('popstate', { state: {} }));
+  }
+
+  function setTheme(theme) {
+    if (['light', 'dark', 'system'].indexOf(theme) === -1) return;
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, theme);
+    } catch (e) {
+      // Storage disabled; the theme still applies until the next reload
+    }
+    var dark = theme === 'dark' || (theme === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    if (dark) document.body.setAttribute('data-theme', 'dark');
+    else document.body.removeAttribute('data-theme');
+  }
+
+  var lastSize = '';
+  function reportSize() {
+    var size = { width: document.documentElement.scrollWidth, height: document.documentElement.scrollHeight };
+    if (size.width + 'x' + size.height === lastSize) return;
+    lastSize = size.width + 'x' + size.height;
+    emit('resize', size);
+  }
+
+  // --- Commands from the host page -----------------------------------------
+
+  window.addEventListener('message', function (event) {
+    if (event.source !== window.parent || allowedOrigins.indexOf(event.origin) === -1) return;
+    var message = event.data;
+    if (!message || message.source !== SOURCE || message.type !== 'command') return;
+
+    var data = message.data || {};
+    switch (data.command) {
+      case 'open':
+        if (/^[A-Za-z0-9_-]+$/.test(String(data.workflowId))) navigate('/workflow/' + data.workflowId);
+        else if (data.workflowId === 'new') navigate('/workflow/new');
+        break;
+      case 'navigate':
+        navigate(data.path);
+        break;
+      case 'setTheme':
+        if (document.body) setTheme(data.theme);
+        else document.addEventListener('DOMContentLoaded', function () { setTheme(data.theme); });
+        break;
+      case 'ping':
+        post('ready', { path: location.pathname + location.search });
+        break;
+    }
+  });
+
+  document.addEventListener('DOMContentLoaded', function () {
+    if (window.ResizeObserver) new ResizeObserver(reportSize).observe(document.documentElement);
+    post('ready', { path: location.pathname + location.search });
+    routeChanged();
+  });
+
+  window.addEventListener('pagehide', function () {
+    post('unload');
+  });
+})();
@@ -0,0 +1,64 @@
+/**
+ * Types for the n8n embedding SDK (n8n-embed.js), available as the global N8nEmbed.
+ */
+
+export type N8nEmbedTheme = 'light' | 'dark' | 'system';
+
+export interface N8nEmbedEvents {
+  /** A workflow was created or saved in the editor */
+  'workflow.saved': { workflowId: string | null; name: string | null; active: boolean | null; created: boolean };
+  /** A workflow execution started from the editor finished */
+  'execution.finished': { executionId: string | null; workflowId: string | null; status: string | null };
+  /** The n8n session ended inside the frame; log the user in again before reloading it */
+  'session.expired': { path: string };
+  /** The page inside the frame changed */
+  'route.changed': { path: string };
+  /** The n8n page's content size changed */
+  'resize': { width: number; height: number };
+}
+
+export type N8nEmbedEventName = keyof N8nEmbedEvents;
+
+export interface N8nEmbedOptions {
+  /** Element to create the iframe in; ignored when iframe is given */
+  container?: HTMLElement;
+  /** Existing iframe to control instead of creating one */
+  iframe?: HTMLIFrameElement;
+  /** Proxy URL; defaults to the origin the SDK script was loaded from */
+  baseUrl?: string;
+  /** n8n path to load first, e.g. '/home/workflows' */
+  path?: string;
+  theme?: N8nEmbedTheme;
+  /** Set the iframe's height to the n8n page's content height */
+  autoResize?: boolean;
+  /** Title of a created iframe */
+  title?: string;
+}
+
+export interface N8nEmbedInstance {
+  readonly iframe: HTMLIFrameElement | null;
+  /** Open a workflow in the editor; 'new' opens a blank one */
+  open(workflowId: string): void;
+  /** Go to an n8n path, e.g. '/home/executions'; load reloads the frame at that path instead */
+  navigate(path: string, load?: boolean): void;
+  /** Listen for an event; returns a function that removes the listener */
+  onEvent<E extends N8nEmbedEventName>(name: E, listener: (payload: N8nEmbedEvents[E]) => void): () => void;
+  onEvent(name: '*', listener: <E extends N8nEmbedEventName>(name: E, payload: N8nEmbedEvents[E]) => void): () => void;
+  setTheme(theme: N8nEmbedTheme): void;
+  /** Numbers are pixels; strings are any CSS length */
+  setSize(width?: number | string | null, height?: number | string | null): void;
+  /** Stop listening for messages and remove an iframe the SDK created */
+  destroy(): void;
+}
+
+export interface N8nEmbedStatic {
+  readonly EVENTS: N8nEmbedEventName[];
+  create(options: N8nEmbedOptions): N8nEmbedInstance;
+}
+
+declare global {
+  interface Window {
+    N8nEmbed: N8nEmbedStatic;
+  }
+  const N8nEmbed: N8nEmbedStatic;
+}
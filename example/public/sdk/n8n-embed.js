@@ -0,0 +1,162 @@
+/**
+ * n8n embedding SDK
+ *
+ * Load it from the proxy on the host page and attach it to an iframe:
+ *
+ *   <script src="https://n8n-proxy.example.com/sdk/n8n-embed.js"></script>
+ *   const embed = N8nEmbed.create({ container: document.getElementById('editor') });
+ *   embed.onEvent('workflow.saved', ({ workflowId }) => ...);
+ *   embed.open('abc123');
+ *
+ * It talks to the bridge script the proxy injects into n8n pages. Messages are
+ * only accepted from the iframe's window at the proxy's origin, and commands are
+ * only posted to that origin. The host page's origin must be listed in the
+ * proxy's EMBED_ALLOWED_ORIGINS unless it is the proxy itself.
+ * Types are in n8n-embed.d.ts.
+ */
+(function (root) {
+  'use strict';
+
+  var SOURCE = 'n8n-embed';
+  var EVENTS = ['workflow.saved', 'execution.finished', 'session.expired', 'route.changed', 'resize'];
+  var THEMES = ['light', 'dark', 'system'];
+  var script = document.currentScript;
+  var scriptOrigin = script && script.src ? new URL(script.src, location.href).origin : location.origin;
+
+  function N8nEmbed(options) {
+    options = options || {};
+    this.origin = new URL(options.baseUrl || scriptOrigin, location.href).origin;
+    this.autoResize = !!options.autoResize;
+    this.ready = false;
+    this.pending = [];
+    this.listeners = {};
+    this.theme = null;
+
+    this.ownsIframe = !options.iframe;
+    if (options.iframe) {
+      this.iframe = options.iframe;
+    } else {
+      if (!options.container) throw new Error('N8nEmbed needs a container or an iframe');
+      this.iframe = document.createElement('iframe');
+      this.iframe.style.width = '100%';
+      this.iframe.style.height = '100%';
+      this.iframe.style.border = 'none';
+      this.iframe.title = options.title || 'n8n';
+      options.container.appendChild(this.iframe);
+    }
+
+    this.onMessage = this.onMessage.bind(this);
+    window.addEventListener('message', this.onMessage);
+
+    if (options.theme) this.setTheme(options.theme);
+    if (options.path) this.navigate(options.path, true);
+    // An n8n page already in a given iframe announced itself before we listened, so ask again
+    else if (options.iframe && this.iframe.contentWindow) this.post({ command: 'ping' });
+  }
+
+  N8nEmbed.prototype.onMessage = function (event) {
+    if (!this.iframe || event.source !== this.iframe.contentWindow || event.origin !== this.origin) return;
+    var message = event.data;
+    if (!message || message.source !== SOURCE) return;
+
+    // Each page loaded in the frame gets its own bridge, which announces itself when ready
+    if (message.type === 'unload') {
+      this.ready = false;
+    } else if (message.type === 'ready') {
+      this.ready = true;
+      // The theme is re-applied on every page load, before any queued command
+      if (this.theme) this.post({ command: 'setTheme', theme: this.theme });
+      var pending = this.pending;
+      this.pending = [];
+      pending.forEach(this.post, this);
+    } else if (message.type === 'event' && message.data) {
+      var name = message.data.event;
+      var payload = message.data.payload || {};
+      if (name === 'resize' && this.autoResize && payload.height) {
+        this.iframe.style.height = payload.height + 'px';
+      }
+      (this.listeners[name] || []).slice().forEach(function (listener) {
+        try {
+          listener(payload);
+        } catch (e) {
+          console.error('n8n embed listener for ' + name + ' failed:', e);
+        }
+      });
+      (this.listeners['*'] || []).slice().forEach(function (listener) {
+        listener(name, payload);
+      });
+    }
+  };
+
+  // Commands sent before the bridge is ready are queued until it is
+  N8nEmbed.prototype.send = function (data) {
+    if (!this.iframe) throw new Error('N8nEmbed has been destroyed');
+    if (this.ready) this.post(data);
+    else this.pending.push(data);
+  };
+
+  N8nEmbed.prototype.post = function (data) {
+    this.iframe.contentWindow.postMessage({ source: SOURCE, version: 1, type: 'command', data: data }, this.origin);
+  };
+
+  // Open a workflow in the editor; 'new' opens a blank one
+  N8nEmbed.prototype.open = function (workflowId) {
+    if (!workflowId) throw new Error('workflowId is required');
+    this.send({ command: 'open', workflowId: String(workflowId) });
+  };
+
+  // Go to any n8n path, e.g. '/home/executions'. Before the first page has loaded the
+  // frame is pointed at the path directly
+  N8nEmbed.prototype.navigate = function (path, load) {
+    if (typeof path !== 'string' || path.charAt(0) !== '/' || path.charAt(1) === '/') {
+      throw new Error('path must start with a single /');
+    }
+    if (load || !this.iframe.src || this.iframe.src === 'about:blank') {
+      this.ready = false;
+      this.iframe.src = this.origin + path;
+    } else {
+      this.send({ command: 'navigate', path: path });
+    }
+  };
+
+  // Listen for one event, or '*' for all; returns a function that removes the listener
+  N8nEmbed.prototype.onEvent = function (name, listener) {
+    if (name !== '*' && EVENTS.indexOf(name) === -1) throw new Error('Unknown event: ' + name);
+    var listeners = this.listeners[name] = this.listeners[name] || [];
+    listeners.push(listener);
+    return function () {
+      var index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  };
+
+  N8nEmbed.prototype.setTheme = function (theme) {
+    if (THEMES.indexOf(theme) === -1) throw new Error('theme must be one of: ' + THEMES.join(', '));
+    this.theme = theme;
+    if (this.ready) this.post({ command: 'setTheme', theme: theme });
+  };
+
+  N8nEmbed.prototype.setSize = function (width, height) {
+    if (width !== undefined && width !== null) this.iframe.style.width = typeof width === 'number' ? width + 'px' : width;
+    if (height !== undefined && height !== null) this.iframe.style.height = typeof height === 'number' ? height + 'px' : height;
+  };
+
+  // Stop listening; an iframe the SDK created is removed as well
+  N8nEmbed.prototype.destroy = function () {
+    if (!this.iframe) return;
+    window.removeEventListener('message', this.onMessage);
+    if (this.ownsIframe && this.iframe.parentNode) {
+      this.iframe.parentNode.removeChild(this.iframe);
+    }
+    this.iframe = null;
+    this.listeners = {};
+    this.pending = [];
+  };
+
+  root.N8nEmbed = {
+    EVENTS: EVENTS.slice(),
+    create: function (options) {
+      return new N8nEmbed(options);
+    }
+  };
+})(window);
@@ -8,16 +8,51 @@ require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
 const cookieParser = require('cookie-parser');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const { v4: uuidv4 } = require('uuid');
 const https = require('https');
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionStore } = require('./lib/session-store');
+const { createSsoVerifier, deriveSsoPassword, SsoError } = require('./lib/sso');
+const { UserDirectory } = require('./lib/user-directory');
+const { AdminSessionManager, setCookieExpiry } = require('./lib/admin-session');
+const { TenantProjects } = require('./lib/tenant-projects');
+const { ExecutionCache } = require('./lib/execution-cache');
+const { BillingEngine, periodRange, periodLabel } = require('./lib/billing');
+const { QuotaGuard } = require('./lib/quota-guard');
+const { createRateLimitStore, RateLimiter, LoginLockout } = require('./lib/rate-limit');
+const { AuditLog, diffValues, EXPORT_FORMATS } = require('./lib/audit-log');
+const { Registry } = require('./lib/prometheus');
+const { UsageStream } = require('./lib/usage-stream');
+const { UpstreamPool, isUpstreamFailure, isRetryable, retryDelay } = require('./lib/upstream-pool');
+const { parseAllowedOrigins, shouldInject, injectBridge, frameAncestors, readBody } = require('./lib/embed-bridge');
+const { TemplateCatalog } = require('./lib/template-catalog');
 
 const app = express();
+
+// Behind a reverse proxy, take client IPs from X-Forwarded-For (hop count or proxy addresses)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Prometheus/OpenMetrics metrics served at GET /metrics; every metric keeps at most METRICS_MAX_SERIES label sets
+const metrics = new Registry({
+  prefix: 'n8n_proxy_',
+  maxSeries: parseInt(process.env.METRICS_MAX_SERIES, 10) || 1000
+});
+app.use(metrics.httpMetrics({ fallbackRoute: req => req.metricsRoute || 'unmatched' }));
 app.use(express.json());
 app.use(cookieParser());
 
-// Configuration from environment
-const N8N_API = process.env.N8N_API_URL;
+// Configuration from environment; N8N_API_URL may list several n8n instances sharing one database
+const N8N_UPSTREAMS = (process.env.N8N_API_URL || '').split(',').map(u => u.trim()).filter(Boolean);
+const N8N_API = N8N_UPSTREAMS[0];
+const N8N_TIMEOUT_MS = (parseInt(process.env.N8N_TIMEOUT_SECONDS, 10) || 30) * 1000;
+// Both can be set to 0: no retries, no health checks
+const N8N_RETRIES = process.env.N8N_RETRIES ? parseInt(process.env.N8N_RETRIES, 10) || 0 : 2;
+const N8N_HEALTH_INTERVAL_MS = (process.env.N8N_HEALTH_INTERVAL_SECONDS ? parseInt(process.env.N8N_HEALTH_INTERVAL_SECONDS, 10) || 0 : 10) * 1000;
+const MAINTENANCE_RETRY_AFTER_SECONDS = 30;
 const ADMIN_EMAIL = process.env.N8N_ADMIN_EMAIL;
 const ADMIN_PASSWORD = process.env.N8N_ADMIN_PASSWORD;
 const PROXY_COOKIE_NAME = process.env.N8N_PROXY_COOKIE || 'n8n_proxy_session';
@@ -25,12 +60,25 @@ const BASIC_AUTH_USER = process.env.N8N_BASIC_AUTH_USER;
 const BASIC_AUTH_PASSWORD = process.env.N8N_BASIC_AUTH_PASSWORD;
 const USER_MGMT_API_URL = process.env.USER_MGMT_API_URL;
 const USER_MGMT_API_KEY = process.env.USER_MGMT_API_KEY;
+const PROXY_API_KEY = process.env.PROXY_API_KEY; // sent by the User Management API to /api/internal
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_SECONDS, 10) || 7 * 24 * 60 * 60) * 1000;
+const SESSION_POLICY = process.env.SESSION_POLICY || 'single'; // 'single' or 'multi' sessions per user
+const SSO_PASSWORD_SECRET = process.env.SSO_PASSWORD_SECRET || process.env.SSO_JWT_SECRET;
+const SSO_EMAIL_CLAIM = process.env.SSO_EMAIL_CLAIM || 'email';
+const SSO_TENANT_CLAIM = process.env.SSO_TENANT_CLAIM || 'tenant_id';
+const SSO_LINK_EXISTING_USERS = process.env.SSO_LINK_EXISTING_USERS === 'true';
+const DEFAULT_LANDING_PATH = '/home/workflows';
+const QUOTA_WARN_THRESHOLD = parseFloat(process.env.QUOTA_WARN_THRESHOLD) || 0.8;
+const PROXY_ADMIN_EMAILS = (process.env.PROXY_ADMIN_EMAILS || '')
+  .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+// Host pages allowed to embed n8n and talk to it through the embedding SDK
+const EMBED_ALLOWED_ORIGINS = parseAllowedOrigins(process.env.EMBED_ALLOWED_ORIGINS);
 
 const COOKIE_OPTIONS = {
   httpOnly: true,
   sameSite: 'Lax',
   secure: process.env.COOKIE_SECURE === 'true',
-  maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  maxAge: SESSION_TTL_MS
 };
 
 if (!N8N_API) {
@@ -47,8 +95,200 @@ const axiosConfig = {
     : undefined
 };
 
-// Session storage (use Redis in production)
-const sessionStore = new Map();
+// Session storage: memory (default), file or redis
+const sessionStore = createSessionStore({
+  type: process.env.SESSION_STORE || 'memory',
+  ttlMs: SESSION_TTL_MS,
+  filePath: process.env.SESSION_FILE || path.join(__dirname, 'data', 'sessions.json'),
+  redisUrl: process.env.REDIS_URL
+});
+
+// Local record of provisioned users, proxy roles and disabled accounts
+const userDirectory = new UserDirectory(process.env.USER_DIRECTORY_FILE || path.join(__dirname, 'data', 'users.json'));
+
+// SSO token verifier, null when SSO is not configured
+const verifySsoToken = createSsoVerifier({
+  secret: process.env.SSO_JWT_SECRET,
+  jwksFile: process.env.SSO_JWKS_FILE,
+  issuer: process.env.SSO_ISSUER,
+  audience: process.env.SSO_AUDIENCE,
+  maxAge: process.env.SSO_MAX_TOKEN_AGE || '5m'
+});
+
+// Per-user execution summaries, synced incrementally from n8n
+const executionCache = new ExecutionCache(process.env.EXECUTION_CACHE_DIR || path.join(__dirname, 'data', 'executions'));
+
+// Billing plans, limits and per-user plan assignments
+const billing = BillingEngine.fromFile(process.env.BILLING_PLANS_FILE || path.join(__dirname, 'billing-plans.json'));
+
+// Rate limit counters and failed-login lockouts: memory (default) or redis
+const rateLimitStore = createRateLimitStore({
+  type: process.env.RATE_LIMIT_STORE || 'memory',
+  redisUrl: process.env.REDIS_URL
+});
+const rateLimiter = new RateLimiter({
+  store: rateLimitStore,
+  prefix: 'n8n_proxy:ratelimit:',
+  identities: { user: req => req.proxySession?.email },
+  onLimit: (req, res, result) => res.status(429).json({
+    success: false,
+    error: 'Too many requests, please try again later',
+    retryAfter: Math.ceil(result.retryAfterMs / 1000)
+  })
+});
+const loginLockout = new LoginLockout({
+  store: rateLimitStore,
+  prefix: 'n8n_proxy:lockout:',
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5
+});
+
+// Password logins share one strict budget per IP; the iframe itself gets a burst-friendly bucket
+const RATE_LIMITS = {
+  login: { name: 'login', limit: 10, windowMs: 15 * 60 * 1000 },
+  signup: { name: 'signup', limit: 5, windowMs: 60 * 60 * 1000 },
+  sso: { name: 'sso', limit: 30, windowMs: 60 * 1000 },
+  api: { name: 'api', limit: 300, windowMs: 15 * 60 * 1000 },
+  n8n: { name: 'n8n', algorithm: 'token-bucket', limit: 600, windowMs: 60 * 1000, keyBy: ['user', 'ip'] }
+};
+
+// Hash-chained audit trail of logins, user and session administration and quota denials
+const auditLog = new AuditLog({
+  file: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'data', 'audit.ndjson')
+});
+
+// Record an audit event; the signed-in user is the actor unless changes.actor says otherwise
+function audit(req, action, target, { actor = req.proxySession?.email || null, before, after, details } = {}) {
+  return auditLog.record({ actor, action, target, ip: req.ip, before, after, details });
+}
+
+// Per-user series are labelled with a hash of the email, so scrapes carry no addresses
+function metricsUser(email) {
+  return crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16);
+}
+
+// Sessions are listed and revoked by a hash of the token, so the admin API never hands out session cookies
+function sessionId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+}
+
+// Proxy metrics
+const proxyMetrics = {
+  sessions: metrics.gauge({ name: 'n8n_proxy_sessions', help: 'Proxy sessions, active if used in the last 15 minutes', labelNames: ['state'] }),
+  sessionUsers: metrics.gauge({ name: 'n8n_proxy_session_users', help: 'Users with at least one proxy session' }),
+  userRequests: metrics.counter({ name: 'n8n_proxy_user_requests_total', help: 'Requests proxied to n8n per user', labelNames: ['user'] }),
+  quotaDenied: metrics.counter({ name: 'n8n_proxy_quota_denied_total', help: 'Requests blocked by a plan quota', labelNames: ['user', 'quota'] }),
+  upstreamDuration: metrics.histogram({
+    name: 'n8n_proxy_upstream_request_duration_seconds',
+    help: 'Duration of requests to n8n and the User Management API in seconds',
+    labelNames: ['upstream', 'status']
+  }),
+  upstreamErrors: metrics.counter({
+    name: 'n8n_proxy_upstream_errors_total',
+    help: 'Upstream requests that failed with a 5xx response, timeout or connection error',
+    labelNames: ['upstream', 'reason']
+  }),
+  upstreamRetries: metrics.counter({ name: 'n8n_proxy_upstream_retries_total', help: 'n8n REST calls sent again after a failure', labelNames: ['backend'] }),
+  upstreamUp: metrics.gauge({ name: 'n8n_proxy_upstream_up', help: 'Whether the n8n backend passed its last health check', labelNames: ['backend'] }),
+  upstreamCircuit: metrics.gauge({ name: 'n8n_proxy_upstream_circuit_state', help: 'Circuit breaker state per n8n backend, 1 for the current state', labelNames: ['backend', 'state'] }),
+  // Set from each user's latest /api/usage request for the current billing period
+  userExecutions: metrics.gauge({ name: 'n8n_proxy_user_executions', help: 'Executions per user and status', labelNames: ['user', 'status'] }),
+  userSuccessRatio: metrics.gauge({ name: 'n8n_proxy_user_execution_success_ratio', help: 'Share of the user\'s executions that succeeded, from 0 to 1', labelNames: ['user'] }),
+  userStorage: metrics.gauge({ name: 'n8n_proxy_user_storage_bytes', help: 'Storage used by the user in bytes', labelNames: ['user'] }),
+  userWorkflows: metrics.gauge({ name: 'n8n_proxy_user_workflows', help: 'Workflows per user', labelNames: ['user'] }),
+  usageStreams: metrics.gauge({ name: 'n8n_proxy_usage_stream_viewers', help: 'Open /api/usage/stream connections' })
+};
+
+const SESSION_ACTIVE_WINDOW_MS = 15 * 60 * 1000;
+metrics.collect(async () => {
+  const sessions = await sessionStore.list();
+  const active = sessions.filter(s => Date.now() - s.lastActive < SESSION_ACTIVE_WINDOW_MS).length;
+  proxyMetrics.sessions.set({ state: 'active' }, active);
+  proxyMetrics.sessions.set({ state: 'idle' }, sessions.length - active);
+  proxyMetrics.sessionUsers.set(new Set(sessions.map(s => s.email?.toLowerCase())).size);
+  proxyMetrics.usageStreams.set(usageStream.stats().viewers);
+  for (const upstream of upstreams.status()) {
+    proxyMetrics.upstreamUp.set({ backend: upstream.url }, upstream.healthy ? 1 : 0);
+    for (const state of ['closed', 'open', 'half_open']) {
+      proxyMetrics.upstreamCircuit.set({ backend: upstream.url, state }, upstream.circuit === state ? 1 : 0);
+    }
+  }
+});
+
+// Record the outcome of an upstream request started with startTimer; 5xx and network errors count as errors
+function upstreamDone(upstream, end, statusCode, error) {
+  if (end) end({ status: statusCode ? String(statusCode) : 'error' });
+  if (!statusCode || statusCode >= 500) {
+    proxyMetrics.upstreamErrors.inc({ upstream, reason: statusCode ? `http_${statusCode}` : (error?.code || 'error') });
+  }
+}
+
+// n8n instances behind the proxy; a backend is skipped while its health check
+// fails or its circuit is open
+const upstreams = new UpstreamPool({
+  urls: N8N_UPSTREAMS,
+  probe: upstream => axios.get(`${upstream.url}${process.env.N8N_HEALTH_PATH || '/healthz'}`, {
+    ...axiosConfig,
+    timeout: 5000,
+    healthCheck: true,
+    validateStatus: status => status < 500
+  }),
+  healthIntervalMs: N8N_HEALTH_INTERVAL_MS,
+  failureThreshold: parseInt(process.env.N8N_CIRCUIT_FAILURES, 10) || 5,
+  openMs: (parseInt(process.env.N8N_CIRCUIT_OPEN_SECONDS, 10) || 30) * 1000
+});
+upstreams.start();
+
+// axios config for n8n REST calls made with a user's session, routed to the user's backend
+function sessionRequestConfig(session) {
+  return { ...axiosConfig, headers: { Cookie: session.n8nCookie }, affinity: session.email };
+}
+
+// Route n8n REST calls (${N8N_API}/...) to an available backend, sticking to config.affinity,
+// and time every axios call to n8n and the User Management API
+axios.interceptors.request.use(config => {
+  if (config.healthCheck) return config;
+  if (config.n8nPath === undefined && config.url?.startsWith(N8N_API) && /^($|[/?])/.test(config.url.slice(N8N_API.length))) {
+    config.n8nPath = config.url.slice(N8N_API.length);
+  }
+  if (config.n8nPath !== undefined) {
+    config.upstream = upstreams.pick(config.affinity);
+    if (!config.upstream) {
+      throw new axios.AxiosError('n8n is temporarily unavailable', 'N8N_UNAVAILABLE', config);
+    }
+    config.url = `${config.upstream.url}${config.n8nPath}`;
+    config.timeout = config.timeout || N8N_TIMEOUT_MS;
+  }
+  config.metricsTimer = proxyMetrics.upstreamDuration.startTimer({ upstream: config.n8nPath !== undefined ? 'n8n' : 'user_management' });
+  return config;
+});
+axios.interceptors.response.use(response => {
+  if (response.config.healthCheck) return response;
+  if (response.config.upstream) upstreams.recordSuccess(response.config.upstream);
+  upstreamDone(response.config.n8nPath !== undefined ? 'n8n' : 'user_management', response.config.metricsTimer, response.status);
+  return response;
+}, async error => {
+  const config = error.config;
+  if (config?.healthCheck) return Promise.reject(error);
+  upstreamDone(config?.n8nPath !== undefined ? 'n8n' : 'user_management', config?.metricsTimer, error.response?.status, error);
+  if (!config?.upstream) return Promise.reject(error);
+
+  // Any answer other than a gateway error shows the backend is up
+  if (!isUpstreamFailure(error)) {
+    upstreams.recordSuccess(config.upstream);
+    return Promise.reject(error);
+  }
+  upstreams.recordFailure(config.upstream);
+  config.retries = config.retries || 0;
+  if (!isRetryable(error) || config.retries >= N8N_RETRIES) return Promise.reject(error);
+
+  config.retries++;
+  proxyMetrics.upstreamRetries.inc({ backend: config.upstream.url });
+  await new Promise(resolve => setTimeout(resolve, retryDelay(config.retries)));
+  return axios(config);
+});
+
+// Only persist lastActive this often, not on every proxied asset request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
 
 // Parse Set-Cookie headers to Cookie header format
 function parseSetCookies(headers) {
@@ -56,205 +296,780 @@ function parseSetCookies(headers) {
   return headers.map(c => c.split(';')[0]).join('; ');
 }
 
-// Create or update session
-function createSession(email, n8nCookie, res) {
+// Log out of n8n so the upstream cookie is invalidated, then drop the proxy session
+async function revokeSession(token, session) {
+  try {
+    await axios.post(`${N8N_API}/rest/logout`, {}, sessionRequestConfig(session));
+  } catch (e) {
+    console.log('Could not log out of n8n:', e.message);
+  }
+  await sessionStore.delete(token);
+}
+
+// Revoke every session belonging to a user, returns the number revoked
+async function revokeUserSessions(email) {
+  const sessions = (await sessionStore.list())
+    .filter(s => s.email.toLowerCase() === email.toLowerCase());
+  for (const s of sessions) await revokeSession(s.token, s);
+  return sessions.length;
+}
+
+// Create or update session, details are stored alongside the n8n cookie
+async function createSession(email, n8nCookie, req, res, details = {}) {
   if (!n8nCookie) return null;
   
-  // Remove existing sessions for this user
-  for (const [t, s] of sessionStore.entries()) {
-    if (s.email === email) sessionStore.delete(t);
+  if ((await userDirectory.get(email))?.disabled) {
+    throw Object.assign(new Error('User is disabled'), { status: 403 });
+  }
+  
+  // Single-session policy: a new login ends the user's older sessions
+  if (SESSION_POLICY === 'single') {
+    await revokeUserSessions(email);
   }
   
   const token = uuidv4();
-  sessionStore.set(token, { email, n8nCookie, lastActive: Date.now() });
+  await sessionStore.set(token, {
+    ...details,
+    email,
+    n8nCookie,
+    createdAt: Date.now(),
+    lastActive: Date.now(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || ''
+  });
   res.cookie(PROXY_COOKIE_NAME, token, COOKIE_OPTIONS);
+  await userDirectory.recordLogin(email);
+  await audit(req, 'auth.login', email, { actor: email, details: { tenantId: details.tenantId || null } });
   return token;
 }
 
-// Get admin session for user management
-async function getAdminSession() {
+// Require a valid proxy session for our own API routes
+async function requireSession(req, res, next) {
+  try {
+    const token = req.cookies[PROXY_COOKIE_NAME];
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+    
+    const session = await sessionStore.get(token);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Session not found' });
+    }
+    
+    req.sessionToken = token;
+    req.proxySession = session;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Proxy admins: the configured n8n admin, PROXY_ADMIN_EMAILS and users given the admin proxy role
+async function isProxyAdmin(email) {
+  const normalized = (email || '').toLowerCase();
+  if (normalized === (ADMIN_EMAIL || '').toLowerCase() || PROXY_ADMIN_EMAILS.includes(normalized)) return true;
+  return (await userDirectory.get(normalized))?.proxyRole === 'admin';
+}
+
+function requireAdmin(req, res, next) {
+  requireSession(req, res, async () => {
+    try {
+      if (!(await isProxyAdmin(req.proxySession.email))) {
+        return res.status(403).json({ success: false, error: 'Admin privileges required' });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
+// Calls from the User Management API, which sends PROXY_API_KEY as X-API-Key
+function requireInternalKey(req, res, next) {
+  const given = Buffer.from(req.get('X-API-Key') || '');
+  const expected = Buffer.from(PROXY_API_KEY || '');
+  if (!PROXY_API_KEY || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+  next();
+}
+
+// Cached admin session for user management, shared by all admin-driven features
+const adminSession = new AdminSessionManager(async () => {
   const response = await axios.post(`${N8N_API}/rest/login`, {
     emailOrLdapLoginId: ADMIN_EMAIL,
     password: ADMIN_PASSWORD
   }, { ...axiosConfig, withCredentials: true });
-  return parseSetCookies(response.headers['set-cookie']);
+  const setCookie = response.headers['set-cookie'];
+  return { cookie: parseSetCookies(setCookie), expiresAt: setCookieExpiry(setCookie) };
+});
+
+// Call the n8n REST API as the admin
+function adminRequest(config) {
+  return adminSession.withCookie(cookie => axios({
+    ...axiosConfig,
+    ...config,
+    url: `${N8N_API}${config.url}`,
+    headers: { ...config.headers, Cookie: cookie }
+  }));
 }
 
-// Serve static files
-app.use(express.static('public'));
+// Each tenant maps to its own n8n project
+const tenantProjects = new TenantProjects({
+  filePath: process.env.TENANTS_FILE || path.join(__dirname, 'data', 'tenants.json'),
+  adminRequest,
+  projectRole: process.env.TENANT_PROJECT_ROLE || 'project:editor'
+});
+
+// Open a proxy session and place the user in their tenant's project, returns the iframe landing path.
+// A user's tenant is fixed once assigned; only an admin can move them.
+async function establishSession(req, res, { email, cookie, userId, tenantId }) {
+  if (tenantId && !TenantProjects.isValidTenantId(tenantId)) {
+    throw Object.assign(new Error('Invalid tenant ID'), { status: 400 });
+  }
+  const record = await userDirectory.get(email);
+  if (tenantId && record?.tenantId && record.tenantId !== tenantId) {
+    throw Object.assign(new Error('User belongs to another tenant'), { status: 403 });
+  }
+  
+  const effectiveTenant = tenantId || record?.tenantId;
+  await createSession(email, cookie, req, res, { tenantId: effectiveTenant || null });
+  if (!effectiveTenant) return DEFAULT_LANDING_PATH;
+  
+  const projectId = await tenantProjects.addUser(effectiveTenant, userId);
+  if (!record?.tenantId) await userDirectory.update(email, { tenantId: effectiveTenant });
+  return `/projects/${projectId}/workflows`;
+}
 
-// Create user via n8n invitation flow
-app.post('/api/users/create', async (req, res) => {
+// Run a password login under the failed-login lockout; wrong passwords count towards it
+async function withLoginLockout(email, req, res, login) {
+  const lockedMs = email ? await loginLockout.lockedFor(email) : 0;
+  if (lockedMs) {
+    await audit(req, 'auth.login_failed', email, { actor: null, details: { reason: 'locked' } });
+    res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+    throw Object.assign(new Error('Too many failed logins, please try again later'), { status: 429 });
+  }
   try {
-    const { email, password, firstName, lastName } = req.body;
-    const adminCookie = await getAdminSession();
-    
-    // Try to create invitation
-    const inviteRes = await axios.post(`${N8N_API}/rest/invitations`, 
-      [{ email, role: 'global:member' }],
-      { ...axiosConfig, headers: { Cookie: adminCookie } }
-    );
-    
-    const invitation = inviteRes.data?.data?.[0]?.user;
-    
-    // If no invitation returned, user may exist - try login
-    if (!invitation?.id) {
-      const loginRes = await axios.post(`${N8N_API}/rest/login`, {
-        emailOrLdapLoginId: email, password
-      }, { ...axiosConfig, withCredentials: true });
-      
-      const cookie = parseSetCookies(loginRes.headers['set-cookie']);
-      createSession(email, cookie, res);
-      return res.json({ success: true, user: loginRes.data.data });
+    const result = await login();
+    if (email) await loginLockout.recordSuccess(email);
+    return result;
+  } catch (error) {
+    if (email && error.response?.status === 401) {
+      await loginLockout.recordFailure(email);
+      await audit(req, 'auth.login_failed', email, { actor: null, details: { reason: 'invalid_credentials' } });
     }
+    throw error;
+  }
+}
+
+// Log a user into n8n, returns the n8n cookie and user
+async function loginN8nUser(email, password) {
+  const loginRes = await axios.post(`${N8N_API}/rest/login`, {
+    emailOrLdapLoginId: email, password
+  }, { ...axiosConfig, withCredentials: true, affinity: email });
+  return { cookie: parseSetCookies(loginRes.headers['set-cookie']), user: loginRes.data.data };
+}
+
+// Create user via n8n invitation flow, or log in if they already exist
+async function provisionUser(req, { email, password, firstName, lastName, via = 'api' }) {
+  // Try to create invitation
+  const inviteRes = await adminRequest({
+    method: 'post',
+    url: '/rest/invitations',
+    data: [{ email, role: 'global:member' }]
+  });
+  
+  const invitation = inviteRes.data?.data?.[0]?.user;
+  
+  // If no invitation returned, user may exist - try login
+  if (!invitation?.id) {
+    return loginN8nUser(email, password);
+  }
+  
+  await userDirectory.recordProvisioned(email, { n8nUserId: invitation.id, via });
+  await audit(req, 'user.created', email, { actor: email, after: { email, n8nUserId: invitation.id, via } });
+  
+  // Accept invitation
+  const url = new URL(invitation.inviteAcceptUrl);
+  await axios.post(`${N8N_API}/rest/invitations/${invitation.id}/accept`, {
+    inviterId: url.searchParams.get('inviterId'),
+    firstName: firstName || email.split('@')[0],
+    lastName: lastName || '',
+    password
+  }, axiosConfig);
+  
+  // Login new user
+  const { cookie } = await loginN8nUser(email, password);
+  return { cookie, user: { id: invitation.id, email, firstName, lastName }, created: true };
+}
+
+// SSO for an n8n account created outside SSO, whose password is not the derived one. With
+// SSO_LINK_EXISTING_USERS, the admin session sets a member's password to the derived one through
+// a password reset link and logs them in; otherwise, and for owners, admins and MFA users, 409.
+async function linkSsoUser(req, email, password) {
+  const conflict = Object.assign(new Error('An n8n account with this email already exists and was not created through SSO'), { status: 409 });
+  if (!SSO_LINK_EXISTING_USERS) throw conflict;
+  try {
+    const usersRes = await adminRequest({ method: 'get', url: '/rest/users' });
+    const data = usersRes.data?.data ?? usersRes.data;
+    const n8nUser = (Array.isArray(data) ? data : (data?.items || []))
+      .find(u => (u.email || '').toLowerCase() === email.toLowerCase());
+    if (!n8nUser || n8nUser.role !== 'global:member' || n8nUser.mfaEnabled) throw conflict;
     
-    // Accept invitation
-    const url = new URL(invitation.inviteAcceptUrl);
-    await axios.post(`${N8N_API}/rest/invitations/${invitation.id}/accept`, {
-      inviterId: url.searchParams.get('inviterId'),
-      firstName: firstName || email.split('@')[0],
-      lastName: lastName || '',
+    const linkRes = await adminRequest({ method: 'get', url: `/rest/users/${n8nUser.id}/password-reset-link` });
+    const link = new URL((linkRes.data?.data ?? linkRes.data).link);
+    // Older n8n versions also want the user ID from the link
+    const userId = link.searchParams.get('userId');
+    await axios.post(`${N8N_API}/rest/change-password`, {
+      token: link.searchParams.get('token'),
+      ...(userId ? { userId } : {}),
       password
     }, axiosConfig);
     
-    // Login new user
-    const loginRes = await axios.post(`${N8N_API}/rest/login`, {
-      emailOrLdapLoginId: email, password
-    }, { ...axiosConfig, withCredentials: true });
-    
-    const cookie = parseSetCookies(loginRes.headers['set-cookie']);
-    createSession(email, cookie, res);
-    res.json({ success: true, user: { email, firstName, lastName } });
+    await userDirectory.recordProvisioned(email, { n8nUserId: n8nUser.id, via: 'sso_link' });
+    await audit(req, 'user.sso_linked', email, { actor: email, details: { n8nUserId: n8nUser.id } });
+    return { ...(await loginN8nUser(email, password)), created: false };
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    if (error === conflict) throw error;
+    console.log(`Could not link ${email} to SSO:`, error.message);
+    throw conflict;
+  }
+}
+
+// Workflow templates users can install, and the ones every new user gets
+const templateCatalog = TemplateCatalog.fromDirectory(process.env.TEMPLATES_DIR || path.join(__dirname, 'templates'));
+const templateInstalls = new Map();
+
+// Import a template into the user's n8n account, or their tenant's project, with their own session.
+// Installed templates are recorded in the user directory; installing one again returns the
+// workflow from the first install for as long as it exists in n8n.
+function installTemplate(req, session, templateId, { parameters, user } = {}) {
+  const key = `${session.email.toLowerCase()}\n${templateId}`;
+  if (!templateInstalls.has(key)) {
+    templateInstalls.set(key, createFromTemplate(req, session, templateId, { parameters, user })
+      .finally(() => templateInstalls.delete(key)));
+  }
+  return templateInstalls.get(key);
+}
+
+async function createFromTemplate(req, session, templateId, { parameters, user }) {
+  // Rendering first rejects bad parameters even when the template is already installed
+  const workflow = templateCatalog.render(templateId, {
+    parameters,
+    context: { user: { email: session.email, ...user }, tenant: { id: session.tenantId } }
+  });
+  
+  const existing = (await userDirectory.get(session.email))?.templates?.[templateId];
+  if (existing) {
+    try {
+      await axios.get(`${N8N_API}/rest/workflows/${existing.workflowId}`, sessionRequestConfig(session));
+      return { workflowId: existing.workflowId, installed: false };
+    } catch (e) {
+      if (e.response?.status !== 404) throw e;
+    }
+  }
+  
+  if (session.tenantId) workflow.projectId = await tenantProjects.ensureProject(session.tenantId);
+  const workflowRes = await axios.post(`${N8N_API}/rest/workflows`, workflow, sessionRequestConfig(session));
+  const workflowId = (workflowRes.data?.data ?? workflowRes.data).id;
+  
+  const record = await userDirectory.get(session.email);
+  const install = { workflowId, version: templateCatalog.get(templateId).version, installedAt: new Date().toISOString() };
+  await userDirectory.update(session.email, { templates: { ...record?.templates, [templateId]: install } });
+  await audit(req, 'template.installed', session.email.toLowerCase(), { details: { templateId, workflowId, reinstall: !!existing } });
+  return { workflowId, installed: true };
+}
+
+// Install the default, plan and tenant templates for a newly provisioned user. A template that
+// fails is logged and skipped so it never blocks the signup; installing it later picks it up.
+async function seedTemplates(req, { email, cookie, firstName, lastName }) {
+  const tenantId = (await userDirectory.get(email))?.tenantId || null;
+  const session = { email, n8nCookie: cookie, tenantId };
+  const seeded = [];
+  for (const templateId of templateCatalog.seedsFor({ plan: (await planForUser(email)).id, tenantId })) {
+    try {
+      const { workflowId } = await installTemplate(req, session, templateId, { user: { firstName, lastName } });
+      seeded.push({ templateId, workflowId });
+    } catch (e) {
+      console.log(`Could not install template ${templateId} for ${email}:`, e.response?.data?.message || e.message);
+    }
+  }
+  return seeded;
+}
+
+// Serve static files
+app.use(express.static('public'));
+
+// Prometheus/OpenMetrics scrape endpoint; without METRICS_TOKEN only the local host may scrape
+app.get('/metrics', metrics.handler({ token: process.env.METRICS_TOKEN }));
+
+app.use('/api/', rateLimiter.middleware(RATE_LIMITS.api));
+
+// Create user via n8n invitation flow; an existing user is logged in, so this counts as a login too
+app.post('/api/users/create', rateLimiter.middleware(RATE_LIMITS.signup), async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, tenantId } = req.body;
+    const { cookie, user, created } = await withLoginLockout(email, req, res, () => provisionUser(req, { email, password, firstName, lastName }));
+    const landingPath = await establishSession(req, res, { email, cookie, userId: user.id, tenantId });
+    const templates = created ? await seedTemplates(req, { email, cookie, firstName, lastName }) : [];
+    res.json({ success: true, user, landingPath, templates });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // Login existing user
-app.post('/api/users/login', async (req, res) => {
+app.post('/api/users/login', rateLimiter.middleware(RATE_LIMITS.login), async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const response = await axios.post(`${N8N_API}/rest/login`, {
-      emailOrLdapLoginId: email, password
-    }, { ...axiosConfig, withCredentials: true });
-    
-    const cookie = parseSetCookies(response.headers['set-cookie']);
-    createSession(email, cookie, res);
-    res.json({ success: true, user: response.data.data });
+    const { email, password, tenantId } = req.body;
+    const { cookie, user } = await withLoginLockout(email, req, res, () => loginN8nUser(email, password));
+    const landingPath = await establishSession(req, res, { email, cookie, userId: user.id, tenantId });
+    res.json({ success: true, user, landingPath });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     res.status(401).json({ success: false, error: 'Invalid credentials' });
   }
 });
 
-// List users (demo only - returns empty since we don't persist)
-app.get('/api/users', (req, res) => {
-  res.json({ success: true, users: [] });
+// SSO entry: verify the host app's JWT, provision the n8n user if needed and open the iframe
+app.get('/sso', rateLimiter.middleware(RATE_LIMITS.sso), async (req, res) => {
+  if (!verifySsoToken || !SSO_PASSWORD_SECRET) {
+    return res.status(404).json({ success: false, error: 'SSO is not configured' });
+  }
+  
+  try {
+    const claims = verifySsoToken(String(req.query.token || ''));
+    const email = claims[SSO_EMAIL_CLAIM];
+    if (!email) throw new SsoError(`Token has no ${SSO_EMAIL_CLAIM} claim`);
+    
+    const firstName = claims.given_name || claims.firstName;
+    const lastName = claims.family_name || claims.lastName;
+    const password = deriveSsoPassword(SSO_PASSWORD_SECRET, email);
+    const { cookie, user, created } = await provisionUser(req, { email, password, firstName, lastName, via: 'sso' })
+      .catch(error => {
+        // The login of an existing account whose password is not the derived one
+        if (error.response?.status !== 401 || !/\/rest\/login$/.test(error.config?.url || '')) throw error;
+        return linkSsoUser(req, email, password);
+      });
+    const landingPath = await establishSession(req, res, {
+      email, cookie, userId: user.id, tenantId: claims[SSO_TENANT_CLAIM]
+    });
+    if (created) await seedTemplates(req, { email, cookie, firstName, lastName });
+    
+    // Only same-origin paths, never an open redirect
+    const redirect = String(req.query.redirect || landingPath);
+    res.redirect(/^\/(?![\/\\])/.test(redirect) ? redirect : landingPath);
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return res.status(401).json({ success: false, error: `Invalid SSO token: ${error.message}` });
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
 });
 
-// Get current user's usage metrics
-app.get('/api/usage', async (req, res) => {
+// Logout: end the proxy session and the n8n session behind it
+app.post('/api/users/logout', async (req, res) => {
   try {
     const token = req.cookies[PROXY_COOKIE_NAME];
-    if (!token) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    const session = token && await sessionStore.get(token);
+    if (session) await revokeSession(token, session);
+    res.clearCookie(PROXY_COOKIE_NAME);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List active sessions (admin only)
+app.get('/api/sessions', requireAdmin, async (req, res) => {
+  try {
+    const currentId = req.sessionToken ? sessionId(req.sessionToken) : null;
+    const sessions = (await sessionStore.list())
+      .sort((a, b) => b.lastActive - a.lastActive)
+      .map(s => ({
+        id: sessionId(s.token),
+        email: s.email,
+        createdAt: s.createdAt ? new Date(s.createdAt).toISOString() : null,
+        lastActive: new Date(s.lastActive).toISOString(),
+        ip: s.ip || null,
+        userAgent: s.userAgent || null,
+        current: sessionId(s.token) === currentId
+      }));
+    res.json({ success: true, policy: SESSION_POLICY, sessions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke all sessions of a user (admin only)
+app.delete('/api/sessions/user/:email', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.email);
+    await audit(req, 'session.revoked', req.params.email.toLowerCase(), { details: { revoked } });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke a single session (admin only)
+app.delete('/api/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const session = (await sessionStore.list()).find(s => sessionId(s.token) === req.params.id);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
     }
+    await revokeSession(session.token, session);
+    await audit(req, 'session.revoked', session.email.toLowerCase(), { details: { revoked: 1 } });
+    res.json({ success: true, revoked: 1 });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fetch all n8n users with the admin session, merged with the local directory
+async function listDirectoryUsers() {
+  const usersRes = await adminRequest({ method: 'get', url: '/rest/users' });
+  const data = usersRes.data?.data ?? usersRes.data;
+  const n8nUsers = Array.isArray(data) ? data : (data?.items || []);
+  
+  const records = new Map((await userDirectory.list()).map(u => [u.email, u]));
+  return n8nUsers.map(u => {
+    const record = records.get((u.email || '').toLowerCase());
+    return {
+      id: u.id,
+      email: u.email,
+      firstName: u.firstName || '',
+      lastName: u.lastName || '',
+      role: u.role,
+      isPending: !!u.isPending,
+      proxyRole: record?.proxyRole || 'member',
+      disabled: !!record?.disabled,
+      provisionedAt: record?.provisionedAt || null,
+      provisionedVia: record?.provisionedVia || null,
+      lastLoginAt: record?.lastLoginAt || null,
+      tenantId: record?.tenantId || null,
+      plan: billing.resolvePlan(u.email, record?.plan).id
+    };
+  });
+}
+
+async function findDirectoryUser(id) {
+  const user = (await listDirectoryUsers()).find(u => u.id === id);
+  if (!user) throw Object.assign(new Error('User not found'), { status: 404 });
+  return user;
+}
+
+// List users (admin only), with ?search=&page=&limit=&provisioned=true
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const search = String(req.query.search || '').toLowerCase();
     
-    const session = sessionStore.get(token);
-    if (!session) {
-      return res.status(401).json({ success: false, error: 'Session not found' });
+    const users = (await listDirectoryUsers()).filter(u => {
+      if (req.query.provisioned === 'true' && !u.provisionedAt) return false;
+      return !search || [u.email, u.firstName, u.lastName].some(v => v.toLowerCase().includes(search));
+    });
+    
+    res.json({
+      success: true,
+      users: users.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: users.length, pages: Math.ceil(users.length / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one user (admin only)
+app.get('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, user: await findDirectoryUser(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a user's n8n role, proxy role or disabled flag (admin only)
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const { role, proxyRole, disabled, tenantId, plan } = req.body;
+    const user = await findDirectoryUser(req.params.id);
+    
+    if (proxyRole !== undefined && !['admin', 'member'].includes(proxyRole)) {
+      return res.status(400).json({ success: false, error: 'proxyRole must be admin or member' });
+    }
+    if (tenantId && !TenantProjects.isValidTenantId(tenantId)) {
+      return res.status(400).json({ success: false, error: 'Invalid tenant ID' });
+    }
+    if (plan && !billing.config.plans[plan]) {
+      return res.status(400).json({ success: false, error: `Unknown plan: ${plan}` });
+    }
+    
+    if (role && role !== user.role) {
+      await adminRequest({ method: 'patch', url: `/rest/users/${user.id}/role`, data: { newRoleName: role } });
     }
     
-    const headers = { Cookie: session.n8nCookie };
+    const fields = {};
+    if (proxyRole !== undefined) fields.proxyRole = proxyRole;
+    if (disabled !== undefined) fields.disabled = !!disabled;
+    if (tenantId !== undefined) fields.tenantId = tenantId || null;
+    if (plan !== undefined) fields.plan = plan || null;
+    if (tenantId !== undefined && tenantId !== user.tenantId) {
+      if (user.tenantId) await tenantProjects.removeUser(user.tenantId, user.id);
+      if (tenantId) await tenantProjects.addUser(tenantId, user.id);
+    }
+    if (Object.keys(fields).length) await userDirectory.update(user.email, fields);
+    
+    // Disabling takes effect immediately
+    if (fields.disabled) await revokeUserSessions(user.email);
+    
+    const updated = await findDirectoryUser(user.id);
+    const changes = diffValues(user, updated);
+    await audit(req, 'user.updated', user.email, changes);
+    if ('role' in changes.after || 'proxyRole' in changes.after) {
+      await audit(req, 'user.role_changed', user.email, {
+        before: { role: user.role, proxyRole: user.proxyRole },
+        after: { role: updated.role, proxyRole: updated.proxyRole }
+      });
+    }
+    res.json({ success: true, user: updated });
+  } catch (error) {
+    res.status(error.status || error.response?.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a user from n8n and the directory (admin only), ?transferId= moves their workflows
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await findDirectoryUser(req.params.id);
+    await adminRequest({
+      method: 'delete',
+      url: `/rest/users/${user.id}`,
+      params: req.query.transferId ? { transferId: req.query.transferId } : undefined
+    });
+    
+    await revokeUserSessions(user.email);
+    await userDirectory.remove(user.email);
+    await executionCache.remove(user.email);
+    metrics.removeSeries({ user: metricsUser(user.email) });
+    await audit(req, 'user.deleted', user.email, {
+      before: user,
+      details: req.query.transferId ? { transferId: req.query.transferId } : null
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || error.response?.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Erasure step of the User Management API: forget everything the proxy keeps about a user.
+// The n8n account is deleted by the User Management API itself. Safe to repeat.
+app.delete('/api/internal/users/:email', requireInternalKey, async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const record = await userDirectory.get(email);
+    const revoked = await revokeUserSessions(email);
+    await userDirectory.remove(email);
+    await executionCache.remove(email);
+    metrics.removeSeries({ user: metricsUser(email) });
+    // The entry outlives the erasure, so it names the n8n user ID rather than the email
+    await audit(req, 'user.erased', record?.n8nUserId || null, { actor: 'user-management-api', details: { revoked } });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Extract the execution list from the different n8n API response formats
+function extractExecutions(execData) {
+  if (Array.isArray(execData)) return execData;
+  if (Array.isArray(execData.data)) return execData.data;
+  if (Array.isArray(execData.results)) return execData.results;
+  if (execData.data && Array.isArray(execData.data.results)) return execData.data.results;
+  console.log('Unexpected executions format:', JSON.stringify(execData).slice(0, 200));
+  return [];
+}
+
+// Parse ?from=&to= (ISO dates); a date-only `to` includes that whole day
+function parseDateRange(query) {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    throw Object.assign(new Error('from and to must be ISO dates'), { status: 400 });
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+  return { from, to };
+}
+
+// Bring the user's execution cache up to date with n8n
+function syncExecutions(session) {
+  return executionCache.sync(session.email, async ({ firstId, lastId, limit }) => {
+    const executionsRes = await axios.get(`${N8N_API}/rest/executions`, {
+      ...sessionRequestConfig(session),
+      params: { firstId, lastId, limit }
+    });
+    return extractExecutions(executionsRes.data);
+  });
+}
+
+// Fetch the user's workflows, handling the different n8n API response formats
+async function fetchWorkflows(session) {
+  try {
+    const workflowsRes = await axios.get(`${N8N_API}/rest/workflows`, sessionRequestConfig(session));
+    const wfData = workflowsRes.data;
+    if (Array.isArray(wfData)) return wfData;
+    if (Array.isArray(wfData.data)) return wfData.data;
+    if (wfData.data && Array.isArray(wfData.data.workflows)) return wfData.data.workflows;
+    console.log('Unexpected workflows format:', JSON.stringify(wfData).slice(0, 200));
+  } catch (e) {
+    console.log('Could not fetch workflows:', e.message);
+  }
+  return [];
+}
+
+// Fetch the user's credentials, empty if n8n does not answer
+async function fetchCredentials(session) {
+  try {
+    const credRes = await axios.get(`${N8N_API}/rest/credentials`, sessionRequestConfig(session));
+    const credData = credRes.data;
+    if (Array.isArray(credData)) return credData;
+    if (Array.isArray(credData.data)) return credData.data;
+  } catch (e) {
+    console.log('Could not fetch credentials:', e.message);
+  }
+  return [];
+}
+
+// Fetch a resource for a user from the User Management API, null if unavailable
+async function fetchUserMgmt(userId, resource) {
+  if (!USER_MGMT_API_URL || !USER_MGMT_API_KEY) return null;
+  try {
+    const apiRes = await axios.get(
+      `${USER_MGMT_API_URL}/api/internal/users/${userId || 'default'}/${resource}`,
+      { headers: { 'X-API-Key': USER_MGMT_API_KEY }, timeout: 5000 }
+    );
+    return apiRes.data || null;
+  } catch (e) {
+    console.log(`Could not fetch ${resource} from User Management API:`, e.message);
+    return null;
+  }
+}
+
+// Storage from the User Management API if available, otherwise estimated from workflows and executions
+async function getStorage(userId, workflows, executions) {
+  // Estimate workflow size based on nodes and connections
+  const workflowBytes = workflows.reduce((sum, w) => 
+    sum + ((w.nodes?.length || 0) * 500) + (Object.keys(w.connections || {}).length * 100) + 1000, 0);
+  
+  // Each execution with file nodes stores ~50KB, every execution ~2KB of logs,
+  // failed or running executions may leave ~10KB of temp files
+  const estimate = {
+    workflows: workflowBytes,
+    files: executions.filter(e => e.fileNodes).length * 50000,
+    logs: executions.length * 2000,
+    temp: executions.filter(e => ['error', 'new', 'running', 'waiting'].includes(e.status)).length * 10000
+  };
+  
+  const server = await fetchUserMgmt(userId, 'storage');
+  const serverBreakdown = server?.storage?.breakdown;
+  const breakdown = serverBreakdown ? {
+    workflows: serverBreakdown.workflows?.bytes || workflowBytes,
+    files: serverBreakdown.files?.bytes || 0,
+    logs: serverBreakdown.logs?.bytes || 0,
+    temp: serverBreakdown.temp?.bytes || 0
+  } : estimate;
+  
+  return {
+    server,
+    breakdown,
+    totalBytes: server?.storage?.totalBytes || Object.values(estimate).reduce((a, b) => a + b, 0)
+  };
+}
+
+// The user's billing plan: directory assignment, then the plans file
+async function planForUser(email) {
+  return billing.resolvePlan(email, (await userDirectory.get(email))?.plan);
+}
+
+// Current usage against a plan limit; executions count within the current billing period
+async function quotaUsage(quota, session) {
+  const plan = await planForUser(session.email);
+  const limit = plan.limits?.[quota];
+  if (quota === 'workflows') return { plan, limit, used: (await fetchWorkflows(session)).length };
+  if (quota === 'credentials') return { plan, limit, used: (await fetchCredentials(session)).length };
+
+  const period = periodRange(periodLabel(plan.period));
+  try {
+    await syncExecutions(session);
+  } catch (e) {
+    console.log('Could not sync executions, using cached data:', e.message);
+  }
+  const used = (await executionCache.query(session.email, period)).length;
+  return { plan, limit, used, resetsAt: new Date(period.to.getTime() + 1).toISOString() };
+}
+
+// Blocks proxied calls over the user's plan limits and logs quota events
+const quotaGuard = new QuotaGuard({
+  usage: quotaUsage,
+  eventsFile: process.env.QUOTA_EVENTS_FILE || path.join(__dirname, 'data', 'quota-events.ndjson'),
+  warnThreshold: QUOTA_WARN_THRESHOLD
+});
+
+// Get current user's usage metrics
+app.get('/api/usage', requireSession, async (req, res) => {
+  try {
+    const session = req.proxySession;
+    const requestConfig = sessionRequestConfig(session);
+    const plan = await planForUser(session.email);
+    // Without from and to, usage covers the current billing period, the window QuotaGuard counts in
+    const requested = parseDateRange(req.query);
+    const billingPeriod = !requested.from && !requested.to;
+    const range = billingPeriod ? periodRange(periodLabel(plan.period)) : requested;
     
     // Get user info from n8n - try multiple endpoints for compatibility
     let user = { id: 'unknown', email: session.email, firstName: '', lastName: '' };
     try {
-      const userRes = await axios.get(`${N8N_API}/rest/users/me`, { ...axiosConfig, headers });
+      const userRes = await axios.get(`${N8N_API}/rest/users/me`, requestConfig);
       user = userRes.data.data || userRes.data;
     } catch (e) {
       try {
-        const userRes = await axios.get(`${N8N_API}/rest/me`, { ...axiosConfig, headers });
+        const userRes = await axios.get(`${N8N_API}/rest/me`, requestConfig);
         user = userRes.data.data || userRes.data;
       } catch (e2) {
         console.log('Could not fetch user info, using session email');
       }
     }
     
-    // Get executions data from n8n
-    let executions = [];
+    // Sync new executions from n8n, then work from the local cache
+    let sync = null;
     try {
-      const executionsRes = await axios.get(`${N8N_API}/rest/executions`, {
-        ...axiosConfig,
-        headers,
-        params: { limit: 100 }
-      });
-      const execData = executionsRes.data;
-      // Handle different n8n API response formats
-      if (Array.isArray(execData)) {
-        executions = execData;
-      } else if (Array.isArray(execData.data)) {
-        executions = execData.data;
-      } else if (Array.isArray(execData.results)) {
-        executions = execData.results;
-      } else if (execData.data && Array.isArray(execData.data.results)) {
-        executions = execData.data.results;
-      } else {
-        console.log('Unexpected executions format:', JSON.stringify(execData).slice(0, 200));
-        executions = [];
-      }
+      sync = await syncExecutions(session);
     } catch (e) {
-      console.log('Could not fetch executions:', e.message);
+      console.log('Could not sync executions, using cached data:', e.message);
     }
+    const executions = await executionCache.query(session.email, range);
     
     // Calculate metrics
     const totalExecutions = executions.length;
-    const successfulExecutions = executions.filter(e => e.status === 'success' || e.finished === true).length;
-    const failedExecutions = executions.filter(e => e.status === 'error' || e.status === 'crashed' || e.status === 'failed').length;
-    const runningExecutions = executions.filter(e => e.status === 'running' || e.status === 'waiting').length;
+    const successfulExecutions = executions.filter(e => e.status === 'success').length;
+    const failedExecutions = executions.filter(e => e.status === 'error').length;
+    const runningExecutions = executions.filter(e => ['new', 'running', 'waiting'].includes(e.status)).length;
     
     // Calculate total execution time
-    let totalExecutionTime = 0;
-    executions.forEach(e => {
-      if (e.startedAt && e.stoppedAt) {
-        totalExecutionTime += new Date(e.stoppedAt) - new Date(e.startedAt);
-      }
-    });
+    const totalExecutionTime = executions.reduce((sum, e) => sum + (e.durationMs || 0), 0);
     
     // Get workflows with details
-    let workflows = [];
-    try {
-      const workflowsRes = await axios.get(`${N8N_API}/rest/workflows`, { ...axiosConfig, headers });
-      const wfData = workflowsRes.data;
-      if (Array.isArray(wfData)) {
-        workflows = wfData;
-      } else if (Array.isArray(wfData.data)) {
-        workflows = wfData.data;
-      } else if (wfData.data && Array.isArray(wfData.data.workflows)) {
-        workflows = wfData.data.workflows;
-      } else {
-        console.log('Unexpected workflows format:', JSON.stringify(wfData).slice(0, 200));
-        workflows = [];
-      }
-    } catch (e) {
-      console.log('Could not fetch workflows:', e.message);
-    }
+    const workflows = await fetchWorkflows(session);
     
     const activeWorkflows = workflows.filter(w => w.active).length;
     const totalNodes = workflows.reduce((sum, w) => sum + (w.nodes?.length || 0), 0);
     
     // Get credentials count
-    let credentialsCount = 0;
-    try {
-      const credRes = await axios.get(`${N8N_API}/rest/credentials`, { ...axiosConfig, headers });
-      const credData = credRes.data;
-      if (Array.isArray(credData)) {
-        credentialsCount = credData.length;
-      } else if (Array.isArray(credData.data)) {
-        credentialsCount = credData.data.length;
-      }
-    } catch (e) {
-      console.log('Could not fetch credentials:', e.message);
-    }
+    const credentialsCount = (await fetchCredentials(session)).length;
     
     // Group executions by day for chart
     const executionsByDay = {};
@@ -265,11 +1080,9 @@ app.get('/api/usage', async (req, res) => {
         executionsByDay[date] = { total: 0, success: 0, failed: 0, duration: 0 };
       }
       executionsByDay[date].total++;
-      if (e.status === 'success' || e.finished === true) executionsByDay[date].success++;
-      if (e.status === 'error' || e.status === 'crashed' || e.status === 'failed') executionsByDay[date].failed++;
-      if (e.startedAt && e.stoppedAt) {
-        executionsByDay[date].duration += new Date(e.stoppedAt) - new Date(e.startedAt);
-      }
+      if (e.status === 'success') executionsByDay[date].success++;
+      if (e.status === 'error') executionsByDay[date].failed++;
+      executionsByDay[date].duration += e.durationMs || 0;
     });
     
     // Group executions by hour for activity heatmap
@@ -283,8 +1096,8 @@ app.get('/api/usage', async (req, res) => {
     
     // Calculate performance metrics
     const executionTimes = executions
-      .filter(e => e.startedAt && e.stoppedAt)
-      .map(e => new Date(e.stoppedAt) - new Date(e.startedAt));
+      .filter(e => e.durationMs !== null)
+      .map(e => e.durationMs);
     
     const avgExecutionTime = executionTimes.length > 0 
       ? executionTimes.reduce((a, b) => a + b, 0) / executionTimes.length 
@@ -295,21 +1108,18 @@ app.get('/api/usage', async (req, res) => {
     // Recent executions
     const recentExecutions = executions.slice(0, 10).map(e => ({
       id: e.id,
-      workflowName: e.workflowData?.name || e.workflowName || 'Unknown',
-      status: e.status || (e.finished ? 'success' : 'unknown'),
+      workflowName: e.workflowName,
+      status: e.status,
       startedAt: e.startedAt,
       stoppedAt: e.stoppedAt,
-      duration: e.startedAt && e.stoppedAt 
-        ? new Date(e.stoppedAt) - new Date(e.startedAt) 
-        : null,
-      mode: e.mode || 'manual'
+      duration: e.durationMs,
+      mode: e.mode
     }));
     
     // Top workflows by execution count
     const workflowExecutionCounts = {};
     executions.forEach(e => {
-      const name = e.workflowData?.name || e.workflowName || 'Unknown';
-      workflowExecutionCounts[name] = (workflowExecutionCounts[name] || 0) + 1;
+      workflowExecutionCounts[e.workflowName] = (workflowExecutionCounts[e.workflowName] || 0) + 1;
     });
     const topWorkflows = Object.entries(workflowExecutionCounts)
       .sort((a, b) => b[1] - a[1])
@@ -319,119 +1129,56 @@ app.get('/api/usage', async (req, res) => {
     // Get actual statistics from n8n API
     let settings = {};
     try {
-      const settingsRes = await axios.get(`${N8N_API}/rest/settings`, { ...axiosConfig, headers });
+      const settingsRes = await axios.get(`${N8N_API}/rest/settings`, requestConfig);
       settings = settingsRes.data || {};
     } catch (e) {
       console.log('Could not fetch settings:', e.message);
     }
 
-    // Calculate actual storage from workflow data sizes (approximate)
-    let totalWorkflowSize = 0;
-    workflows.forEach(w => {
-      // Estimate workflow size based on nodes and connections
-      const nodeCount = w.nodes?.length || 0;
-      const connectionCount = Object.keys(w.connections || {}).length;
-      totalWorkflowSize += (nodeCount * 500) + (connectionCount * 100) + 1000; // bytes estimate
-    });
-
-    // Estimate file storage based on execution patterns
-    // Each execution with file nodes generates ~5KB average, binary files ~50KB
-    const fileNodeExecutions = executions.filter(e => 
-      e.workflowData?.nodes?.some(n => 
-        ['n8n-nodes-base.readBinaryFile', 'n8n-nodes-base.writeBinaryFile', 
-         'n8n-nodes-base.spreadsheetFile', 'n8n-nodes-base.moveFile'].includes(n.type)
-      )
-    ).length;
-    const estimatedFileStorage = fileNodeExecutions * 50000; // ~50KB per file operation
-
-    // Estimate log storage based on execution history
-    // Each execution generates ~2KB of log data on average
-    const estimatedLogStorage = totalExecutions * 2000;
-
-    // Estimate temp files based on recent failed/running executions
-    // Failed executions may leave temp files (~10KB each)
-    const estimatedTempStorage = (failedExecutions + runningExecutions) * 10000;
-
     // Try to fetch real storage metrics from User Management API
-    let serverStorage = null;
-    let serverMetrics = null;
-    if (USER_MGMT_API_URL && USER_MGMT_API_KEY) {
-      try {
-        const userId = user.id || 'default';
-        const apiHeaders = { 'X-API-Key': USER_MGMT_API_KEY };
-        
-        // Fetch storage metrics
-        const storageRes = await axios.get(
-          `${USER_MGMT_API_URL}/api/internal/users/${userId}/storage`,
-          { headers: apiHeaders, timeout: 5000 }
-        ).catch(() => null);
-        
-        if (storageRes?.data) {
-          serverStorage = storageRes.data;
-        }
-        
-        // Fetch user metrics
-        const metricsRes = await axios.get(
-          `${USER_MGMT_API_URL}/api/internal/users/${userId}/metrics`,
-          { headers: apiHeaders, timeout: 5000 }
-        ).catch(() => null);
-        
-        if (metricsRes?.data) {
-          serverMetrics = metricsRes.data;
-        }
-        
-        console.log('Fetched metrics from User Management API');
-      } catch (e) {
-        console.log('Could not fetch from User Management API:', e.message);
-      }
-    }
+    const storage = await getStorage(user.id, workflows, executions);
+    const serverStorage = storage.server;
+    const storageBreakdown = storage.breakdown;
 
-    // Calculate storage breakdown - use server data if available, otherwise use estimates
-    const storageBreakdown = serverStorage?.storage?.breakdown ? {
-      workflows: serverStorage.storage.breakdown.workflows?.bytes || totalWorkflowSize,
-      files: serverStorage.storage.breakdown.files?.bytes || 0,
-      logs: serverStorage.storage.breakdown.logs?.bytes || 0,
-      temp: serverStorage.storage.breakdown.temp?.bytes || 0
-    } : {
-      workflows: totalWorkflowSize,
-      files: estimatedFileStorage,
-      logs: estimatedLogStorage,
-      temp: estimatedTempStorage
-    };
-
-    // Calculate total estimated storage
-    const totalEstimatedStorage = serverStorage?.storage?.totalBytes || 
-      (totalWorkflowSize + estimatedFileStorage + estimatedLogStorage + estimatedTempStorage);
-
-    // Real quotas based on actual API data or server metrics
+    // Quotas from the user's plan, real usage from the API data or server metrics
     const quotas = {
       storage: { 
-        used: totalEstimatedStorage, 
-        limit: serverStorage?.storage?.quotaBytes || 1024 * 1024 * 1024,
+        used: storage.totalBytes, 
+        limit: serverStorage?.storage?.quotaBytes || plan.limits.storageBytes,
         available: !!serverStorage
       },
-      workflows: { used: workflows.length, limit: settings.enterprise?.workflowLimit || 100 },
-      executions: { used: totalExecutions, limit: settings.enterprise?.executionLimit || 10000 },
-      credentials: { used: credentialsCount, limit: settings.enterprise?.credentialLimit || 50 }
+      workflows: { used: workflows.length, limit: settings.enterprise?.workflowLimit || plan.limits.workflows },
+      executions: { used: totalExecutions, limit: settings.enterprise?.executionLimit || plan.limits.executions },
+      credentials: { used: credentialsCount, limit: settings.enterprise?.credentialLimit || plan.limits.credentials }
     };
+    Object.values(quotas).forEach(q => { q.warning = q.used >= q.limit * QUOTA_WARN_THRESHOLD; });
     
-    // Calculate billing estimates based on real execution data
-    const billingRates = {
-      perExecution: 0.001, // $0.001 per execution
-      perGBStorage: 0.10,  // $0.10 per GB per month
-      perComputeHour: 0.05 // $0.05 per compute hour
-    };
+    // Export the user's figures for the billing period, not for a requested date range
+    if (billingPeriod) {
+      const userLabel = { user: metricsUser(session.email) };
+      proxyMetrics.userExecutions.set({ ...userLabel, status: 'success' }, successfulExecutions);
+      proxyMetrics.userExecutions.set({ ...userLabel, status: 'error' }, failedExecutions);
+      proxyMetrics.userExecutions.set({ ...userLabel, status: 'running' }, runningExecutions);
+      proxyMetrics.userExecutions.set({ ...userLabel, status: 'total' }, totalExecutions);
+      if (totalExecutions) proxyMetrics.userSuccessRatio.set(userLabel, successfulExecutions / totalExecutions);
+      proxyMetrics.userStorage.set(userLabel, storage.totalBytes);
+      proxyMetrics.userWorkflows.set(userLabel, workflows.length);
+    }
     
+    // Billing estimate on the user's plan, based on real execution data
     const computeHours = totalExecutionTime / (1000 * 60 * 60);
     const storageGB = quotas.storage.used / (1024 * 1024 * 1024);
+    const quote = billing.quote(plan, { executions: totalExecutions, storageGB, computeHours });
+    const lineAmount = item => quote.lines.find(l => l.item === item)?.amount || 0;
     
-    const billing = {
-      executions: { count: totalExecutions, cost: totalExecutions * billingRates.perExecution },
-      storage: { gb: storageGB, cost: storageGB * billingRates.perGBStorage },
-      compute: { hours: computeHours, cost: computeHours * billingRates.perComputeHour },
-      total: (totalExecutions * billingRates.perExecution) + 
-             (storageGB * billingRates.perGBStorage) + 
-             (computeHours * billingRates.perComputeHour)
+    const billingEstimate = {
+      plan: { id: plan.id, name: plan.name, period: quote.period },
+      currency: quote.currency,
+      base: lineAmount('base'),
+      executions: { count: totalExecutions, cost: lineAmount('executions') },
+      storage: { gb: storageGB, cost: lineAmount('storage') },
+      compute: { hours: computeHours, cost: lineAmount('compute') },
+      total: quote.total
     };
     
     res.json({
@@ -493,7 +1240,7 @@ app.get('/api/usage', async (req, res) => {
         successRate: totalExecutions > 0 ? Math.round((successfulExecutions / totalExecutions) * 100) : 0,
         failureRate: totalExecutions > 0 ? Math.round((failedExecutions / totalExecutions) * 100) : 0
       },
-      billing,
+      billing: billingEstimate,
       charts: {
         executionsByDay: Object.entries(executionsByDay)
           .sort((a, b) => a[0].localeCompare(b[0]))
@@ -503,14 +1250,308 @@ app.get('/api/usage', async (req, res) => {
         topWorkflows
       },
       recentExecutions,
+      range: {
+        from: range.from ? range.from.toISOString() : null,
+        to: range.to ? range.to.toISOString() : null,
+        period: billingPeriod ? range.label : null
+      },
+      sync,
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
     console.error('Usage API error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Quota usage as reported in /api/usage
+function quotaEntry(used, limit) {
+  return { used, limit, warning: used >= limit * QUOTA_WARN_THRESHOLD };
+}
+
+// Live usage for the dashboard, one poller per user however many tabs are open
+const usageStream = new UsageStream({
+  pollMs: (parseInt(process.env.USAGE_STREAM_POLL_SECONDS, 10) || 5) * 1000,
+  maxViewers: parseInt(process.env.USAGE_STREAM_MAX_PER_USER, 10) || 10,
+  validate: async viewer => !!(await sessionStore.get(viewer.token)),
+  load: async ({ session }, { refresh }) => {
+    await syncExecutions(session);
+    // The current billing period, as /api/usage shows by default and QuotaGuard counts
+    const plan = await planForUser(session.email);
+    const executions = await executionCache.query(session.email, periodRange(periodLabel(plan.period)));
+    const quotas = { executions: quotaEntry(executions.length, plan.limits.executions) };
+    if (refresh) {
+      const [workflows, credentials] = await Promise.all([fetchWorkflows(session), fetchCredentials(session)]);
+      quotas.workflows = quotaEntry(workflows.length, plan.limits.workflows);
+      quotas.credentials = quotaEntry(credentials.length, plan.limits.credentials);
+    }
+    return { executions, quotas };
+  }
+});
+
+// Server-Sent Events: execution starts and finishes, counts and quota changes
+app.get('/api/usage/stream', requireSession, (req, res) => {
+  try {
+    usageStream.subscribe(req, res, { user: req.proxySession.email, session: req.proxySession, token: req.sessionToken });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Itemized invoice for a user and billing period. With a session, executions and
+// workflows are refreshed from n8n first; otherwise the local cache is used.
+async function buildInvoice(email, range, session) {
+  let workflows = [];
+  if (session) {
+    await syncExecutions(session).catch(e => console.log('Could not sync executions:', e.message));
+    workflows = await fetchWorkflows(session);
+  }
+  const executions = await executionCache.query(email, range);
+  const record = await userDirectory.get(email);
+  const storage = await getStorage(record?.n8nUserId, workflows, executions);
+  const plan = await planForUser(email);
+  
+  const quote = billing.quote(plan, {
+    executions: executions.length,
+    storageGB: storage.totalBytes / (1024 * 1024 * 1024),
+    computeHours: executions.reduce((sum, e) => sum + (e.durationMs || 0), 0) / (1000 * 60 * 60)
+  });
+  const customerKey = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 8);
+  
+  return {
+    invoiceNumber: `INV-${range.label}-${customerKey.toUpperCase()}`,
+    customer: { email, tenantId: record?.tenantId || null },
+    period: { label: range.label, from: range.from.toISOString(), to: range.to.toISOString() },
+    plan: { id: quote.planId, name: quote.planName },
+    currency: quote.currency,
+    lines: quote.lines,
+    total: quote.total,
+    storageIsEstimate: !storage.server,
+    issuedAt: new Date().toISOString()
+  };
+}
+
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function invoiceToCsv(invoice) {
+  const rows = [['invoice', 'period', 'description', 'quantity', 'unit', 'included', 'billable', 'amount', 'currency']];
+  invoice.lines.forEach(l => rows.push([
+    invoice.invoiceNumber, invoice.period.label, l.description,
+    +l.quantity.toFixed(4), l.unit, +l.included.toFixed(4), +l.billable.toFixed(4), l.amount.toFixed(2), invoice.currency
+  ]));
+  rows.push([invoice.invoiceNumber, invoice.period.label, 'Total', '', '', '', '', invoice.total.toFixed(2), invoice.currency]);
+  return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function invoiceToHtml(invoice) {
+  const money = amount => `${amount.toFixed(2)} ${escapeHtml(invoice.currency)}`;
+  const rows = invoice.lines.map(l => `
+        <tr>
+          <td>${escapeHtml(l.description)}</td>
+          <td class="num">${+l.quantity.toFixed(4)} ${escapeHtml(l.unit)}</td>
+          <td class="num">${+l.included.toFixed(4)}</td>
+          <td class="num">${+l.billable.toFixed(4)}</td>
+          <td class="num">${money(l.amount)}</td>
+        </tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; max-width: 800px; margin: 40px auto; }
+    h1 { color: #ea4b71; font-weight: 500; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { font-weight: 600; border-bottom: none; }
+    .muted { color: #666; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.invoiceNumber)}</h1>
+  <p>${escapeHtml(invoice.customer.email)}<br>
+    Period ${escapeHtml(invoice.period.label)} (${escapeHtml(invoice.period.from.slice(0, 10))} to ${escapeHtml(invoice.period.to.slice(0, 10))})<br>
+    Plan ${escapeHtml(invoice.plan.name)}</p>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Quantity</th><th class="num">Included</th><th class="num">Billable</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="4">Total</td><td class="num">${money(invoice.total)}</td></tr>
+    </tfoot>
+  </table>
+  <p class="muted">Issued ${escapeHtml(invoice.issuedAt)}${invoice.storageIsEstimate ? '. Storage is estimated.' : ''}</p>
+</body>
+</html>
+`;
+}
+
+// Invoice for the current user (admins may pass ?email=), as ?format=json|csv|html
+app.get('/api/billing/invoices/:period', requireSession, async (req, res) => {
+  try {
+    const range = periodRange(req.params.period);
+    if (!range) {
+      return res.status(400).json({ success: false, error: 'Period must be YYYY-MM or YYYY' });
+    }
+    
+    if (req.query.email !== undefined && typeof req.query.email !== 'string') {
+      return res.status(400).json({ success: false, error: 'email must be given once' });
+    }
+    
+    let email = req.proxySession.email;
+    let session = req.proxySession;
+    if (req.query.email && req.query.email.toLowerCase() !== email.toLowerCase()) {
+      if (!(await isProxyAdmin(email))) {
+        return res.status(403).json({ success: false, error: 'Admin privileges required' });
+      }
+      email = req.query.email;
+      // Refresh from n8n if the user happens to be logged in
+      session = (await sessionStore.list()).find(s => s.email.toLowerCase() === email.toLowerCase()) || null;
+    }
+    
+    const invoice = await buildInvoice(email, range, session);
+    const format = req.query.format || 'json';
+    if (format === 'csv') {
+      res.type('text/csv').attachment(`${invoice.invoiceNumber}.csv`).send(invoiceToCsv(invoice));
+    } else if (format === 'html') {
+      res.type('html').send(invoiceToHtml(invoice));
+    } else {
+      res.json({ success: true, invoice });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Available billing plans and the current user's plan
+app.get('/api/billing/plans', requireSession, async (req, res) => {
+  try {
+    const plan = await planForUser(req.proxySession.email);
+    res.json({
+      success: true,
+      current: plan.id,
+      currentPeriod: periodLabel(plan.period),
+      plans: Object.entries(billing.config.plans).map(([id, p]) => ({ id, ...p }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Template catalog, with the current user's installs
+app.get('/api/templates', requireSession, async (req, res) => {
+  try {
+    const installs = (await userDirectory.get(req.proxySession.email))?.templates || {};
+    res.json({
+      success: true,
+      templates: templateCatalog.list().map(t => ({ ...t, installed: installs[t.id] || null }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Install a template as a new workflow, body { parameters }; installing it again is a no-op
+app.post('/api/templates/:id/install', requireSession, async (req, res) => {
+  try {
+    const templateId = req.params.id;
+    if (!templateCatalog.get(templateId)) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    const parameters = req.body?.parameters || {};
+    if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+      return res.status(400).json({ success: false, error: 'parameters must be an object' });
+    }
+    
+    // Same workflow limit as creating one in the editor, unless the template is already installed
+    const installed = (await userDirectory.get(req.proxySession.email))?.templates?.[templateId];
+    if (!installed) {
+      const rule = QuotaGuard.match({ method: 'POST', path: '/rest/workflows' });
+      const result = await quotaGuard.check(rule, req);
+      if (result?.blocked) {
+        return res.status(result.status).json({ success: false, error: result.error.message, quota: result.error.quota });
+      }
+    }
+    
+    let user = {};
+    try {
+      const meRes = await axios.get(`${N8N_API}/rest/login`, sessionRequestConfig(req.proxySession));
+      const me = meRes.data?.data ?? meRes.data;
+      user = { firstName: me?.firstName, lastName: me?.lastName };
+    } catch (e) {
+      console.log('Could not fetch n8n user for template:', e.message);
+    }
+    
+    const { workflowId, installed: created } = await installTemplate(req, req.proxySession, templateId, { parameters, user });
+    res.status(created ? 201 : 200).json({ success: true, templateId, workflowId, installed: created, path: `/workflow/${workflowId}` });
+  } catch (error) {
+    res.status(error.status || error.response?.status || 500).json({ success: false, error: error.response?.data?.message || error.message });
+  }
+});
+
+// Blocked calls and soft warnings recorded by the quota guard (admin only)
+app.get('/api/quota-events', requireAdmin, async (req, res) => {
+  try {
+    const events = await quotaGuard.events({
+      email: req.query.email,
+      outcome: req.query.outcome,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+    });
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Audit trail (admin only): ?actor=&action=&target=&from=&to=&limit=&offset=, ?format=ndjson|csv to export
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  try {
+    const { actor, action, target, from, to, format = 'json' } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+    if (format !== 'json' && !exporter) {
+      return res.status(400).json({ success: false, error: `format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const maxLimit = exporter ? 100000 : 1000;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || (exporter ? maxLimit : 100), 1), maxLimit);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { entries, total } = await auditLog.query({ actor, action, target, from, to, limit, offset });
+    
+    if (exporter) {
+      res.set('Content-Type', exporter.contentType);
+      res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.${format}"`);
+      return res.send(exporter.render(entries));
+    }
+    res.json({ success: true, events: entries, pagination: { total, limit, offset } });
+  } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Recompute the audit hash chain (admin only)
+app.get('/api/audit/verify', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await auditLog.verify()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health and circuit breaker state of each n8n backend (admin only)
+app.get('/api/upstreams', requireAdmin, (req, res) => {
+  res.json({ success: true, upstreams: upstreams.status() });
+});
+
 // Helper function to format duration
 function formatDuration(ms) {
   if (ms < 1000) return `${Math.round(ms)}ms`;
@@ -528,58 +1569,193 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// n8n is unavailable: page loads in the iframe get the maintenance page, n8n's own
+// REST calls an n8n-style error
+function sendUpstreamUnavailable(req, res, status) {
+  res.set('Retry-After', String(MAINTENANCE_RETRY_AFTER_SECONDS));
+  res.set('Cache-Control', 'no-store');
+  if (req.method === 'GET' && !req.path.startsWith('/rest/') && req.accepts(['json', 'html']) === 'html') {
+    return res.status(status).sendFile(path.join(__dirname, 'public', 'maintenance.html'));
+  }
+  res.status(status).json({ code: status, message: 'n8n is temporarily unavailable, please try again shortly' });
+}
+
+// Matches the proxy session cookie in a raw Cookie header; the name is configurable, so escape it
+const PROXY_COOKIE_PATTERN = new RegExp(`(?:^|;\\s*)${PROXY_COOKIE_NAME.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}=([^;]+)`);
+
+// Backend for a WebSocket upgrade, which does not pass through the Express middleware below
+async function upgradeUpstream(req) {
+  const token = PROXY_COOKIE_PATTERN.exec(req.headers.cookie || '')?.[1];
+  const session = token ? await sessionStore.get(decodeURIComponent(token)).catch(() => null) : null;
+  return upstreams.pick(session?.email || req.socket.remoteAddress);
+}
+
+// Send an n8n page with the embedding bridge script added to its <head>
+async function sendWithBridge(proxyRes, req, res) {
+  let html;
+  try {
+    html = (await readBody(proxyRes)).toString('utf8');
+  } catch (e) {
+    console.log('Could not read n8n page for the embedding bridge:', e.message);
+    if (!res.headersSent) sendUpstreamUnavailable(req, res, 502);
+    return;
+  }
+  const body = Buffer.from(injectBridge(html, EMBED_ALLOWED_ORIGINS));
+  const headers = { ...proxyRes.headers, 'content-length': body.length };
+  delete headers['content-encoding'];
+  delete headers['transfer-encoding'];
+  delete headers.etag;
+  if (EMBED_ALLOWED_ORIGINS.length) headers['content-security-policy'] = frameAncestors(EMBED_ALLOWED_ORIGINS);
+  res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+  res.end(body);
+}
+
 // Proxy middleware configuration
 const proxyMiddleware = createProxyMiddleware({
   target: N8N_API,
+  router: async req => {
+    if (!req.upstream) req.upstream = await upgradeUpstream(req);
+    return req.upstream?.url || N8N_API;
+  },
   changeOrigin: true,
   ws: true,
   secure: false,
   agent: httpsAgent,
-  onProxyReq: (proxyReq) => {
-    if (BASIC_AUTH_USER && BASIC_AUTH_PASSWORD) {
-      const auth = Buffer.from(`${BASIC_AUTH_USER}:${BASIC_AUTH_PASSWORD}`).toString('base64');
-      proxyReq.setHeader('Authorization', `Basic ${auth}`);
-    }
-  },
-  onProxyRes: (proxyRes, req) => {
-    // Remove headers that block iframe embedding (security handled by server nginx)
-    delete proxyRes.headers['x-frame-options'];
-    delete proxyRes.headers['content-security-policy'];
-    
-    // Update session if n8n refreshes cookie
-    const setCookie = proxyRes.headers['set-cookie'];
-    if (setCookie && req.sessionToken) {
-      const session = sessionStore.get(req.sessionToken);
-      if (session) {
-        session.n8nCookie = parseSetCookies(setCookie);
-        session.lastActive = Date.now();
+  // proxyRes writes the response so it can inject the embedding bridge into n8n pages
+  selfHandleResponse: true,
+  on: {
+    proxyReq: (proxyReq, req) => {
+      if (BASIC_AUTH_USER && BASIC_AUTH_PASSWORD) {
+        const auth = Buffer.from(`${BASIC_AUTH_USER}:${BASIC_AUTH_PASSWORD}`).toString('base64');
+        proxyReq.setHeader('Authorization', `Basic ${auth}`);
       }
+      // express.json() has already read JSON bodies, so write them to n8n again
+      fixRequestBody(proxyReq, req);
+    },
+    proxyRes: (proxyRes, req, res) => {
+      upstreamDone('n8n', req.upstreamTimer, proxyRes.statusCode);
+      if (req.upstream) {
+        if ([502, 503, 504].includes(proxyRes.statusCode)) upstreams.recordFailure(req.upstream);
+        else upstreams.recordSuccess(req.upstream);
+      }
+      
+      // Remove headers that block iframe embedding (security handled by server nginx)
+      delete proxyRes.headers['x-frame-options'];
+      delete proxyRes.headers['content-security-policy'];
+      
+      // Count the outcome of n8n's own login form towards the lockout
+      if (req.loginAccount) {
+        if (proxyRes.statusCode === 401) {
+          loginLockout.recordFailure(req.loginAccount);
+          audit(req, 'auth.login_failed', req.loginAccount, { actor: null, details: { reason: 'invalid_credentials', via: 'n8n' } });
+        } else if (proxyRes.statusCode < 400) {
+          loginLockout.recordSuccess(req.loginAccount);
+          audit(req, 'auth.login', req.loginAccount, { actor: req.loginAccount, details: { via: 'n8n' } });
+        }
+      }
+      
+      // Update session if n8n refreshes cookie
+      const setCookie = proxyRes.headers['set-cookie'];
+      if (setCookie && req.sessionToken) {
+        sessionStore.set(req.sessionToken, {
+          ...req.proxySession,
+          n8nCookie: parseSetCookies(setCookie),
+          lastActive: Date.now()
+        }).catch(e => console.log('Could not refresh session cookie:', e.message));
+      }
+
+      // n8n pages get the embedding bridge; everything else, including push streams, is passed straight through
+      if (shouldInject(req, proxyRes)) {
+        return sendWithBridge(proxyRes, req, res);
+      }
+      res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, proxyRes.headers);
+      proxyRes.pipe(res);
+    },
+    error: (err, req, res) => {
+      upstreamDone('n8n', req.upstreamTimer, null, err);
+      if (req.upstream) upstreams.recordFailure(req.upstream);
+      // WebSocket upgrades pass the client socket instead of a response
+      if (!res.setHeader) return res.destroy();
+      if (res.headersSent) return res.end();
+      sendUpstreamUnavailable(req, res, 502);
     }
-  },
-  onError: (err, req, res) => {
-    res.status(502).json({ error: 'Proxy error' });
   }
 });
 
 // n8n paths to proxy
 const N8N_PATHS = ['/assets', '/static', '/home', '/workflow', '/credentials', 
-                   '/executions', '/settings', '/rest', '/signin', '/signup', '/favicon.ico'];
+                   '/executions', '/settings', '/projects', '/rest', '/signin', '/signup', '/favicon.ico'];
 
 // Proxy handler with session injection
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   // Skip proxy for our own API routes
   if (req.path.startsWith('/api/')) return next();
   if (!N8N_PATHS.some(p => req.path.startsWith(p))) return next();
+  req.metricsRoute = 'n8n';
   
   const token = req.cookies[PROXY_COOKIE_NAME];
   if (token) {
-    const session = sessionStore.get(token);
-    if (session?.n8nCookie) {
-      req.sessionToken = token;
-      req.headers['cookie'] = session.n8nCookie;
+    try {
+      const session = await sessionStore.get(token);
+      if (session?.n8nCookie) {
+        req.sessionToken = token;
+        req.proxySession = session;
+        req.headers['cookie'] = session.n8nCookie;
+        
+        // Keep the session alive while the user is active in the iframe
+        if (Date.now() - session.lastActive > SESSION_TOUCH_INTERVAL_MS) {
+          session.lastActive = Date.now();
+          await sessionStore.set(token, session);
+        }
+      }
+    } catch (e) {
+      console.log('Session store error:', e.message);
     }
   }
   
+  if (!(await rateLimiter.check(RATE_LIMITS.n8n, req, res))) return;
+  
+  // n8n's login form is a password login like /api/users/login
+  if (req.method === 'POST' && req.path === '/rest/login') {
+    if (!(await rateLimiter.check(RATE_LIMITS.login, req, res))) return;
+    const account = req.body?.emailOrLdapLoginId;
+    const lockedMs = account ? await loginLockout.lockedFor(account) : 0;
+    if (lockedMs) {
+      await audit(req, 'auth.login_failed', account, { actor: null, details: { reason: 'locked', via: 'n8n' } });
+      res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+      return res.status(429).json({ code: 429, message: 'Too many failed logins, please try again later' });
+    }
+    req.loginAccount = account;
+  }
+  
+  // Check plan quotas before forwarding calls that create or activate; fail open if usage is unavailable
+  const rule = req.proxySession && QuotaGuard.match(req);
+  if (rule) {
+    try {
+      const result = await quotaGuard.check(rule, req);
+      if (result?.blocked) {
+        proxyMetrics.quotaDenied.inc({ user: metricsUser(req.proxySession.email), quota: result.quota });
+        await audit(req, 'quota.denied', req.proxySession.email.toLowerCase(), {
+          details: { action: result.action, quota: result.quota, used: result.used, limit: result.limit, plan: result.plan, method: req.method, path: req.path }
+        });
+        if (result.resetsAt) res.set('Retry-After', String(Math.max(0, Math.ceil((new Date(result.resetsAt) - Date.now()) / 1000))));
+        return res.status(result.status).json(result.error);
+      }
+      if (result?.warning) res.set('X-Quota-Warning', `${result.quota}=${result.used + 1}/${result.limit}`);
+    } catch (e) {
+      console.log('Quota check failed:', e.message);
+    }
+  }
+  
+  // Each user sticks to one available backend; anonymous requests stick to their IP
+  req.upstream = upstreams.pick(req.proxySession?.email || req.ip);
+  if (!req.upstream) {
+    upstreamDone('n8n', null, null, { code: 'N8N_UNAVAILABLE' });
+    return sendUpstreamUnavailable(req, res, 503);
+  }
+  
+  req.upstreamTimer = proxyMetrics.upstreamDuration.startTimer({ upstream: 'n8n' });
+  if (req.proxySession) proxyMetrics.userRequests.inc({ user: metricsUser(req.proxySession.email) });
   return proxyMiddleware(req, res, next);
 });
 
@@ -1150,6 +1150,44 @@ start_netdata_service() {
 # Main Setup Function
 # ==============================================================================
 
+# Scrape the user management API's Prometheus endpoint with Netdata's go.d collector
+configure_netdata_prometheus_collector() {
+    log_info "Configuring Netdata Prometheus collector for the user management API..."
+    
+    local config_dir=""
+    if [ -d "/etc/netdata" ]; then
+        config_dir="/etc/netdata"
+    elif [ -d "/opt/netdata/etc/netdata" ]; then
+        config_dir="/opt/netdata/etc/netdata"
+    else
+        log_error "Could not find Netdata configuration directory"
+        return 1
+    fi
+    
+    sudo mkdir -p "$config_dir/go.d"
+    
+    local auth_header=""
+    if [ -n "${METRICS_TOKEN:-}" ]; then
+        auth_header="    headers:
+      Authorization: Bearer ${METRICS_TOKEN}"
+    fi
+    
+    sudo tee "$config_dir/go.d/prometheus.conf" > /dev/null << EOF
+# n8n User Management API metrics - per-user executions, storage and request durations
+jobs:
+  - name: n8n_user_api
+    url: http://127.0.0.1:${USER_API_PORT:-3001}/metrics
+    update_every: 15
+${auth_header}
+EOF
+    
+    sudo chmod 640 "$config_dir/go.d/prometheus.conf"
+    sudo chown root:netdata "$config_dir/go.d/prometheus.conf" 2>/dev/null || true
+    
+    log_info "Prometheus collector configured for http://127.0.0.1:${USER_API_PORT:-3001}/metrics"
+    return 0
+}
+
 setup_netdata_monitoring() {
     log_info "Setting up Netdata monitoring infrastructure..."
     
@@ -1177,6 +1215,11 @@ setup_netdata_monitoring() {
         return 1
     fi
     
+    # Step 4b: Collect the user management API's metrics
+    if ! configure_netdata_prometheus_collector; then
+        log_warn "Failed to configure Netdata Prometheus collector"
+    fi
+    
     # Step 5: Start and enable Netdata service with new configuration
     log_info "Starting and enabling Netdata service..."
     
@@ -30,6 +30,8 @@ create_api_directories() {
     execute_silently "sudo mkdir -p /opt/n8n/api/middleware"
     execute_silently "sudo mkdir -p /opt/n8n/api/docs"
     execute_silently "sudo mkdir -p /opt/n8n/api/logs"
+    execute_silently "sudo mkdir -p /opt/n8n/api/lib"
+    execute_silently "sudo mkdir -p /opt/n8n/api/data"
     
     # Set proper permissions
     execute_silently "sudo chown -R $USER:docker /opt/n8n/api"
@@ -38,6 +40,1021 @@ create_api_directories() {
     log_pass "API directory structure created"
 }
 
+# Create token store shared by the auth endpoints and middleware
+create_token_store() {
+    log_info "Creating token store..."
+    
+    cat > /opt/n8n/api/lib/token-store.js << 'EOF'
+// Token Store
+// Access/refresh token issuing, refresh-token rotation with reuse detection and revocation
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// JWT_EXPIRES_IN in milliseconds, read back from a signed token so every format jsonwebtoken takes works
+const ACCESS_TOKEN_TTL_MS = (({ iat, exp }) => (exp - iat) * 1000)(
+    jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: ACCESS_TOKEN_EXPIRES_IN }))
+);
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function authError(message) {
+    return Object.assign(new Error(message), { status: 401 });
+}
+
+class TokenStore {
+    constructor(filePath = '/opt/n8n/api/data/auth-tokens.json') {
+        this.filePath = filePath;
+        this.jwtSecret = process.env.JWT_SECRET || 'default-secret';
+        this.state = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    // refreshTokens: token hash -> { userId, sessionId, expiresAt, usedAt }
+    // revokedSessions: session ID -> expiry, revokedBefore: user ID -> ms timestamp
+    async load() {
+        if (this.state) return this.state;
+        if (!this.loading) {
+            this.loading = fs.readFile(this.filePath, 'utf8')
+                .then(data => JSON.parse(data))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') console.error('Error loading token store:', error);
+                    return {};
+                })
+                .then(data => {
+                    // Older stores kept revocation times in unix seconds
+                    const revokedBefore = Object.fromEntries(Object.entries(data.revokedBefore || {})
+                        .map(([userId, at]) => [userId, at < 1e12 ? at * 1000 : at]));
+                    this.state = {
+                        refreshTokens: data.refreshTokens || {},
+                        revokedSessions: data.revokedSessions || {},
+                        revokedBefore
+                    };
+                    return this.state;
+                });
+        }
+        return this.loading;
+    }
+
+    // Drop expired entries, then write the store atomically
+    save() {
+        const now = Date.now();
+        const { refreshTokens, revokedSessions, revokedBefore } = this.state;
+        for (const [hash, record] of Object.entries(refreshTokens)) {
+            if (record.expiresAt < now) delete refreshTokens[hash];
+        }
+        for (const [sessionId, expiresAt] of Object.entries(revokedSessions)) {
+            if (expiresAt < now) delete revokedSessions[sessionId];
+        }
+        // Every access token issued before these has expired
+        for (const [userId, at] of Object.entries(revokedBefore)) {
+            if (at + ACCESS_TOKEN_TTL_MS < now) delete revokedBefore[userId];
+        }
+
+        const data = JSON.stringify(this.state, null, 2);
+        this.writing = this.writing
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(`${this.filePath}.tmp`, data, { mode: 0o600 });
+                await fs.rename(`${this.filePath}.tmp`, this.filePath);
+            })
+            .catch(error => console.error('Error saving token store:', error));
+        return this.writing;
+    }
+
+    // Short-lived access token plus a refresh token for the session
+    async issue(user, sessionId = uuidv4()) {
+        const state = await this.load();
+        const accessToken = jwt.sign(
+            {
+                userId: user.userId,
+                role: user.role,
+                permissions: user.permissions,
+                sid: sessionId,
+                // iat has whole seconds only, too coarse to order a token against a revocation
+                iatMs: Date.now()
+            },
+            this.jwtSecret,
+            { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: uuidv4() }
+        );
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        state.refreshTokens[hashToken(refreshToken)] = {
+            userId: user.userId,
+            sessionId,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+            usedAt: null
+        };
+        await this.save();
+        return {
+            accessToken,
+            refreshToken,
+            expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+            sessionId
+        };
+    }
+
+    // Exchange a refresh token for a new pair. A refresh token that was already used
+    // means it leaked, so the whole session is revoked. loadUser(userId) returns the
+    // current user config, or null if the user no longer exists.
+    async rotate(refreshToken, loadUser) {
+        const state = await this.load();
+        const record = state.refreshTokens[hashToken(refreshToken || '')];
+        if (!record || record.expiresAt < Date.now()) {
+            throw authError('Invalid refresh token');
+        }
+        if (record.usedAt) {
+            await this.revokeSession(record.sessionId);
+            throw authError('Refresh token reuse detected, session revoked');
+        }
+
+        record.usedAt = Date.now();
+        const user = await loadUser(record.userId);
+        if (!user || user.status !== 'active') {
+            await this.revokeUser(record.userId);
+            throw authError('User account is not active');
+        }
+        return this.issue(user, record.sessionId);
+    }
+
+    async revokeSession(sessionId) {
+        const state = await this.load();
+        for (const [hash, record] of Object.entries(state.refreshTokens)) {
+            if (record.sessionId === sessionId) delete state.refreshTokens[hash];
+        }
+        // Outstanding access tokens never outlive the session's refresh tokens
+        state.revokedSessions[sessionId] = Date.now() + REFRESH_TOKEN_TTL_MS;
+        await this.save();
+    }
+
+    // Session of a refresh token, null if unknown
+    async sessionOf(refreshToken) {
+        const state = await this.load();
+        return state.refreshTokens[hashToken(refreshToken || '')]?.sessionId || null;
+    }
+
+    // Revoke every token of a user, e.g. after a password or status change
+    async revokeUser(userId) {
+        const state = await this.load();
+        const sessionIds = new Set(Object.values(state.refreshTokens)
+            .filter(record => record.userId === userId)
+            .map(record => record.sessionId));
+        for (const sessionId of sessionIds) {
+            await this.revokeSession(sessionId);
+        }
+        state.revokedBefore[userId] = Date.now();
+        await this.save();
+    }
+
+    // True for tokens of revoked sessions or issued before the user's tokens were revoked
+    async isRevoked(decoded) {
+        const state = await this.load();
+        if (decoded.sid && state.revokedSessions[decoded.sid]) return true;
+        const revokedBefore = state.revokedBefore[decoded.userId];
+        return revokedBefore !== undefined && (decoded.iatMs ?? decoded.iat * 1000) < revokedBefore;
+    }
+
+    // Verify an access token's signature, expiry and revocation
+    async verifyAccessToken(token, options = {}) {
+        const decoded = jwt.verify(token, this.jwtSecret, options);
+        if (await this.isRevoked(decoded)) {
+            throw authError('Token has been revoked');
+        }
+        return decoded;
+    }
+}
+
+module.exports = new TokenStore();
+EOF
+
+    log_pass "Token store created"
+}
+
+# Create SQLite repository for users, configs, metric snapshots and audit events
+create_user_repository() {
+    log_info "Creating user repository..."
+    
+    # Hash chain and export helpers shared with the proxy's audit log
+    cp "$PROJECT_ROOT/example/lib/audit-log.js" /opt/n8n/api/lib/audit-log.js
+    
+    cat > /opt/n8n/api/lib/repository.js << 'EOF'
+// User Repository
+// SQLite storage for users, their configs, metric snapshots, audit events, webhooks, usage report runs and erasure jobs
+
+const Database = require('better-sqlite3');
+const fs = require('fs').promises;
+const { mkdirSync } = require('fs');
+const path = require('path');
+const { entryHash, chainEntry, verifyChain, GENESIS_HASH } = require('./audit-log');
+
+// Applied in order; PRAGMA user_version records how many have run.
+// A migration is SQL or a function of the database.
+const MIGRATIONS = [
+    `CREATE TABLE users (
+        user_id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        password_hash TEXT,
+        role TEXT NOT NULL DEFAULT 'user',
+        plan TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_activity TEXT
+    );
+    CREATE INDEX users_status ON users (status);
+    CREATE INDEX users_role ON users (role);
+    CREATE INDEX users_plan ON users (plan);
+    CREATE INDEX users_email ON users (email COLLATE NOCASE);
+    CREATE INDEX users_created_at ON users (created_at);
+
+    CREATE TABLE user_configs (
+        user_id TEXT PRIMARY KEY REFERENCES users (user_id) ON DELETE CASCADE,
+        quotas TEXT,
+        settings TEXT,
+        permissions TEXT
+    );
+
+    CREATE TABLE metric_snapshots (
+        user_id TEXT NOT NULL,
+        taken_at INTEGER NOT NULL,
+        total_executions INTEGER NOT NULL DEFAULT 0,
+        successful_executions INTEGER NOT NULL DEFAULT 0,
+        failed_executions INTEGER NOT NULL DEFAULT 0,
+        total_duration INTEGER NOT NULL DEFAULT 0,
+        storage_bytes INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, taken_at)
+    );
+
+    CREATE TABLE audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        target TEXT,
+        details TEXT
+    );
+    CREATE INDEX audit_events_target ON audit_events (target, id);
+    CREATE INDEX audit_events_action ON audit_events (action, id);`,
+
+    // Hash-chained audit entries with before/after values and client IP; existing entries join the chain
+    db => {
+        db.exec(`
+            ALTER TABLE audit_events ADD COLUMN ip TEXT;
+            ALTER TABLE audit_events ADD COLUMN before_value TEXT;
+            ALTER TABLE audit_events ADD COLUMN after_value TEXT;
+            ALTER TABLE audit_events ADD COLUMN prev_hash TEXT;
+            ALTER TABLE audit_events ADD COLUMN hash TEXT;
+            CREATE INDEX audit_events_actor ON audit_events (actor, id);
+            CREATE INDEX audit_events_at ON audit_events (at);
+        `);
+        const update = db.prepare('UPDATE audit_events SET prev_hash = ?, hash = ? WHERE id = ?');
+        let prevHash = GENESIS_HASH;
+        for (const row of db.prepare('SELECT * FROM audit_events ORDER BY id').all()) {
+            const hash = entryHash(toAuditEntry(row), prevHash);
+            update.run(prevHash, hash, row.id);
+            prevHash = hash;
+        }
+    },
+
+    `CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivered_at TEXT
+    );
+    CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);`,
+
+    `CREATE TABLE usage_report_runs (
+        user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+        month TEXT NOT NULL,
+        status TEXT NOT NULL,
+        recipient TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        sent_at TEXT,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, month)
+    );
+    CREATE INDEX usage_report_runs_month ON usage_report_runs (month, status);`,
+
+    // No foreign key: the job outlives the user it erased
+    `CREATE TABLE erasure_jobs (
+        user_id TEXT PRIMARY KEY,
+        email TEXT,
+        status TEXT NOT NULL,
+        steps TEXT NOT NULL,
+        requested_by TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT
+    );
+    CREATE INDEX erasure_jobs_status ON erasure_jobs (status);`
+];
+
+const SORT_COLUMNS = {
+    userId: 'user_id',
+    email: 'email',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    lastActivity: 'last_activity'
+};
+
+function repositoryError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+function parseJson(value) {
+    return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+function toJson(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+// Row of users joined with user_configs -> the user object the API returns
+function toUser(row) {
+    if (!row) return null;
+    return {
+        userId: row.user_id,
+        email: row.email,
+        passwordHash: row.password_hash,
+        role: row.role,
+        plan: row.plan,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        lastActivity: row.last_activity,
+        quotas: parseJson(row.quotas),
+        settings: parseJson(row.settings),
+        permissions: parseJson(row.permissions)
+    };
+}
+
+function toAuditEntry(row) {
+    return {
+        id: row.id,
+        at: row.at,
+        actor: row.actor,
+        action: row.action,
+        target: row.target,
+        ip: row.ip ?? null,
+        before: parseJson(row.before_value),
+        after: parseJson(row.after_value),
+        details: parseJson(row.details),
+        prevHash: row.prev_hash ?? null,
+        hash: row.hash ?? null
+    };
+}
+
+function toWebhook(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        url: row.url,
+        secret: row.secret,
+        events: JSON.parse(row.events),
+        description: row.description,
+        active: !!row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toDelivery(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at === null ? null : new Date(row.next_attempt_at).toISOString(),
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+function toReportRun(row) {
+    if (!row) return null;
+    return {
+        userId: row.user_id,
+        month: row.month,
+        status: row.status,
+        recipient: row.recipient,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        sentAt: row.sent_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toErasureJob(row) {
+    if (!row) return null;
+    return {
+        userId: row.user_id,
+        email: row.email,
+        status: row.status,
+        steps: JSON.parse(row.steps),
+        requestedBy: row.requested_by,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at
+    };
+}
+
+function toSnapshot(row) {
+    return {
+        timestamp: new Date(row.taken_at).toISOString(),
+        totalExecutions: row.total_executions,
+        successfulExecutions: row.successful_executions,
+        failedExecutions: row.failed_executions,
+        totalDuration: row.total_duration,
+        storageBytes: row.storage_bytes
+    };
+}
+
+class UserRepository {
+    constructor(dbPath = process.env.API_DB_PATH || '/opt/n8n/api/data/n8n-api.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    // Open the database on first use and bring the schema up to date
+    connection() {
+        if (this.db) return this.db;
+        mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const db = new Database(this.dbPath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+        db.pragma('busy_timeout = 5000');
+
+        const applied = db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(applied).forEach((migration, index) => {
+            db.transaction(() => {
+                if (typeof migration === 'function') migration(db);
+                else db.exec(migration);
+                db.pragma(`user_version = ${applied + index + 1}`);
+            })();
+        });
+        this.db = db;
+        return db;
+    }
+
+    schemaVersion() {
+        return this.connection().pragma('user_version', { simple: true });
+    }
+
+    selectUser(userId) {
+        return this.connection().prepare(`
+            SELECT u.*, c.quotas, c.settings, c.permissions
+            FROM users u LEFT JOIN user_configs c ON c.user_id = u.user_id
+            WHERE u.user_id = ?
+        `).get(userId);
+    }
+
+    writeUser(user) {
+        const db = this.connection();
+        db.prepare(`
+            INSERT INTO users (user_id, email, password_hash, role, plan, status, created_at, updated_at, last_activity)
+            VALUES (@userId, @email, @passwordHash, @role, @plan, @status, @createdAt, @updatedAt, @lastActivity)
+            ON CONFLICT (user_id) DO UPDATE SET
+                email = excluded.email,
+                password_hash = excluded.password_hash,
+                role = excluded.role,
+                plan = excluded.plan,
+                status = excluded.status,
+                updated_at = excluded.updated_at,
+                last_activity = excluded.last_activity
+        `).run({
+            userId: user.userId,
+            email: user.email,
+            passwordHash: user.passwordHash ?? null,
+            role: user.role || 'user',
+            plan: user.plan ?? null,
+            status: user.status || 'active',
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt || user.createdAt,
+            lastActivity: user.lastActivity ?? null
+        });
+        db.prepare(`
+            INSERT INTO user_configs (user_id, quotas, settings, permissions)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (user_id) DO UPDATE SET
+                quotas = excluded.quotas,
+                settings = excluded.settings,
+                permissions = excluded.permissions
+        `).run(user.userId, toJson(user.quotas), toJson(user.settings), toJson(user.permissions));
+    }
+
+    async getUser(userId) {
+        return toUser(this.selectUser(userId));
+    }
+
+    async createUser(user) {
+        const db = this.connection();
+        db.transaction(() => {
+            if (this.selectUser(user.userId)) {
+                throw repositoryError('User already exists', 409);
+            }
+            this.writeUser(user);
+        })();
+        return this.getUser(user.userId);
+    }
+
+    // Apply changes(user) -> fields to the current user in one transaction,
+    // so concurrent updates never overwrite each other. Returns { before, after }.
+    async updateUser(userId, changes) {
+        const db = this.connection();
+        return db.transaction(() => {
+            const before = toUser(this.selectUser(userId));
+            if (!before) {
+                throw repositoryError('User not found', 404);
+            }
+            const fields = typeof changes === 'function' ? changes(before) : changes;
+            const after = { ...before, ...fields, userId, updatedAt: new Date().toISOString() };
+            this.writeUser(after);
+            return { before, after };
+        })();
+    }
+
+    // Only touches last_activity, so it cannot undo a concurrent update
+    async recordActivity(userId, at = new Date().toISOString()) {
+        this.connection().prepare('UPDATE users SET last_activity = ? WHERE user_id = ?').run(at, userId);
+    }
+
+    async deleteUser(userId) {
+        return this.connection().prepare('DELETE FROM users WHERE user_id = ?').run(userId).changes > 0;
+    }
+
+    // Filtered, sorted page of users plus the total number of matches
+    async listUsers({ status, role, plan, search, sort = 'createdAt', order = 'asc', limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = {};
+        if (status) {
+            conditions.push('u.status = @status');
+            params.status = status;
+        }
+        if (role) {
+            conditions.push('u.role = @role');
+            params.role = role;
+        }
+        if (plan) {
+            conditions.push('u.plan = @plan');
+            params.plan = plan;
+        }
+        if (search) {
+            conditions.push("(u.user_id LIKE @search ESCAPE '\\' OR u.email LIKE @search ESCAPE '\\')");
+            params.search = `%${String(search).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+        }
+        const column = SORT_COLUMNS[sort];
+        if (!column) {
+            throw repositoryError(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`, 400);
+        }
+        const direction = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const db = this.connection();
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM users u ${where}`).get(params).count;
+        const rows = db.prepare(`
+            SELECT u.*, c.quotas, c.settings, c.permissions
+            FROM users u LEFT JOIN user_configs c ON c.user_id = u.user_id
+            ${where}
+            ORDER BY u.${column} ${direction}, u.user_id ${direction}
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset });
+        return { users: rows.map(toUser), total };
+    }
+
+    async countUsers(status = null) {
+        const db = this.connection();
+        return status
+            ? db.prepare('SELECT COUNT(*) AS count FROM users WHERE status = ?').get(status).count
+            : db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+    }
+
+    // [{ status, role, count }]
+    async countUsersByStatusAndRole() {
+        return this.connection().prepare('SELECT status, role, COUNT(*) AS count FROM users GROUP BY status, role').all();
+    }
+
+    async listUserIds() {
+        return this.connection().prepare('SELECT user_id FROM users ORDER BY user_id').pluck().all();
+    }
+
+    // Import users from the per-user user-config.json files written before the database existed.
+    // Users already in the database are left alone, so this is safe to run on every start.
+    async importUserDirectories(usersPath) {
+        const result = { imported: 0, skipped: 0, failed: 0 };
+        let dirs = [];
+        try {
+            dirs = (await fs.readdir(usersPath, { withFileTypes: true })).filter(entry => entry.isDirectory());
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const users = [];
+        for (const { name: userId } of dirs) {
+            if (!/^[a-zA-Z0-9_]+$/.test(userId) || this.selectUser(userId)) {
+                result.skipped++;
+                continue;
+            }
+            let config;
+            try {
+                config = JSON.parse(await fs.readFile(path.join(usersPath, userId, 'user-config.json'), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`Failed to import user config for ${userId}:`, error.message);
+                    result.failed++;
+                } else {
+                    result.skipped++;
+                }
+                continue;
+            }
+            const createdAt = config.createdAt || new Date().toISOString();
+            users.push({ ...config, userId, email: config.email || '', createdAt, updatedAt: config.updatedAt || createdAt });
+        }
+
+        this.connection().transaction(() => users.forEach(user => this.writeUser(user)))();
+        result.imported = users.length;
+        return result;
+    }
+
+    async addMetricSnapshot(userId, snapshot) {
+        this.connection().prepare(`
+            INSERT OR REPLACE INTO metric_snapshots
+                (user_id, taken_at, total_executions, successful_executions, failed_executions, total_duration, storage_bytes)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            userId,
+            new Date(snapshot.timestamp).getTime(),
+            snapshot.totalExecutions || 0,
+            snapshot.successfulExecutions || 0,
+            snapshot.failedExecutions || 0,
+            snapshot.totalDuration || 0,
+            snapshot.storageBytes || 0
+        );
+    }
+
+    // Snapshots oldest first within [from, to] (ms timestamps)
+    async metricSnapshots(userId, from = 0, to = Number.MAX_SAFE_INTEGER) {
+        return this.connection().prepare(`
+            SELECT * FROM metric_snapshots
+            WHERE user_id = ? AND taken_at BETWEEN ? AND ?
+            ORDER BY taken_at
+        `).all(userId, from, Math.min(to, Number.MAX_SAFE_INTEGER)).map(toSnapshot);
+    }
+
+    // The latest snapshot taken at or before `at` (ms timestamp)
+    async latestMetricSnapshot(userId, at = Number.MAX_SAFE_INTEGER) {
+        const row = this.connection().prepare(`
+            SELECT * FROM metric_snapshots WHERE user_id = ? AND taken_at <= ? ORDER BY taken_at DESC LIMIT 1
+        `).get(userId, Math.min(at, Number.MAX_SAFE_INTEGER));
+        return row ? toSnapshot(row) : null;
+    }
+
+    // The latest snapshot of every user, with its userId
+    async latestMetricSnapshots() {
+        return this.connection().prepare(`
+            SELECT s.* FROM metric_snapshots s
+            JOIN (SELECT user_id, MAX(taken_at) AS taken_at FROM metric_snapshots GROUP BY user_id) latest
+                ON latest.user_id = s.user_id AND latest.taken_at = s.taken_at
+            ORDER BY s.user_id
+        `).all().map(row => ({ userId: row.user_id, ...toSnapshot(row) }));
+    }
+
+    async pruneMetricSnapshots(before) {
+        return this.connection().prepare('DELETE FROM metric_snapshots WHERE taken_at < ?').run(before).changes;
+    }
+
+    async deleteMetricSnapshots(userId) {
+        return this.connection().prepare('DELETE FROM metric_snapshots WHERE user_id = ?').run(userId).changes;
+    }
+
+    // Import the NDJSON snapshot series kept before the database; imported files are renamed
+    async importMetricSeries(metricsPath) {
+        let files = [];
+        try {
+            files = (await fs.readdir(metricsPath)).filter(file => file.endsWith('_series.ndjson'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        let imported = 0;
+        for (const file of files) {
+            const userId = file.slice(0, -'_series.ndjson'.length);
+            const snapshots = (await fs.readFile(path.join(metricsPath, file), 'utf8'))
+                .split('\n')
+                .filter(Boolean)
+                .map(line => JSON.parse(line));
+            this.connection().transaction(() => {
+                snapshots.forEach(snapshot => this.addMetricSnapshot(userId, snapshot));
+            })();
+            await fs.rename(path.join(metricsPath, file), path.join(metricsPath, `${file}.imported`));
+            imported += snapshots.length;
+        }
+        return imported;
+    }
+
+    // Append an entry to the audit chain; the transaction keeps concurrent writers in order
+    async recordAuditEvent(event) {
+        const db = this.connection();
+        return db.transaction(() => {
+            const previous = db.prepare('SELECT id, hash FROM audit_events ORDER BY id DESC LIMIT 1').get();
+            const entry = chainEntry(event, previous);
+            db.prepare(`
+                INSERT INTO audit_events (id, at, actor, action, target, ip, before_value, after_value, details, prev_hash, hash)
+                VALUES (@id, @at, @actor, @action, @target, @ip, @before, @after, @details, @prevHash, @hash)
+            `).run({
+                ...entry,
+                before: toJson(entry.before),
+                after: toJson(entry.after),
+                details: toJson(entry.details)
+            });
+            return entry;
+        })();
+    }
+
+    // Matching entries newest first, plus the total number of matches
+    async auditEvents({ actor, action, target, from, to, limit = 100, offset = 0 } = {}) {
+        const conditions = [];
+        const params = {};
+        for (const [column, value] of Object.entries({ actor, action, target })) {
+            if (value) {
+                conditions.push(`${column} = @${column}`);
+                params[column] = value;
+            }
+        }
+        if (from) {
+            conditions.push('at >= @from');
+            params.from = from;
+        }
+        if (to) {
+            conditions.push('at <= @to');
+            params.to = to;
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const db = this.connection();
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_events ${where}`).get(params).count;
+        const entries = db.prepare(`SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit, offset })
+            .map(toAuditEntry);
+        return { entries, total };
+    }
+
+    // Recompute the audit chain from the first entry
+    async verifyAuditChain() {
+        const rows = this.connection().prepare('SELECT * FROM audit_events ORDER BY id').iterate();
+        return verifyChain((function* () {
+            for (const row of rows) yield toAuditEntry(row);
+        })());
+    }
+
+    async createWebhook(webhook) {
+        this.connection().prepare(`
+            INSERT INTO webhooks (id, url, secret, events, description, active, created_at, updated_at)
+            VALUES (@id, @url, @secret, @events, @description, @active, @createdAt, @updatedAt)
+        `).run({ ...webhook, events: JSON.stringify(webhook.events), active: webhook.active ? 1 : 0 });
+        return this.getWebhook(webhook.id);
+    }
+
+    async getWebhook(id) {
+        return toWebhook(this.connection().prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+    }
+
+    async listWebhooks() {
+        return this.connection().prepare('SELECT * FROM webhooks ORDER BY created_at').all().map(toWebhook);
+    }
+
+    // Same contract as updateUser: changes is an object or a function of the current webhook
+    async updateWebhook(id, changes) {
+        const db = this.connection();
+        return db.transaction(() => {
+            const before = toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+            if (!before) {
+                throw repositoryError('Webhook not found', 404);
+            }
+            const fields = typeof changes === 'function' ? changes(before) : changes;
+            const after = { ...before, ...fields, id, updatedAt: new Date().toISOString() };
+            db.prepare(`
+                UPDATE webhooks SET url = @url, secret = @secret, events = @events, description = @description,
+                    active = @active, updated_at = @updatedAt
+                WHERE id = @id
+            `).run({ ...after, events: JSON.stringify(after.events), active: after.active ? 1 : 0 });
+            return { before, after };
+        })();
+    }
+
+    async deleteWebhook(id) {
+        return this.connection().prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    }
+
+    async addDeliveries(deliveries) {
+        const db = this.connection();
+        const insert = db.prepare(`
+            INSERT INTO webhook_deliveries
+                (id, webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at, updated_at)
+            VALUES (@id, @webhookId, @eventId, @eventType, @payload, 'pending', 0, @nextAttemptAt, @createdAt, @createdAt)
+        `);
+        db.transaction(() => deliveries.forEach(delivery => insert.run({
+            ...delivery,
+            payload: JSON.stringify(delivery.payload),
+            nextAttemptAt: Date.now()
+        })))();
+    }
+
+    // Remove the email and IP address from the stored payloads of a user's events
+    async redactUserDeliveries(userId) {
+        return this.connection().prepare(`
+            UPDATE webhook_deliveries SET payload = json_remove(payload, '$.data.email', '$.data.ip')
+            WHERE json_extract(payload, '$.data.userId') = ?
+                AND (json_extract(payload, '$.data.email') IS NOT NULL OR json_extract(payload, '$.data.ip') IS NOT NULL)
+        `).run(userId).changes;
+    }
+
+    async getDelivery(id) {
+        return toDelivery(this.connection().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+    }
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async dueDeliveries(now, limit) {
+        return this.connection().prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at
+            LIMIT ?
+        `).all(now, limit).map(toDelivery);
+    }
+
+    // fields: status, attempts, nextAttemptAt (ms or null), lastStatusCode, lastError, deliveredAt
+    async updateDelivery(id, fields) {
+        const db = this.connection();
+        const current = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+        if (!current) {
+            throw repositoryError('Delivery not found', 404);
+        }
+        const pick = (key, column) => (key in fields ? fields[key] : current[column]);
+        db.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?,
+                last_error = ?, delivered_at = ?, updated_at = ?
+            WHERE id = ?
+        `).run(
+            pick('status', 'status'),
+            pick('attempts', 'attempts'),
+            pick('nextAttemptAt', 'next_attempt_at'),
+            pick('lastStatusCode', 'last_status_code'),
+            pick('lastError', 'last_error'),
+            pick('deliveredAt', 'delivered_at'),
+            new Date().toISOString(),
+            id
+        );
+        return this.getDelivery(id);
+    }
+
+    // Newest first, plus the total number of matches
+    async listDeliveries({ webhookId, status, eventType, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = {};
+        for (const [column, value] of Object.entries({ webhook_id: webhookId, status, event_type: eventType })) {
+            if (value) {
+                conditions.push(`${column} = @${column}`);
+                params[column] = value;
+            }
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const db = this.connection();
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM webhook_deliveries ${where}`).get(params).count;
+        const deliveries = db.prepare(`
+            SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, id LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset }).map(toDelivery);
+        return { deliveries, total };
+    }
+
+    // [{ status, count }]
+    async countDeliveriesByStatus() {
+        return this.connection().prepare('SELECT status, COUNT(*) AS count FROM webhook_deliveries GROUP BY status').all();
+    }
+
+    // Only successful deliveries are pruned; the dead-letter queue is kept until retried or the webhook is deleted
+    async pruneDeliveries(before) {
+        return this.connection().prepare(`
+            DELETE FROM webhook_deliveries WHERE status = 'delivered' AND created_at < ?
+        `).run(new Date(before).toISOString()).changes;
+    }
+
+    async getReportRun(userId, month) {
+        return toReportRun(this.connection().prepare(`
+            SELECT * FROM usage_report_runs WHERE user_id = ? AND month = ?
+        `).get(userId, month));
+    }
+
+    // Record the outcome of sending a user's report for a month, replacing any earlier attempt
+    async saveReportRun({ userId, month, status, recipient = null, attempts = 1, lastError = null, sentAt = null }) {
+        this.connection().prepare(`
+            INSERT OR REPLACE INTO usage_report_runs (user_id, month, status, recipient, attempts, last_error, sent_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(userId, month, status, recipient, attempts, lastError, sentAt, new Date().toISOString());
+        return this.getReportRun(userId, month);
+    }
+
+    // Newest month first, plus the total number of matches
+    async listReportRuns({ month, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = {};
+        for (const [column, value] of Object.entries({ month, status })) {
+            if (value) {
+                conditions.push(`${column} = @${column}`);
+                params[column] = value;
+            }
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const db = this.connection();
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM usage_report_runs ${where}`).get(params).count;
+        const runs = db.prepare(`
+            SELECT * FROM usage_report_runs ${where} ORDER BY month DESC, user_id LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset }).map(toReportRun);
+        return { runs, total };
+    }
+
+    async getErasureJob(userId) {
+        return toErasureJob(this.connection().prepare('SELECT * FROM erasure_jobs WHERE user_id = ?').get(userId));
+    }
+
+    // Insert or replace a user's erasure job; steps is the list of step results
+    async saveErasureJob(job) {
+        this.connection().prepare(`
+            INSERT OR REPLACE INTO erasure_jobs
+                (user_id, email, status, steps, requested_by, last_error, created_at, updated_at, completed_at)
+            VALUES (@userId, @email, @status, @steps, @requestedBy, @lastError, @createdAt, @updatedAt, @completedAt)
+        `).run({
+            userId: job.userId,
+            email: job.email ?? null,
+            status: job.status,
+            steps: JSON.stringify(job.steps),
+            requestedBy: job.requestedBy ?? null,
+            lastError: job.lastError ?? null,
+            createdAt: job.createdAt,
+            updatedAt: new Date().toISOString(),
+            completedAt: job.completedAt ?? null
+        });
+        return this.getErasureJob(job.userId);
+    }
+
+    async listErasureJobs(status) {
+        return this.connection().prepare(`
+            SELECT * FROM erasure_jobs WHERE status = ? ORDER BY created_at
+        `).all(status).map(toErasureJob);
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
+
+module.exports = new UserRepository();
+EOF
+
+    log_pass "User repository created"
+}
+
 # Create user provisioning API
 create_user_provisioning_api() {
     log_info "Creating user provisioning API endpoints..."
@@ -53,6 +1070,19 @@ const jwt = require('jsonwebtoken');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const tokenStore = require('../lib/token-store');
+const repository = require('../lib/repository');
+const rateLimits = require('../middleware/rate-limit');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+const webhooks = require('../lib/webhooks');
+const erasure = require('../lib/user-erasure');
+const { diffValues } = require('../lib/audit-log');
+const { BillingEngine } = require('../lib/billing');
+const { TemplateCatalog } = require('../lib/template-catalog');
+
+// Never written to the audit log; entries name the user by ID only, so nothing personal outlives an erasure
+const AUDIT_OMIT = ['passwordHash', 'updatedAt', 'email'];
 
 class UserProvisioningAPI {
     constructor() {
@@ -61,6 +1091,8 @@ class UserProvisioningAPI {
         this.usersPath = '/opt/n8n/users';
         this.configPath = '/opt/n8n/user-configs';
         this.metricsPath = '/opt/n8n/monitoring/metrics';
+        this.billing = BillingEngine.fromFile(path.join(this.configPath, 'billing-plans.json'));
+        this.templates = TemplateCatalog.fromDirectory(path.join(this.configPath, 'templates'));
         this.setupAuthRoutes();
         this.setupUserRoutes();
     }
@@ -73,24 +1105,24 @@ class UserProvisioningAPI {
     }
 
     setupUserRoutes() {
-        this.userRouter.post('/users', this.createUser.bind(this));
-        this.userRouter.get('/users', this.listUsers.bind(this));
-        this.userRouter.get('/users/:userId', this.getUser.bind(this));
-        this.userRouter.put('/users/:userId', this.updateUser.bind(this));
-        this.userRouter.delete('/users/:userId', this.deleteUser.bind(this));
-
-        this.userRouter.get('/users/:userId/config', this.requireOwnUser.bind(this), this.getUserConfig.bind(this));
-        this.userRouter.put('/users/:userId/config', this.requireOwnUser.bind(this), this.updateUserConfig.bind(this));
-
-        this.userRouter.get('/users/:userId/metrics', this.requireOwnUser.bind(this), this.getUserMetrics.bind(this));
-        this.userRouter.get('/users/:userId/usage', this.requireOwnUser.bind(this), this.getUserUsage.bind(this));
-        this.userRouter.get('/users/:userId/storage', this.requireOwnUser.bind(this), this.getUserStorage.bind(this));
+        this.userRouter.post('/users', authMiddleware.requireAdmin, this.createUser.bind(this));
+        this.userRouter.get('/users', authMiddleware.requireAdmin, this.listUsers.bind(this));
+        this.userRouter.get('/users/:userId', authMiddleware.requireOwnUser, this.getUser.bind(this));
+        this.userRouter.put('/users/:userId', authMiddleware.requireAdmin, this.updateUser.bind(this));
+        this.userRouter.delete('/users/:userId', authMiddleware.requireOwnUser, this.deleteUser.bind(this));
+
+        this.userRouter.get('/users/:userId/config', authMiddleware.requireOwnUser, this.getUserConfig.bind(this));
+        this.userRouter.put('/users/:userId/config', authMiddleware.requireOwnUser, this.updateUserConfig.bind(this));
+
+        this.userRouter.get('/users/:userId/metrics', authMiddleware.requireOwnUser, this.getUserMetrics.bind(this));
+        this.userRouter.get('/users/:userId/usage', authMiddleware.requireOwnUser, this.getUserUsage.bind(this));
+        this.userRouter.get('/users/:userId/storage', authMiddleware.requireOwnUser, this.getUserStorage.bind(this));
     }
 
     // Create new user
     async createUser(req, res) {
         try {
-            const { userId, email, password, role = 'user' } = req.body;
+            const { userId, email, password, role = 'user', plan = null } = req.body;
             
             if (!userId || !email || !password) {
                 return res.status(400).json({
@@ -105,36 +1137,19 @@ class UserProvisioningAPI {
                 });
             }
 
-            // Check if user already exists
-            const userPath = path.join(this.usersPath, userId);
-            try {
-                await fs.access(userPath);
-                return res.status(409).json({
-                    error: 'User already exists'
-                });
-            } catch (error) {
-                // User doesn't exist, continue
-            }
-
             // Hash password
             const hashedPassword = await bcrypt.hash(password, 12);
+            const now = new Date().toISOString();
 
-            // Create user directory structure
-            await fs.mkdir(path.join(userPath, 'workflows'), { recursive: true });
-            await fs.mkdir(path.join(userPath, 'credentials'), { recursive: true });
-            await fs.mkdir(path.join(userPath, 'files'), { recursive: true });
-            await fs.mkdir(path.join(userPath, 'logs'), { recursive: true });
-            await fs.mkdir(path.join(userPath, 'temp'), { recursive: true });
-            await fs.mkdir(path.join(userPath, 'backups'), { recursive: true });
-
-            // Create user configuration
-            const userConfig = {
+            // Store the user; fails with 409 if the user ID is taken
+            const user = await repository.createUser({
                 userId,
                 email,
                 passwordHash: hashedPassword,
                 role,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
+                plan,
+                createdAt: now,
+                updatedAt: now,
                 status: 'active',
                 quotas: {
                     storage: '1GB',
@@ -152,12 +1167,24 @@ class UserProvisioningAPI {
                     canManageCredentials: true,
                     canAccessAPI: role === 'admin'
                 }
-            };
+            });
+            const { passwordHash, ...userResponse } = user;
+            await logging.audit(req, 'user.created', userId, { after: diffValues({}, userResponse, AUDIT_OMIT).after });
+            await webhooks.emit('user.created', { userId, email, role, plan });
 
-            await fs.writeFile(
-                path.join(userPath, 'user-config.json'),
-                JSON.stringify(userConfig, null, 2)
-            );
+            // Create user directory structure
+            const userPath = path.join(this.usersPath, userId);
+            await fs.mkdir(path.join(userPath, 'workflows'), { recursive: true });
+            await fs.mkdir(path.join(userPath, 'credentials'), { recursive: true });
+            await fs.mkdir(path.join(userPath, 'files'), { recursive: true });
+            await fs.mkdir(path.join(userPath, 'logs'), { recursive: true });
+            await fs.mkdir(path.join(userPath, 'temp'), { recursive: true });
+            await fs.mkdir(path.join(userPath, 'backups'), { recursive: true });
+
+            await this.writeUserConfig(user);
+
+            // Start the user off with the default and plan workflow templates
+            const templates = await this.seedTemplates(req, user, userPath);
 
             // Create user metrics file
             const userMetrics = {
@@ -166,7 +1193,7 @@ class UserProvisioningAPI {
                     storageUsed: 0,
                     workflowCount: 0,
                     executionCount: 0,
-                    lastActivity: new Date().toISOString()
+                    lastActivity: now
                 }
             };
 
@@ -176,98 +1203,104 @@ class UserProvisioningAPI {
             );
 
             // Return user info (without password hash)
-            const { passwordHash, ...userResponse } = userConfig;
             res.status(201).json({
                 message: 'User created successfully',
-                user: userResponse
+                user: userResponse,
+                templates
             });
 
         } catch (error) {
-            console.error('Error creating user:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error creating user:', error);
         }
     }
 
-    // List all users
-    async listUsers(req, res) {
-        try {
-            const { limit = 50, offset = 0, status } = req.query;
-            
-            const userDirs = await fs.readdir(this.usersPath);
-            const users = [];
+    // user-config.json mirrors the stored user for the shell scripts that read it, such as the
+    // storage quota check in user_monitoring.sh. The database stays the source of truth, and the
+    // file leaves out the password hash. A missing user directory is created again, except while
+    // the user is being erased: the next start would import the user back from the file.
+    async writeUserConfig(user) {
+        if (user.status === 'erasing') {
+            console.warn(`Not writing user-config.json for ${user.userId}: the user is being erased`);
+            return;
+        }
+        const { passwordHash, ...config } = user;
+        const userPath = path.join(this.usersPath, user.userId);
+        const file = path.join(userPath, 'user-config.json');
+        await fs.mkdir(userPath, { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(config, null, 2));
+        await fs.rename(`${file}.tmp`, file);
+    }
 
-            for (const userDir of userDirs) {
-                const userConfigPath = path.join(this.usersPath, userDir, 'user-config.json');
-                
-                try {
-                    const configData = await fs.readFile(userConfigPath, 'utf8');
-                    const userConfig = JSON.parse(configData);
-                    
-                    // Filter by status if specified
-                    if (status && userConfig.status !== status) {
-                        continue;
-                    }
-
-                    // Remove password hash from response
-                    const { passwordHash, ...userInfo } = userConfig;
-                    users.push(userInfo);
-                } catch (error) {
-                    console.warn(`Failed to read user config for ${userDir}:`, error);
+    // Write the seeded templates into the user's workflows directory, one file per template.
+    // An existing file is never overwritten, so seeding again keeps the user's copy; a template
+    // that fails is logged and skipped rather than failing the signup
+    async seedTemplates(req, user, userPath) {
+        const plan = this.billing.resolvePlan(user.userId, user.plan).id;
+        const seeded = [];
+        for (const templateId of this.templates.seedsFor({ plan })) {
+            try {
+                const workflow = this.templates.render(templateId, { context: { user: { email: user.email } } });
+                const meta = { templateId, templateVersion: this.templates.get(templateId).version };
+                await fs.writeFile(
+                    path.join(userPath, 'workflows', `template-${templateId}.json`),
+                    JSON.stringify({ ...workflow, meta }, null, 2),
+                    { flag: 'wx' }
+                );
+                await logging.audit(req, 'template.installed', user.userId, { details: { templateId, seeded: true } });
+                seeded.push(templateId);
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    console.error(`Error installing template ${templateId} for ${user.userId}:`, error);
                 }
             }
+        }
+        return seeded;
+    }
 
-            // Apply pagination
-            const startIndex = parseInt(offset);
-            const endIndex = startIndex + parseInt(limit);
-            const paginatedUsers = users.slice(startIndex, endIndex);
+    // List users, filtered and paginated in the database
+    async listUsers(req, res) {
+        try {
+            const { status, role, plan, search, sort, order } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            
+            const { users, total } = await repository.listUsers({ status, role, plan, search, sort, order, limit, offset });
 
             res.json({
-                users: paginatedUsers,
+                // Remove password hashes from response
+                users: users.map(({ passwordHash, ...userInfo }) => userInfo),
                 pagination: {
-                    total: users.length,
-                    limit: parseInt(limit),
-                    offset: parseInt(offset),
-                    hasMore: endIndex < users.length
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + users.length < total
                 }
             });
 
         } catch (error) {
-            console.error('Error listing users:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error listing users:', error);
         }
     }
 
     // Get specific user
     async getUser(req, res) {
         try {
-            const { userId } = req.params;
-            const userConfigPath = path.join(this.usersPath, userId, 'user-config.json');
-            
-            try {
-                const configData = await fs.readFile(userConfigPath, 'utf8');
-                const userConfig = JSON.parse(configData);
-                
-                // Remove password hash from response
-                const { passwordHash, ...userInfo } = userConfig;
-                
-                res.json({
-                    user: userInfo
-                });
-            } catch (error) {
-                res.status(404).json({
+            const user = await repository.getUser(req.params.userId);
+            if (!user) {
+                return res.status(404).json({
                     error: 'User not found'
                 });
             }
+            
+            // Remove password hash from response
+            const { passwordHash, ...userInfo } = user;
+            
+            res.json({
+                user: userInfo
+            });
 
         } catch (error) {
-            console.error('Error getting user:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error getting user:', error);
         }
     }
 
@@ -277,96 +1310,64 @@ class UserProvisioningAPI {
             const { userId } = req.params;
             const updates = req.body;
             
-            const userConfigPath = path.join(this.usersPath, userId, 'user-config.json');
+            // Update allowed fields
+            const allowedFields = ['email', 'status', 'quotas', 'settings', 'permissions', 'plan'];
+            const changes = {};
             
-            try {
-                const configData = await fs.readFile(userConfigPath, 'utf8');
-                const userConfig = JSON.parse(configData);
-                
-                // Update allowed fields
-                const allowedFields = ['email', 'status', 'quotas', 'settings', 'permissions'];
-                const updatedConfig = { ...userConfig };
-                
-                for (const [key, value] of Object.entries(updates)) {
-                    if (allowedFields.includes(key)) {
-                        updatedConfig[key] = value;
-                    }
-                }
-                
-                // Handle password update separately
-                if (updates.password) {
-                    updatedConfig.passwordHash = await bcrypt.hash(updates.password, 12);
+            for (const [key, value] of Object.entries(updates)) {
+                if (allowedFields.includes(key)) {
+                    changes[key] = value;
                 }
-                
-                updatedConfig.updatedAt = new Date().toISOString();
-                
-                await fs.writeFile(userConfigPath, JSON.stringify(updatedConfig, null, 2));
-                
-                // Remove password hash from response
-                const { passwordHash, ...userResponse } = updatedConfig;
-                
-                res.json({
-                    message: 'User updated successfully',
-                    user: userResponse
-                });
-                
-            } catch (error) {
-                res.status(404).json({
-                    error: 'User not found'
-                });
             }
+            
+            // Handle password update separately
+            if (updates.password) {
+                changes.passwordHash = await bcrypt.hash(updates.password, 12);
+            }
+            
+            const { before, after } = await repository.updateUser(userId, changes);
+            await this.writeUserConfig(after);
+            await this.auditChanges(req, 'user.updated', before, after, {
+                passwordChanged: !!updates.password,
+                emailChanged: after.email !== before.email
+            });
+            
+            // Existing tokens must not outlive a password or status change
+            if (updates.password || after.status !== before.status) {
+                await tokenStore.revokeUser(userId);
+            }
+            
+            // Remove password hash from response
+            const { passwordHash, ...userResponse } = after;
+            
+            res.json({
+                message: 'User updated successfully',
+                user: userResponse
+            });
 
         } catch (error) {
-            console.error('Error updating user:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error updating user:', error);
         }
     }
 
-    // Delete user
+    // Delete user: starts an erasure job, which removes the user everywhere (see user-erasure.js)
     async deleteUser(req, res) {
         try {
             const { userId } = req.params;
-            const { backup = true } = req.query;
-            
-            const userPath = path.join(this.usersPath, userId);
-            
-            try {
-                await fs.access(userPath);
-                
-                // Create backup if requested
-                if (backup) {
-                    const backupPath = `/opt/n8n/backups/user_${userId}_${Date.now()}.tar.gz`;
-                    // Note: This would need to be implemented using a shell command
-                    // exec(`tar -czf ${backupPath} -C ${this.usersPath} ${userId}`);
-                }
-                
-                // Remove user directory
-                await fs.rm(userPath, { recursive: true, force: true });
-                
-                // Remove user metrics
-                try {
-                    await fs.unlink(path.join(this.metricsPath, `${userId}.json`));
-                } catch (error) {
-                    // Metrics file might not exist
-                }
-                
-                res.json({
-                    message: 'User deleted successfully'
-                });
-                
-            } catch (error) {
-                res.status(404).json({
-                    error: 'User not found'
+            const { job, started } = await erasure.request(userId, logging.actor(req));
+            if (started) {
+                await logging.audit(req, 'user.erasure_requested', userId, {
+                    details: { resumed: job.steps.some(step => step.status !== 'pending') }
                 });
             }
+            
+            res.status(job.status === 'completed' ? 200 : 202).json({
+                message: job.status === 'completed' ? 'User deleted' : 'User deletion started',
+                job
+            });
 
         } catch (error) {
-            console.error('Error deleting user:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error deleting user:', error);
         }
     }
 
@@ -381,59 +1382,70 @@ class UserProvisioningAPI {
                 });
             }
             
-            const userConfigPath = path.join(this.usersPath, userId, 'user-config.json');
+            // Repeated failed logins lock the account for a growing period
+            const lockedMs = await rateLimits.lockout.lockedFor(userId);
+            if (lockedMs) {
+                await this.auditLoginFailure(req, userId, 'locked');
+                res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+                return res.status(429).json({
+                    error: 'Too many failed logins, please try again later'
+                });
+            }
             
-            try {
-                const configData = await fs.readFile(userConfigPath, 'utf8');
-                const userConfig = JSON.parse(configData);
-                
-                // Check if user is active
-                if (userConfig.status !== 'active') {
-                    return res.status(403).json({
-                        error: 'User account is not active'
-                    });
-                }
-                
-                // Verify password
-                const passwordValid = await bcrypt.compare(password, userConfig.passwordHash);
-                
-                if (!passwordValid) {
-                    return res.status(401).json({
-                        error: 'Invalid credentials'
-                    });
-                }
-                
-                // Generate JWT token
-                const token = jwt.sign(
-                    { 
-                        userId: userConfig.userId,
-                        role: userConfig.role,
-                        permissions: userConfig.permissions
-                    },
-                    process.env.JWT_SECRET || 'default-secret',
-                    { expiresIn: '24h' }
-                );
-                
-                // Update last activity
-                userConfig.lastActivity = new Date().toISOString();
-                await fs.writeFile(userConfigPath, JSON.stringify(userConfig, null, 2));
-                
-                res.json({
-                    message: 'Login successful',
-                    token,
-                    user: {
-                        userId: userConfig.userId,
-                        email: userConfig.email,
-                        role: userConfig.role,
-                        permissions: userConfig.permissions
-                    }
+            // Unknown users count too, so lockouts do not reveal which accounts exist
+            const userConfig = await repository.getUser(userId);
+            if (!userConfig) {
+                await rateLimits.lockout.recordFailure(userId);
+                await this.auditLoginFailure(req, userId, 'unknown_user');
+                return res.status(401).json({
+                    error: 'Invalid credentials'
                 });
-                
-            } catch (error) {
-                res.status(401).json({
+            }
+            
+            // Check if user is active
+            if (userConfig.status !== 'active') {
+                await this.auditLoginFailure(req, userId, 'inactive');
+                return res.status(403).json({
+                    error: 'User account is not active'
+                });
+            }
+            
+            // Verify password; users imported without a password hash cannot log in
+            const passwordValid = Boolean(userConfig.passwordHash) && await bcrypt.compare(password, userConfig.passwordHash);
+            
+            if (!passwordValid) {
+                await rateLimits.lockout.recordFailure(userId);
+                await this.auditLoginFailure(req, userId, 'invalid_password');
+                return res.status(401).json({
                     error: 'Invalid credentials'
                 });
             }
+            
+            await rateLimits.lockout.recordSuccess(userId);
+            
+            // Issue an access token and a refresh token for a new session
+            const tokens = await tokenStore.issue(userConfig);
+            
+            // Update last activity
+            await repository.recordActivity(userId);
+            await logging.audit(req, 'auth.login', userId, {
+                actor: userId,
+                details: { sessionId: tokens.sessionId }
+            });
+            await webhooks.emit('user.login', { userId, email: userConfig.email, ip: req.ip });
+            
+            res.json({
+                message: 'Login successful',
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn,
+                user: {
+                    userId: userConfig.userId,
+                    email: userConfig.email,
+                    role: userConfig.role,
+                    permissions: userConfig.permissions
+                }
+            });
 
         } catch (error) {
             console.error('Error during login:', error);
@@ -443,44 +1455,79 @@ class UserProvisioningAPI {
         }
     }
 
-    // User logout
+    // User logout: revokes the session's access and refresh tokens
     async logoutUser(req, res) {
-        // In a stateless JWT system, logout is typically handled client-side
-        // Here we could maintain a blacklist of tokens or use short-lived tokens
-        res.json({
-            message: 'Logout successful'
-        });
+        try {
+            const token = req.headers.authorization?.replace('Bearer ', '');
+            const { refreshToken } = req.body || {};
+            
+            let sessionId = refreshToken ? await tokenStore.sessionOf(refreshToken) : null;
+            if (!sessionId && token) {
+                try {
+                    // An expired access token still identifies the session to end
+                    sessionId = jwt.verify(token, process.env.JWT_SECRET || 'default-secret', { ignoreExpiration: true }).sid;
+                } catch (error) {
+                    // Invalid token, handled below
+                }
+            }
+            
+            if (!sessionId) {
+                return res.status(401).json({
+                    error: 'Invalid token'
+                });
+            }
+            
+            await tokenStore.revokeSession(sessionId);
+            
+            res.json({
+                message: 'Logout successful'
+            });
+            
+        } catch (error) {
+            console.error('Error during logout:', error);
+            res.status(500).json({
+                error: 'Internal server error'
+            });
+        }
     }
 
-    // Refresh token
+    // Refresh token: rotates the refresh token and issues a new access token
     async refreshToken(req, res) {
         try {
-            const { token } = req.body;
+            const { refreshToken } = req.body;
             
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+            if (!refreshToken) {
+                return res.status(400).json({
+                    error: 'Missing refreshToken'
+                });
+            }
             
-            // Generate new token
-            const newToken = jwt.sign(
-                {
-                    userId: decoded.userId,
-                    role: decoded.role,
-                    permissions: decoded.permissions
-                },
-                process.env.JWT_SECRET || 'default-secret',
-                { expiresIn: '24h' }
-            );
+            const tokens = await tokenStore.rotate(refreshToken, userId => this.readUserConfig(userId));
             
             res.json({
-                token: newToken
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn
             });
             
         } catch (error) {
-            res.status(401).json({
-                error: 'Invalid token'
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message
+                });
+            }
+            console.error('Error refreshing token:', error);
+            res.status(500).json({
+                error: 'Internal server error'
             });
         }
     }
 
+    // User config, or null if the user does not exist
+    async readUserConfig(userId) {
+        return repository.getUser(userId);
+    }
+
     // Validate token
     async validateToken(req, res) {
         try {
@@ -492,7 +1539,7 @@ class UserProvisioningAPI {
                 });
             }
             
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+            const decoded = await tokenStore.verifyAccessToken(token);
             
             res.json({
                 valid: true,
@@ -514,74 +1561,51 @@ class UserProvisioningAPI {
     // Get user configuration
     async getUserConfig(req, res) {
         try {
-            const { userId } = req.params;
-            const userConfigPath = path.join(this.usersPath, userId, 'user-config.json');
-            
-            try {
-                const configData = await fs.readFile(userConfigPath, 'utf8');
-                const userConfig = JSON.parse(configData);
-                
-                res.json({
-                    config: {
-                        quotas: userConfig.quotas,
-                        settings: userConfig.settings,
-                        permissions: userConfig.permissions
-                    }
-                });
-            } catch (error) {
-                res.status(404).json({
+            const userConfig = await repository.getUser(req.params.userId);
+            if (!userConfig) {
+                return res.status(404).json({
                     error: 'User not found'
                 });
             }
+            
+            res.json({
+                config: {
+                    quotas: userConfig.quotas,
+                    settings: userConfig.settings,
+                    permissions: userConfig.permissions
+                }
+            });
 
         } catch (error) {
-            console.error('Error getting user config:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error getting user config:', error);
         }
     }
 
-    // Update user configuration
+    // Update user configuration, merged into the stored config in one transaction
     async updateUserConfig(req, res) {
         try {
             const { userId } = req.params;
             const { quotas, settings, permissions } = req.body;
             
-            const userConfigPath = path.join(this.usersPath, userId, 'user-config.json');
+            const { before, after: userConfig } = await repository.updateUser(userId, user => ({
+                quotas: quotas ? { ...user.quotas, ...quotas } : user.quotas,
+                settings: settings ? { ...user.settings, ...settings } : user.settings,
+                permissions: permissions ? { ...user.permissions, ...permissions } : user.permissions
+            }));
+            await this.writeUserConfig(userConfig);
+            await this.auditChanges(req, 'user.config_updated', before, userConfig);
             
-            try {
-                const configData = await fs.readFile(userConfigPath, 'utf8');
-                const userConfig = JSON.parse(configData);
-                
-                if (quotas) userConfig.quotas = { ...userConfig.quotas, ...quotas };
-                if (settings) userConfig.settings = { ...userConfig.settings, ...settings };
-                if (permissions) userConfig.permissions = { ...userConfig.permissions, ...permissions };
-                
-                userConfig.updatedAt = new Date().toISOString();
-                
-                await fs.writeFile(userConfigPath, JSON.stringify(userConfig, null, 2));
-                
-                res.json({
-                    message: 'User configuration updated successfully',
-                    config: {
-                        quotas: userConfig.quotas,
-                        settings: userConfig.settings,
-                        permissions: userConfig.permissions
-                    }
-                });
-                
-            } catch (error) {
-                res.status(404).json({
-                    error: 'User not found'
-                });
-            }
+            res.json({
+                message: 'User configuration updated successfully',
+                config: {
+                    quotas: userConfig.quotas,
+                    settings: userConfig.settings,
+                    permissions: userConfig.permissions
+                }
+            });
 
         } catch (error) {
-            console.error('Error updating user config:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error updating user config:', error);
         }
     }
 
@@ -655,11 +1679,11 @@ class UserProvisioningAPI {
                 
                 res.json(storage);
             } catch (error) {
-                // If no storage file exists, calculate from user directory
-                const userPath = path.join(this.usersPath, userId);
-                
+                // If no storage file exists, return empty storage for known users
                 try {
-                    await fs.access(userPath);
+                    if (!(await repository.getUser(userId))) {
+                        throw new Error('User not found');
+                    }
                     
                     // Return empty storage data structure
                     res.json({
@@ -694,20 +1718,24 @@ class UserProvisioningAPI {
         }
     }
 
-    requireOwnUser(req, res, next) {
-        if (!req.user) {
-            return res.status(401).json({
-                error: 'Authentication required'
-            });
-        }
-
-        if (req.user.role === 'admin' || req.user.userId === req.params.userId) {
-            return next();
+    // Audit the changed fields of a user; role and permission changes also get their own event
+    async auditChanges(req, action, before, after, details = null) {
+        const changes = diffValues(before, after, AUDIT_OMIT);
+        await logging.audit(req, action, after.userId, { ...changes, details });
+        
+        for (const [field, fieldAction] of [['role', 'user.role_changed'], ['permissions', 'user.permissions_changed']]) {
+            if (field in changes.after) {
+                await logging.audit(req, fieldAction, after.userId, {
+                    before: { [field]: changes.before[field] },
+                    after: { [field]: changes.after[field] }
+                });
+            }
         }
+    }
 
-        return res.status(403).json({
-            error: 'Access denied'
-        });
+    // Failed logins have no authenticated actor
+    async auditLoginFailure(req, userId, reason) {
+        await logging.audit(req, 'auth.login_failed', userId, { actor: null, details: { reason } });
     }
 
     getAuthRouter() {
@@ -736,32 +1764,113 @@ create_analytics_api() {
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { BillingEngine, periodRange, periodLabel, roundMoney } = require('../lib/billing');
+const MetricsStore = require('../lib/metrics-store');
+const repository = require('../lib/repository');
+const webhooks = require('../lib/webhooks');
+const { renderHtml, renderPdf } = require('../lib/report-renderer');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+
+const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
+const QUOTA_WARNING_RATIO = 0.8;
+const QUOTA_LEVELS = [null, 'warning', 'exceeded'];
+const FAILURE_SPIKE_MIN = 5;
+const FAILURE_SPIKE_RATE = 0.5;
 
 class AnalyticsAPI {
     constructor() {
         this.router = express.Router();
+        this.usersPath = '/opt/n8n/users';
+        this.billing = BillingEngine.fromFile('/opt/n8n/user-configs/billing-plans.json');
         this.metricsPath = '/opt/n8n/monitoring/metrics';
         this.reportsPath = '/opt/n8n/monitoring/reports';
         this.analyticsPath = '/opt/n8n/monitoring/analytics';
+        this.metrics = new MetricsStore({
+            metricsPath: this.metricsPath,
+            usersPath: this.usersPath,
+            repository,
+            onSnapshot: this.checkUsage.bind(this)
+        });
         this.setupRoutes();
+        this.startSnapshots();
+    }
+
+    // Record a snapshot of every user's metrics now and on a fixed interval
+    startSnapshots() {
+        const takeSnapshots = () => this.metrics.snapshotAll()
+            .catch(error => console.error('Error taking metrics snapshots:', error));
+        takeSnapshots();
+        setInterval(takeSnapshots, SNAPSHOT_INTERVAL_MS).unref();
+    }
+
+    // Raise webhook events for a new snapshot: failure spikes since the previous
+    // snapshot, and quota levels reached in the current billing period
+    async checkUsage(userId, previous, entry) {
+        if (!previous) return;
+        try {
+            const increment = MetricsStore.increments([previous, entry])[0];
+            if (increment.failedExecutions >= FAILURE_SPIKE_MIN
+                && increment.failedExecutions / increment.totalExecutions >= FAILURE_SPIKE_RATE) {
+                await webhooks.emit('executions.failure_spike', {
+                    userId,
+                    from: previous.timestamp,
+                    to: entry.timestamp,
+                    executions: increment.totalExecutions,
+                    failed: increment.failedExecutions,
+                    failureRate: Math.round((increment.failedExecutions / increment.totalExecutions) * 1000) / 1000
+                });
+            }
+
+            const plan = this.billing.resolvePlan(userId, await this.getUserPlan(userId));
+            const period = periodRange(periodLabel(plan.period));
+            const from = period.from.getTime();
+            const previousTime = new Date(previous.timestamp).getTime();
+            const usage = {
+                executions: {
+                    before: previousTime < from ? 0 : (await this.metrics.totals([userId], from, previousTime)).executions,
+                    now: (await this.metrics.totals([userId], from, new Date(entry.timestamp).getTime())).executions
+                },
+                storageBytes: { before: previous.storageBytes || 0, now: entry.storageBytes || 0 }
+            };
+
+            for (const [metric, { before, now }] of Object.entries(usage)) {
+                const limit = plan.limits?.[metric];
+                if (!limit) continue;
+                const level = used => QUOTA_LEVELS.indexOf(used >= limit ? 'exceeded' : (used >= limit * QUOTA_WARNING_RATIO ? 'warning' : null));
+                if (level(now) > level(before)) {
+                    await webhooks.emit('quota.threshold', {
+                        userId,
+                        plan: plan.id,
+                        period: period.label,
+                        metric,
+                        level: QUOTA_LEVELS[level(now)],
+                        used: now,
+                        limit
+                    });
+                }
+            }
+        } catch (error) {
+            console.error(`Error checking usage for ${userId}:`, error);
+        }
     }
 
     setupRoutes() {
         // Metrics endpoints
-        this.router.get('/metrics/users', this.getAllUserMetrics.bind(this));
-        this.router.get('/metrics/users/:userId', this.getUserMetrics.bind(this));
+        this.router.get('/metrics/users', authMiddleware.requireAdmin, this.getAllUserMetrics.bind(this));
+        this.router.get('/metrics/users/:userId', authMiddleware.requireOwnUser, this.getUserMetrics.bind(this));
         this.router.get('/metrics/system', this.getSystemMetrics.bind(this));
         
         // Reports endpoints
-        this.router.get('/reports/users/:userId/daily', this.getDailyReport.bind(this));
-        this.router.get('/reports/users/:userId/weekly', this.getWeeklyReport.bind(this));
-        this.router.get('/reports/users/:userId/monthly', this.getMonthlyReport.bind(this));
+        this.router.get('/reports/users/:userId/daily', authMiddleware.requireOwnUser, this.getDailyReport.bind(this));
+        this.router.get('/reports/users/:userId/weekly', authMiddleware.requireOwnUser, this.getWeeklyReport.bind(this));
+        this.router.get('/reports/users/:userId/monthly', authMiddleware.requireOwnUser, this.getMonthlyReport.bind(this));
         this.router.get('/reports/system/overview', this.getSystemOverview.bind(this));
         
         // Analytics endpoints
-        this.router.get('/analytics/usage-trends', this.requireAdmin.bind(this), this.getUsageTrends.bind(this));
-        this.router.get('/analytics/performance', this.requireAdmin.bind(this), this.getPerformanceAnalytics.bind(this));
-        this.router.get('/analytics/billing', this.requireAdmin.bind(this), this.getBillingAnalytics.bind(this));
+        this.router.get('/analytics/usage-trends', authMiddleware.requireAdmin, this.getUsageTrends.bind(this));
+        this.router.get('/analytics/performance', authMiddleware.requireAdmin, this.getPerformanceAnalytics.bind(this));
+        this.router.get('/analytics/billing', authMiddleware.requireAdmin, this.getBillingAnalytics.bind(this));
     }
 
     async getAllUserMetrics(req, res) {
@@ -817,34 +1926,32 @@ class AnalyticsAPI {
             const { userId } = req.params;
             const { period = '24h' } = req.query;
             
-            const currentMetricsPath = path.join(this.metricsPath, `${userId}_current.json`);
+            const currentMetricsPath = path.join(this.metricsPath, `${MetricsStore.validateUserId(userId)}_current.json`);
             
+            let metrics;
             try {
                 const metricsData = await fs.readFile(currentMetricsPath, 'utf8');
-                const metrics = JSON.parse(metricsData);
-                
-                // Get historical data based on period
-                let historicalData = [];
-                if (period !== 'current') {
-                    historicalData = await this.getHistoricalMetrics(userId, period);
-                }
-                
-                res.json({
-                    current: metrics,
-                    historical: historicalData,
-                    period
-                });
+                metrics = JSON.parse(metricsData);
             } catch (error) {
-                res.status(404).json({
+                return res.status(404).json({
                     error: 'User metrics not found'
                 });
             }
             
-        } catch (error) {
-            console.error('Error getting user metrics:', error);
-            res.status(500).json({
-                error: 'Internal server error'
+            // Get historical data based on period
+            let historicalData = [];
+            if (period !== 'current') {
+                historicalData = await this.getHistoricalMetrics(userId, period);
+            }
+            
+            res.json({
+                current: metrics,
+                historical: historicalData,
+                period
             });
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting user metrics:', error);
         }
     }
 
@@ -904,18 +2011,22 @@ class AnalyticsAPI {
                 const reportData = await fs.readFile(reportPath, 'utf8');
                 const report = JSON.parse(reportData);
                 
-                res.json(report);
+                return res.json(report);
             } catch (error) {
-                res.status(404).json({
-                    error: 'Daily report not found'
+                // No report from the analytics processor, compute it from the metrics store
+            }
+            
+            const from = new Date(`${date}T00:00:00Z`);
+            if (isNaN(from.getTime())) {
+                return res.status(400).json({
+                    error: 'Invalid report date'
                 });
             }
+            const to = new Date(from.getTime() + 24 * 60 * 60 * 1000 - 1);
+            res.json(await this.buildReport(userId, 'daily', from, to));
             
         } catch (error) {
-            console.error('Error getting daily report:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error getting daily report:', error);
         }
     }
 
@@ -931,267 +2042,2934 @@ class AnalyticsAPI {
                 const reportData = await fs.readFile(reportPath, 'utf8');
                 const report = JSON.parse(reportData);
                 
-                res.json(report);
+                return res.json(report);
             } catch (error) {
-                res.status(404).json({
-                    error: 'Weekly report not found'
-                });
+                // No report from the analytics processor, compute it from the metrics store
             }
             
+            const from = new Date(`${weekStart}T00:00:00Z`);
+            if (isNaN(from.getTime())) {
+                return res.status(400).json({
+                    error: 'Invalid report date'
+                });
+            }
+            const to = new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000 - 1);
+            res.json(await this.buildReport(userId, 'weekly', from, to));
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting weekly report:', error);
+        }
+    }
+
+    // ?format=html or pdf renders the usage and billing summary that is emailed each month
+    async getMonthlyReport(req, res) {
+        try {
+            const { userId } = req.params;
+            const { month = new Date().toISOString().slice(0, 7), format = 'json' } = req.query;
+
+            if (format === 'html' || format === 'pdf') {
+                const summary = await this.monthlySummary(userId, month);
+                if (format === 'html') {
+                    return res.type('html').send(renderHtml(summary));
+                }
+                res.set('Content-Type', 'application/pdf');
+                res.set('Content-Disposition', `inline; filename="usage-${userId}-${month}.pdf"`);
+                return res.send(renderPdf(summary));
+            }
+            if (format !== 'json') {
+                return res.status(400).json({
+                    error: 'format must be one of: json, html, pdf'
+                });
+            }
+            
+            const reportPath = path.join(this.reportsPath, `${userId}_monthly_${month}.json`);
+            
+            try {
+                const reportData = await fs.readFile(reportPath, 'utf8');
+                const report = JSON.parse(reportData);
+                
+                return res.json(report);
+            } catch (error) {
+                // No report from the analytics processor, compute it from the metrics store
+            }
+            
+            const from = new Date(`${month}-01T00:00:00Z`);
+            if (isNaN(from.getTime())) {
+                return res.status(400).json({
+                    error: 'Invalid report date'
+                });
+            }
+            const to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1) - 1);
+            res.json(await this.buildReport(userId, 'monthly', from, to));
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting monthly report:', error);
+        }
+    }
+
+    async getSystemOverview(req, res) {
+        try {
+            const { period = '7d' } = req.query;
+            
+            // Get aggregated system overview
+            const overview = {
+                totalUsers: await this.getTotalUserCount(),
+                activeUsers: await this.getActiveUserCount(),
+                totalExecutions: await this.getTotalExecutions(period),
+                averageExecutionTime: await this.getAverageExecutionTime(period),
+                storageUsage: await this.getTotalStorageUsage(),
+                systemHealth: await this.getSystemHealth()
+            };
+            
+            res.json(overview);
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting system overview:', error);
+        }
+    }
+
+    async getUsageTrends(req, res) {
+        try {
+            const { period = '30d', metric = 'executions', userId } = req.query;
+            
+            const trends = await this.calculateUsageTrends(metric, period, userId);
+            
+            res.json({
+                metric,
+                period,
+                trends
+            });
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting usage trends:', error);
+        }
+    }
+
+    async getPerformanceAnalytics(req, res) {
+        try {
+            const { userId, period = '7d' } = req.query;
+            
+            const performance = {
+                period,
+                averageExecutionTime: await this.getAverageExecutionTime(period, userId),
+                successRate: await this.getSuccessRate(period, userId),
+                resourceUtilization: await this.getResourceUtilization(userId),
+                bottlenecks: await this.identifyBottlenecks(userId, period)
+            };
+            
+            res.json(performance);
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting performance analytics:', error);
+        }
+    }
+
+    async getBillingAnalytics(req, res) {
+        try {
+            const { userId, period = '1m' } = req.query;
+            
+            const billing = {
+                executionCount: await this.getExecutionCount(period, userId),
+                storageUsage: await this.getStorageUsage(userId),
+                computeTime: await this.getComputeTime(period, userId),
+                estimatedCost: await this.calculateCost(period, userId)
+            };
+            
+            res.json(billing);
+            
+        } catch (error) {
+            logging.sendError(res, 'Error getting billing analytics:', error);
+        }
+    }
+
+    // Helper methods
+    async getHistoricalMetrics(userId, period) {
+        const to = Date.now();
+        return this.metrics.series(userId, to - MetricsStore.periodMs(period), to);
+    }
+
+    // Users to aggregate: one user, or everyone when no user is given
+    async userIds(userId = null) {
+        return userId ? [MetricsStore.validateUserId(userId)] : this.metrics.listUserIds();
+    }
+
+    async getPeriodTotals(period, userId = null) {
+        const to = Date.now();
+        return this.metrics.totals(await this.userIds(userId), to - MetricsStore.periodMs(period), to);
+    }
+
+    async getTotalUserCount() {
+        return repository.countUsers();
+    }
+
+    async getActiveUserCount() {
+        try {
+            const metricsFiles = await fs.readdir(this.metricsPath);
+            let activeCount = 0;
+            
+            for (const file of metricsFiles) {
+                if (file.endsWith('_current.json')) {
+                    try {
+                        const metricsData = await fs.readFile(
+                            path.join(this.metricsPath, file), 
+                            'utf8'
+                        );
+                        const metrics = JSON.parse(metricsData);
+                        
+                        const lastActivity = new Date(metrics.lastActivity);
+                        const daysSinceActivity = (Date.now() - lastActivity.getTime()) / (1000 * 60 * 60 * 24);
+                        
+                        if (daysSinceActivity <= 7) {
+                            activeCount++;
+                        }
+                    } catch (error) {
+                        // Skip invalid metrics files
+                    }
+                }
+            }
+            
+            return activeCount;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    async getTotalExecutions(period) {
+        return (await this.getPeriodTotals(period)).executions;
+    }
+
+    async getAverageExecutionTime(period, userId = null) {
+        return (await this.getPeriodTotals(period, userId)).averageDurationMs;
+    }
+
+    async getTotalStorageUsage() {
+        return this.getStorageUsage();
+    }
+
+    async getSystemHealth() {
+        // Would check system health metrics
+        return 'healthy';
+    }
+
+    async calculateUsageTrends(metric, period, userId = null) {
+        const to = Date.now();
+        return this.metrics.trend(await this.userIds(userId), metric, to - MetricsStore.periodMs(period), to);
+    }
+
+    async getSuccessRate(period, userId = null) {
+        return (await this.getPeriodTotals(period, userId)).successRate;
+    }
+
+    async getResourceUtilization(userId = null) {
+        // Would get resource utilization metrics
+        return {};
+    }
+
+    async identifyBottlenecks(userId = null, period = '7d') {
+        const to = Date.now();
+        return this.metrics.bottlenecks(await this.userIds(userId), to - MetricsStore.periodMs(period), to);
+    }
+
+    async getExecutionCount(period, userId = null) {
+        return (await this.getPeriodTotals(period, userId)).executions;
+    }
+
+    // Latest storage in bytes for a user, or all users
+    async getStorageUsage(userId = null) {
+        let total = 0;
+        for (const id of await this.userIds(userId)) {
+            total += await this.metrics.storageBytes(id);
+        }
+        return total;
+    }
+
+    // Execution time in milliseconds
+    async getComputeTime(period, userId = null) {
+        return (await this.getPeriodTotals(period, userId)).durationMs;
+    }
+
+    // Each user's usage is quoted on their own plan, so base fees and included
+    // allowances apply per user; without a user the quotes are summed
+    async calculateCost(period, userId = null) {
+        const to = Date.now();
+        const from = to - MetricsStore.periodMs(period);
+        let total = 0;
+        for (const id of await this.userIds(userId)) {
+            const totals = await this.metrics.totals([id], from, to);
+            const plan = this.billing.resolvePlan(id, await this.getUserPlan(id));
+            total += this.billing.quote(plan, {
+                executions: totals.executions,
+                storageGB: totals.storageBytes / (1024 * 1024 * 1024),
+                computeHours: totals.durationMs / (1000 * 60 * 60)
+            }).total;
+        }
+        return roundMoney(total);
+    }
+
+    async getUserPlan(userId) {
+        if (!userId) return null;
+        return (await repository.getUser(userId))?.plan || null;
+    }
+
+    // Report computed from the metrics store for [from, to]
+    async buildReport(userId, reportType, from, to) {
+        const userIds = [MetricsStore.validateUserId(userId)];
+        const totals = await this.metrics.totals(userIds, from.getTime(), to.getTime());
+        
+        return {
+            reportType,
+            userId,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            generatedAt: new Date().toISOString(),
+            summary: {
+                totalExecutions: totals.executions,
+                successfulExecutions: totals.successful,
+                failedExecutions: totals.failed,
+                totalDuration: totals.durationMs,
+                averageDuration: totals.averageDurationMs,
+                successRate: totals.successRate,
+                storageBytes: totals.storageBytes
+            },
+            bottlenecks: await this.metrics.bottlenecks(userIds, from.getTime(), to.getTime())
+        };
+    }
+
+    // Monthly report for a calendar month (YYYY-MM) with the billing estimate on the user's plan
+    async monthlySummary(userId, month) {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+            throw Object.assign(new Error('month must be YYYY-MM'), { status: 400 });
+        }
+        const from = new Date(`${month}-01T00:00:00Z`);
+        const to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1) - 1);
+        const report = await this.buildReport(userId, 'monthly', from, to);
+        const user = await repository.getUser(userId);
+        const plan = this.billing.resolvePlan(userId, user?.plan || null);
+        const billing = this.billing.quote(plan, {
+            executions: report.summary.totalExecutions,
+            storageGB: report.summary.storageBytes / (1024 * 1024 * 1024),
+            computeHours: report.summary.totalDuration / (1000 * 60 * 60)
+        });
+        return { ...report, month, email: user?.email || null, billing };
+    }
+
+    getWeekStart() {
+        const now = new Date();
+        const dayOfWeek = now.getDay();
+        const diff = now.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1);
+        const monday = new Date(now.setDate(diff));
+        return monday.toISOString().split('T')[0];
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AnalyticsAPI;
+EOF
+
+    log_pass "Analytics API created"
+}
+
+# Install the billing engine shared with the example proxy
+create_billing_engine() {
+    log_info "Installing billing engine..."
+    
+    cp "$PROJECT_ROOT/example/lib/billing.js" /opt/n8n/api/lib/billing.js
+    
+    # Keep plans edited on the server across re-runs
+    if [[ ! -f /opt/n8n/user-configs/billing-plans.json ]]; then
+        cp "$PROJECT_ROOT/example/billing-plans.json" /opt/n8n/user-configs/billing-plans.json
+    fi
+    
+    log_pass "Billing engine installed"
+}
+
+# Install the workflow template catalog shared with the example proxy
+create_template_catalog() {
+    log_info "Installing workflow template catalog..."
+    
+    cp "$PROJECT_ROOT/example/lib/template-catalog.js" /opt/n8n/api/lib/template-catalog.js
+    
+    # Keep templates and seeds edited on the server across re-runs
+    if [[ ! -d /opt/n8n/user-configs/templates ]]; then
+        cp -r "$PROJECT_ROOT/example/templates" /opt/n8n/user-configs/templates
+    fi
+    
+    log_pass "Workflow template catalog installed"
+}
+
+# Install the rate limiter shared with the example proxy
+create_rate_limiter() {
+    log_info "Installing rate limiter..."
+    
+    cp "$PROJECT_ROOT/example/lib/rate-limit.js" /opt/n8n/api/lib/rate-limit.js
+    cp "$PROJECT_ROOT/example/lib/resp-client.js" /opt/n8n/api/lib/resp-client.js
+    
+    log_pass "Rate limiter installed"
+}
+
+# Install the Prometheus metrics registry shared with the proxy example
+create_metrics_exporter() {
+    log_info "Installing metrics exporter..."
+    
+    cp "$PROJECT_ROOT/example/lib/prometheus.js" /opt/n8n/api/lib/prometheus.js
+    
+    log_pass "Metrics exporter installed"
+}
+
+# Create API key store and admin endpoints
+create_api_keys_api() {
+    log_info "Creating API key management..."
+    
+    cat > /opt/n8n/api/lib/api-key-store.js << 'EOF'
+// API Key Store
+// Hashed, scoped and expiring API keys for server-to-server calls
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const SCOPES = ['users:read', 'users:write', 'metrics:read'];
+const LEGACY_CONFIG_PATH = '/opt/n8n/user-configs/api-auth.json';
+// Keys from api-auth.json predate scopes; the web app key only needs read access
+const LEGACY_SCOPES = { webapp: ['users:read', 'metrics:read'] };
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function keyError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+class ApiKeyStore {
+    constructor(filePath = '/opt/n8n/user-configs/api-keys.json') {
+        this.filePath = filePath;
+        this.keys = null;
+        this.mtimeMs = null;
+        this.writing = Promise.resolve();
+    }
+
+    // Reload when the file changed on disk, so edits apply without a restart
+    async load() {
+        let stat = null;
+        try {
+            stat = await fs.stat(this.filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (!stat) {
+            if (!this.keys) {
+                this.keys = await this.importLegacyKeys();
+                if (Object.keys(this.keys).length) await this.save();
+            }
+            return this.keys;
+        }
+        if (this.keys && stat.mtimeMs === this.mtimeMs) return this.keys;
+
+        this.keys = JSON.parse(await fs.readFile(this.filePath, 'utf8')).keys || {};
+        this.mtimeMs = stat.mtimeMs;
+        return this.keys;
+    }
+
+    // One-time import of the plaintext keys written by cross_server_setup.sh
+    async importLegacyKeys() {
+        const keys = {};
+        try {
+            const config = JSON.parse(await fs.readFile(LEGACY_CONFIG_PATH, 'utf8'));
+            const legacyKeys = config.apiAuthentication?.methods?.apiKey?.keys || {};
+            for (const [name, key] of Object.entries(legacyKeys)) {
+                if (!key) continue;
+                const id = uuidv4();
+                keys[id] = this.record(id, name, LEGACY_SCOPES[name] || SCOPES, null, hashKey(key), 'legacy');
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error importing legacy API keys:', error);
+        }
+        return keys;
+    }
+
+    record(id, name, scopes, expiresAt, hash, prefix) {
+        return {
+            id,
+            name,
+            prefix,
+            hash,
+            scopes,
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            lastUsedAt: null,
+            revokedAt: null
+        };
+    }
+
+    save() {
+        const data = JSON.stringify({ keys: this.keys }, null, 2);
+        this.writing = this.writing
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(`${this.filePath}.tmp`, data, { mode: 0o600 });
+                await fs.rename(`${this.filePath}.tmp`, this.filePath);
+                this.mtimeMs = (await fs.stat(this.filePath)).mtimeMs;
+            })
+            .catch(error => console.error('Error saving API keys:', error));
+        return this.writing;
+    }
+
+    validate({ name, scopes, expiresInDays }) {
+        if (!name || typeof name !== 'string') {
+            throw keyError('Missing key name');
+        }
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !SCOPES.includes(scope))) {
+            throw keyError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+        }
+        if (expiresInDays !== undefined && expiresInDays !== null && !(Number(expiresInDays) > 0)) {
+            throw keyError('expiresInDays must be a positive number');
+        }
+    }
+
+    // Key metadata without the hash
+    describe(record) {
+        const { hash, ...info } = record;
+        return {
+            ...info,
+            expired: !!record.expiresAt && new Date(record.expiresAt) < new Date(),
+            active: !record.revokedAt && !(record.expiresAt && new Date(record.expiresAt) < new Date())
+        };
+    }
+
+    async list() {
+        return Object.values(await this.load()).map(record => this.describe(record));
+    }
+
+    // Returns the plaintext key once; only its hash is stored
+    async create({ name, scopes, expiresInDays }) {
+        this.validate({ name, scopes, expiresInDays });
+        const keys = await this.load();
+        const id = uuidv4();
+        const key = `n8k_${crypto.randomBytes(32).toString('base64url')}`;
+        const expiresAt = expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000).toISOString() : null;
+        keys[id] = this.record(id, name, scopes, expiresAt, hashKey(key), key.slice(0, 8));
+        await this.save();
+        return { key, apiKey: this.describe(keys[id]) };
+    }
+
+    // Replace a key's secret, keeping its name, scopes and expiry period
+    async rotate(id, { expiresInDays } = {}) {
+        const keys = await this.load();
+        const record = keys[id];
+        if (!record || record.revokedAt) {
+            throw keyError('API key not found', 404);
+        }
+        const key = `n8k_${crypto.randomBytes(32).toString('base64url')}`;
+        const days = expiresInDays ?? (record.expiresAt
+            ? (new Date(record.expiresAt) - new Date(record.createdAt)) / (24 * 60 * 60 * 1000)
+            : null);
+        this.validate({ name: record.name, scopes: record.scopes, expiresInDays: days });
+        Object.assign(record, {
+            prefix: key.slice(0, 8),
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            expiresAt: days ? new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000).toISOString() : null,
+            lastUsedAt: null
+        });
+        await this.save();
+        return { key, apiKey: this.describe(record) };
+    }
+
+    async revoke(id) {
+        const keys = await this.load();
+        const record = keys[id];
+        if (!record || record.revokedAt) {
+            throw keyError('API key not found', 404);
+        }
+        record.revokedAt = new Date().toISOString();
+        await this.save();
+        return this.describe(record);
+    }
+
+    // Active key record for a plaintext key, or null
+    async verify(key) {
+        const keys = await this.load();
+        const hash = Buffer.from(hashKey(key || ''), 'hex');
+        const record = Object.values(keys).find(r => crypto.timingSafeEqual(Buffer.from(r.hash, 'hex'), hash));
+        if (!record || !this.describe(record).active) return null;
+
+        // Persist last use at most once a minute per key
+        const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+        if (Date.now() - lastUsed > LAST_USED_SAVE_INTERVAL_MS) {
+            record.lastUsedAt = new Date().toISOString();
+            this.save();
+        }
+        return record;
+    }
+}
+
+module.exports = new ApiKeyStore();
+module.exports.SCOPES = SCOPES;
+EOF
+
+    cat > /opt/n8n/api/endpoints/api-keys.js << 'EOF'
+// API Keys API
+// Admin endpoints for creating, listing, rotating and revoking API keys
+
+const express = require('express');
+const apiKeyStore = require('../lib/api-key-store');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+
+class ApiKeysAPI {
+    constructor() {
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.get('/api-keys', authMiddleware.requireAdmin, this.listKeys.bind(this));
+        this.router.post('/api-keys', authMiddleware.requireAdmin, this.createKey.bind(this));
+        this.router.post('/api-keys/:keyId/rotate', authMiddleware.requireAdmin, this.rotateKey.bind(this));
+        this.router.delete('/api-keys/:keyId', authMiddleware.requireAdmin, this.revokeKey.bind(this));
+    }
+
+    async listKeys(req, res) {
+        try {
+            res.json({
+                apiKeys: await apiKeyStore.list(),
+                scopes: apiKeyStore.SCOPES
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error listing API keys:', error);
+        }
+    }
+
+    // The plaintext key is only returned here and on rotation
+    async createKey(req, res) {
+        try {
+            const { name, scopes, expiresInDays } = req.body;
+            const { key, apiKey } = await apiKeyStore.create({ name, scopes, expiresInDays });
+            await logging.audit(req, 'api_key.created', apiKey.id, { after: apiKey });
+            
+            res.status(201).json({
+                message: 'API key created successfully',
+                key,
+                apiKey
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error creating API key:', error);
+        }
+    }
+
+    async rotateKey(req, res) {
+        try {
+            const { key, apiKey } = await apiKeyStore.rotate(req.params.keyId, req.body || {});
+            await logging.audit(req, 'api_key.rotated', apiKey.id, { after: apiKey });
+            
+            res.json({
+                message: 'API key rotated successfully',
+                key,
+                apiKey
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error rotating API key:', error);
+        }
+    }
+
+    async revokeKey(req, res) {
+        try {
+            const apiKey = await apiKeyStore.revoke(req.params.keyId);
+            await logging.audit(req, 'api_key.revoked', apiKey.id, { after: apiKey });
+            
+            res.json({
+                message: 'API key revoked successfully',
+                apiKey
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error revoking API key:', error);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ApiKeysAPI;
+EOF
+
+    log_pass "API key management created"
+}
+
+# Create audit log query and export endpoints
+create_audit_api() {
+    log_info "Creating audit log API..."
+    
+    cat > /opt/n8n/api/endpoints/audit.js << 'EOF'
+// Audit API
+// Admin endpoints for querying, exporting and verifying the audit log
+
+const express = require('express');
+const repository = require('../lib/repository');
+const { EXPORT_FORMATS } = require('../lib/audit-log');
+const authMiddleware = require('../middleware/auth');
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_EXPORT_SIZE = 100000;
+
+class AuditAPI {
+    constructor() {
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.get('/audit', authMiddleware.requireAdmin, this.listEvents.bind(this));
+        this.router.get('/audit/verify', authMiddleware.requireAdmin, this.verifyChain.bind(this));
+    }
+
+    // Filter with ?actor=&action=&target=&from=&to=; ?format=ndjson or csv downloads all matches
+    async listEvents(req, res) {
+        try {
+            const { actor, action, target, from, to, format = 'json' } = req.query;
+            const exporter = EXPORT_FORMATS[format];
+            if (format !== 'json' && !exporter) {
+                return res.status(400).json({
+                    error: `format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}`
+                });
+            }
+
+            const maxLimit = exporter ? MAX_EXPORT_SIZE : MAX_PAGE_SIZE;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || (exporter ? maxLimit : 100), 1), maxLimit);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { entries, total } = await repository.auditEvents({ actor, action, target, from, to, limit, offset });
+
+            if (exporter) {
+                const date = new Date().toISOString().split('T')[0];
+                res.set('Content-Type', exporter.contentType);
+                res.set('Content-Disposition', `attachment; filename="audit-${date}.${format}"`);
+                return res.send(exporter.render(entries));
+            }
+
+            res.json({
+                events: entries,
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + entries.length < total
+                }
+            });
+        } catch (error) {
+            console.error('Error querying audit log:', error);
+            res.status(500).json({
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    // Recompute the hash chain; head is the hash to note for detecting later truncation
+    async verifyChain(req, res) {
+        try {
+            res.json(await repository.verifyAuditChain());
+        } catch (error) {
+            console.error('Error verifying audit log:', error);
+            res.status(500).json({
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AuditAPI;
+EOF
+
+    log_pass "Audit log API created"
+}
+
+# Create outbound webhook dispatcher and management endpoints
+create_webhooks_api() {
+    log_info "Creating webhooks API..."
+    
+    cat > /opt/n8n/api/lib/webhooks.js << 'EOF'
+// Webhook Dispatcher
+// Signed outbound webhooks for user and usage events, with retries and a dead-letter queue
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const repository = require('./repository');
+
+const EVENTS = ['user.created', 'user.deleted', 'user.login', 'quota.threshold', 'executions.failure_spike'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELIVERY_RETENTION_MS = 30 * DAY_MS;
+
+function webhookError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) to check the signature
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 30s, 1m, 2m, ... up to 6h, with +/-20% jitter so failed receivers are not hit in bursts
+function retryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// POST a JSON body, resolving with the response status code
+function postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+class WebhookDispatcher {
+    constructor() {
+        this.timer = null;
+        this.processing = null;
+        this.lastPrune = 0;
+    }
+
+    // Filters are event types, prefixes such as 'user.*', or '*' for everything
+    static matches(webhook, type) {
+        return webhook.events.some(filter => filter === '*'
+            || filter === type
+            || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1))));
+    }
+
+    validate({ url, events, secret, active }) {
+        if (url !== undefined) {
+            let protocol = null;
+            try {
+                protocol = new URL(url).protocol;
+            } catch (error) {
+                // Reported below
+            }
+            if (!['http:', 'https:'].includes(protocol)) {
+                throw webhookError('url must be an http or https URL');
+            }
+        }
+        if (events !== undefined) {
+            const valid = filter => filter === '*' || EVENTS.includes(filter)
+                || (filter.endsWith('.*') && EVENTS.some(type => type.startsWith(filter.slice(0, -1))));
+            if (!Array.isArray(events) || !events.length || events.some(filter => typeof filter !== 'string' || !valid(filter))) {
+                throw webhookError(`events must be a non-empty list of: *, ${EVENTS.join(', ')} or a prefix such as user.*`);
+            }
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            throw webhookError('secret must be at least 16 characters');
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            throw webhookError('active must be true or false');
+        }
+    }
+
+    // Webhook without its secret
+    describe(webhook) {
+        const { secret, ...info } = webhook;
+        return info;
+    }
+
+    async list() {
+        return (await repository.listWebhooks()).map(webhook => this.describe(webhook));
+    }
+
+    async get(id) {
+        const webhook = await repository.getWebhook(id);
+        if (!webhook) {
+            throw webhookError('Webhook not found', 404);
+        }
+        return this.describe(webhook);
+    }
+
+    // Returns the signing secret once; a secret is generated unless one is given
+    async create({ url, events, description = null, secret, active = true }) {
+        if (url === undefined || events === undefined) {
+            throw webhookError('Missing required fields: url, events');
+        }
+        this.validate({ url, events, secret, active });
+        const now = new Date().toISOString();
+        const webhook = await repository.createWebhook({
+            id: uuidv4(),
+            url,
+            secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+            events,
+            description,
+            active,
+            createdAt: now,
+            updatedAt: now
+        });
+        return { webhook: this.describe(webhook), secret: webhook.secret };
+    }
+
+    // Returns { before, after } without secrets
+    async update(id, { url, events, description, secret, active }) {
+        this.validate({ url, events, secret, active });
+        const fields = Object.fromEntries(Object.entries({ url, events, description, secret, active })
+            .filter(([, value]) => value !== undefined));
+        const { before, after } = await repository.updateWebhook(id, fields);
+        return { before: this.describe(before), after: this.describe(after) };
+    }
+
+    async remove(id) {
+        const webhook = await this.get(id);
+        await repository.deleteWebhook(id);
+        return webhook;
+    }
+
+    async deliveries(filters) {
+        return repository.listDeliveries(filters);
+    }
+
+    // Queue a dead or delivered delivery again with a fresh set of attempts
+    async retry(deliveryId) {
+        const delivery = await repository.getDelivery(deliveryId);
+        if (!delivery) {
+            throw webhookError('Delivery not found', 404);
+        }
+        if (delivery.status === 'pending') {
+            throw webhookError('Delivery is already pending', 409);
+        }
+        const queued = await repository.updateDelivery(deliveryId, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null
+        });
+        this.processDue();
+        return queued;
+    }
+
+    // Queue an event for every active webhook subscribed to it. Never throws,
+    // so the request or job that raised the event is not affected.
+    async emit(type, data) {
+        try {
+            const webhooks = (await repository.listWebhooks())
+                .filter(webhook => webhook.active && WebhookDispatcher.matches(webhook, type));
+            if (!webhooks.length) return;
+
+            const event = { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+            await repository.addDeliveries(webhooks.map(webhook => ({
+                id: uuidv4(),
+                webhookId: webhook.id,
+                eventId: event.id,
+                eventType: type,
+                payload: event,
+                createdAt: event.createdAt
+            })));
+            this.processDue();
+        } catch (error) {
+            console.error(`Error queueing ${type} webhook event:`, error);
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+        this.timer.unref();
+        this.processDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One pass at a time; deliveries queued during a pass are picked up by the next one
+    processDue() {
+        if (!this.processing) {
+            this.processing = this.deliverDue()
+                .catch(error => console.error('Error delivering webhooks:', error))
+                .finally(() => { this.processing = null; });
+        }
+        return this.processing;
+    }
+
+    async deliverDue() {
+        let due;
+        while ((due = await repository.dueDeliveries(Date.now(), BATCH_SIZE)).length) {
+            for (const delivery of due) {
+                await this.attempt(delivery);
+            }
+        }
+
+        if (Date.now() - this.lastPrune > DAY_MS) {
+            this.lastPrune = Date.now();
+            await repository.pruneDeliveries(Date.now() - DELIVERY_RETENTION_MS);
+        }
+    }
+
+    // A 2xx response delivers; anything else is retried until MAX_ATTEMPTS, then dead-lettered
+    async attempt(delivery) {
+        const webhook = await repository.getWebhook(delivery.webhookId);
+        if (!webhook.active) {
+            return repository.updateDelivery(delivery.id, {
+                status: 'dead',
+                nextAttemptAt: null,
+                lastError: 'Webhook is inactive'
+            });
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const attempts = delivery.attempts + 1;
+        let statusCode = null;
+        let error = null;
+        try {
+            statusCode = await postJson(webhook.url, body, {
+                'User-Agent': 'n8n-user-management-webhooks/1.0',
+                'X-Webhook-Id': delivery.eventId,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Event': delivery.eventType,
+                'X-Webhook-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+            });
+        } catch (e) {
+            error = e.message;
+        }
+
+        if (statusCode >= 200 && statusCode < 300) {
+            return repository.updateDelivery(delivery.id, {
+                status: 'delivered',
+                attempts,
+                nextAttemptAt: null,
+                lastStatusCode: statusCode,
+                lastError: null,
+                deliveredAt: new Date().toISOString()
+            });
+        }
+        const dead = attempts >= MAX_ATTEMPTS;
+        return repository.updateDelivery(delivery.id, {
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            nextAttemptAt: dead ? null : Date.now() + retryDelay(attempts),
+            lastStatusCode: statusCode,
+            lastError: error || `HTTP ${statusCode}`
+        });
+    }
+}
+
+module.exports = new WebhookDispatcher();
+module.exports.EVENTS = EVENTS;
+module.exports.sign = sign;
+EOF
+
+    cat > /opt/n8n/api/endpoints/webhooks.js << 'EOF'
+// Webhooks API
+// Admin endpoints for managing outbound webhooks and inspecting their delivery log
+
+const express = require('express');
+const webhooks = require('../lib/webhooks');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+const { diffValues } = require('../lib/audit-log');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const MAX_PAGE_SIZE = 500;
+
+class WebhooksAPI {
+    constructor() {
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.get('/webhooks', authMiddleware.requireAdmin, this.listWebhooks.bind(this));
+        this.router.post('/webhooks', authMiddleware.requireAdmin, this.createWebhook.bind(this));
+        this.router.get('/webhooks/deliveries', authMiddleware.requireAdmin, this.listDeliveries.bind(this));
+        this.router.post('/webhooks/deliveries/:deliveryId/retry', authMiddleware.requireAdmin, this.retryDelivery.bind(this));
+        this.router.get('/webhooks/:webhookId', authMiddleware.requireAdmin, this.getWebhook.bind(this));
+        this.router.put('/webhooks/:webhookId', authMiddleware.requireAdmin, this.updateWebhook.bind(this));
+        this.router.delete('/webhooks/:webhookId', authMiddleware.requireAdmin, this.deleteWebhook.bind(this));
+        this.router.get('/webhooks/:webhookId/deliveries', authMiddleware.requireAdmin, this.listDeliveries.bind(this));
+    }
+
+    async listWebhooks(req, res) {
+        try {
+            res.json({
+                webhooks: await webhooks.list(),
+                events: webhooks.EVENTS
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error listing webhooks:', error);
+        }
+    }
+
+    // The signing secret is only returned here
+    async createWebhook(req, res) {
+        try {
+            const { url, events, description, secret, active } = req.body;
+            const created = await webhooks.create({ url, events, description, secret, active });
+            await logging.audit(req, 'webhook.created', created.webhook.id, { after: created.webhook });
+
+            res.status(201).json({
+                message: 'Webhook created successfully',
+                secret: created.secret,
+                webhook: created.webhook
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error creating webhook:', error);
+        }
+    }
+
+    async getWebhook(req, res) {
+        try {
+            res.json({
+                webhook: await webhooks.get(req.params.webhookId)
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error getting webhook:', error);
+        }
+    }
+
+    // A new secret may be set here but is never echoed back or audited
+    async updateWebhook(req, res) {
+        try {
+            const { url, events, description, secret, active } = req.body;
+            const { before, after } = await webhooks.update(req.params.webhookId, { url, events, description, secret, active });
+            await logging.audit(req, 'webhook.updated', after.id, {
+                ...diffValues(before, after, ['updatedAt']),
+                details: secret !== undefined ? { secretChanged: true } : null
+            });
+
+            res.json({
+                message: 'Webhook updated successfully',
+                webhook: after
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error updating webhook:', error);
+        }
+    }
+
+    async deleteWebhook(req, res) {
+        try {
+            const webhook = await webhooks.remove(req.params.webhookId);
+            await logging.audit(req, 'webhook.deleted', webhook.id, { before: webhook });
+
+            res.json({
+                message: 'Webhook deleted successfully'
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error deleting webhook:', error);
+        }
+    }
+
+    // Delivery log, newest first; ?status=dead lists the dead-letter queue
+    async listDeliveries(req, res) {
+        try {
+            const { webhookId } = req.params;
+            const { status, event } = req.query;
+            if (status && !DELIVERY_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+                });
+            }
+            if (webhookId) {
+                await webhooks.get(webhookId);
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { deliveries, total } = await webhooks.deliveries({ webhookId, status, eventType: event, limit, offset });
+
+            res.json({
+                deliveries,
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + deliveries.length < total
+                }
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error listing webhook deliveries:', error);
+        }
+    }
+
+    async retryDelivery(req, res) {
+        try {
+            const delivery = await webhooks.retry(req.params.deliveryId);
+            await logging.audit(req, 'webhook.delivery_retried', delivery.id, {
+                details: { webhookId: delivery.webhookId, eventType: delivery.eventType }
+            });
+
+            res.status(202).json({
+                message: 'Delivery queued for retry',
+                delivery
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error retrying webhook delivery:', error);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = WebhooksAPI;
+EOF
+
+    log_pass "Webhooks API created"
+}
+
+# Create usage export endpoints and the monthly usage report mailer
+create_usage_reports() {
+    log_info "Creating usage exports and reports..."
+    
+    cat > /opt/n8n/api/lib/mailer.js << 'EOF'
+// Mailer
+// Minimal SMTP client for report emails, using the same settings install_email_tools.sh
+// gives msmtp: SMTP_SERVER, SMTP_PORT, SMTP_TLS, SMTP_USERNAME, SMTP_PASSWORD, EMAIL_SENDER
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30 * 1000;
+
+function mailError(message, status = 502) {
+    return Object.assign(new Error(message), { status });
+}
+
+// RFC 2047 encoded header value when it is not plain ASCII
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+    return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Replies from an SMTP server; a reply may span several "250-" lines
+class SmtpConnection {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.pending = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        // After STARTTLS the plain socket is only read through the TLS socket
+        if (this.socket) {
+            this.socket.removeAllListeners('data');
+            this.socket.setTimeout(0);
+        }
+        this.socket = socket;
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.flush();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.pending) {
+            this.pending.reject(this.error);
+            this.pending = null;
+        }
+    }
+
+    flush() {
+        if (!this.pending) return;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+                this.lines = [];
+                const { resolve } = this.pending;
+                this.pending = null;
+                return resolve(reply);
+            }
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            if (this.error) return reject(this.error);
+            this.pending = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    // Send a command (or nothing, for the greeting) and check the reply code
+    async command(line, expected, label = line.split(' ')[0]) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw mailError(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+class Mailer {
+    constructor() {
+        this.host = process.env.SMTP_SERVER || null;
+        this.port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        // Port 465 and SMTP_TLS=YES connect over TLS; otherwise STARTTLS is used when offered
+        this.secure = this.port === 465 || process.env.SMTP_TLS === 'YES';
+        this.username = process.env.SMTP_USERNAME || null;
+        this.password = process.env.SMTP_PASSWORD || '';
+        this.sender = process.env.EMAIL_SENDER || `n8n@${os.hostname()}`;
+        this.subjectPrefix = process.env.EMAIL_SUBJECT_PREFIX || '';
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host }, () => resolve(socket))
+                : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secured = tls.connect({ socket, servername: this.host }, () => resolve(secured));
+            secured.once('error', reject);
+        });
+    }
+
+    // MIME message with text and HTML alternatives and optional attachments
+    // ({ filename, contentType, content })
+    compose({ to, subject, text, html, attachments = [] }) {
+        const boundary = () => `=_${crypto.randomBytes(12).toString('hex')}`;
+        const part = (contentType, content, extra = []) => [
+            `Content-Type: ${contentType}`,
+            'Content-Transfer-Encoding: base64',
+            ...extra,
+            '',
+            base64Lines(content)
+        ].join('\r\n');
+        const multipart = (type, parts) => {
+            const b = boundary();
+            return [
+                `Content-Type: multipart/${type}; boundary="${b}"`,
+                '',
+                ...parts.map(p => `--${b}\r\n${p}`),
+                `--${b}--`
+            ].join('\r\n');
+        };
+
+        let body = multipart('alternative', [
+            part('text/plain; charset=utf-8', text),
+            part('text/html; charset=utf-8', html)
+        ]);
+        if (attachments.length) {
+            body = multipart('mixed', [body, ...attachments.map(a => part(
+                `${a.contentType}; name="${a.filename}"`,
+                a.content,
+                [`Content-Disposition: attachment; filename="${a.filename}"`]
+            ))]);
+        }
+        return [
+            `From: ${this.sender}`,
+            `To: ${to}`,
+            `Subject: ${encodeHeader(this.subjectPrefix ? `${this.subjectPrefix} ${subject}` : subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${os.hostname()}>`,
+            'MIME-Version: 1.0',
+            body
+        ].join('\r\n');
+    }
+
+    async send({ to, subject, text, html, attachments }) {
+        if (!this.host) {
+            throw mailError('SMTP_SERVER is not configured', 503);
+        }
+        if (!to || /[\r\n<>,]/.test(to)) {
+            throw mailError('Invalid recipient address', 400);
+        }
+
+        const message = this.compose({ to, subject, text, html, attachments });
+        const connection = new SmtpConnection(await this.connect());
+        try {
+            await connection.command(null, [220], 'greeting');
+            let ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            const offers = keyword => ehlo.lines.some(line => line.toUpperCase().startsWith(keyword));
+
+            if (!this.secure && offers('STARTTLS')) {
+                await connection.command('STARTTLS', [220]);
+                connection.attach(await this.upgrade(connection.socket));
+                ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            }
+            if (this.username && offers('AUTH')) {
+                const mechanisms = ehlo.lines.find(line => line.toUpperCase().startsWith('AUTH')).toUpperCase().split(/[ =]/);
+                if (mechanisms.includes('PLAIN')) {
+                    const credentials = Buffer.from(`\u0000${this.username}\u0000${this.password}`).toString('base64');
+                    await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+                } else {
+                    await connection.command('AUTH LOGIN', [334]);
+                    await connection.command(Buffer.from(this.username).toString('base64'), [334], 'AUTH');
+                    await connection.command(Buffer.from(this.password).toString('base64'), [235], 'AUTH');
+                }
+            }
+
+            await connection.command(`MAIL FROM:<${this.sender}>`, [250], 'MAIL');
+            await connection.command(`RCPT TO:<${to}>`, [250, 251], 'RCPT');
+            await connection.command('DATA', [354]);
+            // Lines starting with a dot are escaped so they do not end the message early
+            await connection.command(`${message.replace(/^\./gm, '..')}\r\n.`, [250], 'DATA');
+            await connection.command('QUIT', [221]).catch(() => {});
+        } finally {
+            connection.socket.end();
+        }
+    }
+}
+
+module.exports = new Mailer();
+EOF
+
+    cat > /opt/n8n/api/lib/report-renderer.js << 'EOF'
+// Report Renderer
+// Plain text, HTML and PDF versions of the monthly usage and billing summary
+// built by AnalyticsAPI.monthlySummary()
+
+const PDF_PAGE = { width: 595, height: 842, margin: 50 };
+const PDF_LINE_HEIGHT = 16;
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round((ms || 0) / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// The summary as titled sections of [label, value] rows, shared by every format
+function sections(summary) {
+    const usage = summary.summary;
+    const money = amount => `${amount.toFixed(2)} ${summary.billing.currency}`;
+    return [
+        {
+            title: 'Usage',
+            rows: [
+                ['Executions', `${usage.totalExecutions} (${usage.successfulExecutions} successful, ${usage.failedExecutions} failed)`],
+                ['Success rate', `${usage.successRate}%`],
+                ['Execution time', `${formatDuration(usage.totalDuration)} (average ${formatDuration(usage.averageDuration)})`],
+                ['Storage', formatBytes(usage.storageBytes)]
+            ]
+        },
+        {
+            title: `Billing estimate (${summary.billing.planName} plan)`,
+            rows: [
+                ...summary.billing.lines.map(line => [
+                    line.description,
+                    `${+line.quantity.toFixed(4)} ${line.unit}, ${+line.billable.toFixed(4)} billable: ${money(line.amount)}`
+                ]),
+                ['Total', money(summary.billing.total)]
+            ]
+        },
+        {
+            title: 'Workflows needing attention',
+            rows: summary.bottlenecks.length
+                ? summary.bottlenecks.map(b => [
+                    b.workflowId,
+                    b.type === 'slow_workflow'
+                        ? `slow, average ${formatDuration(b.averageDuration)} over ${b.executions} executions`
+                        : `${Math.round(b.failureRate * 100)}% of ${b.executions} executions failed`
+                ])
+                : [['None', '']]
+        }
+    ];
+}
+
+function heading(summary) {
+    return {
+        title: `Usage summary for ${summary.month}`,
+        details: [
+            `${summary.email || summary.userId}`,
+            `${summary.from.slice(0, 10)} to ${summary.to.slice(0, 10)}`
+        ]
+    };
+}
+
+function renderText(summary) {
+    const { title, details } = heading(summary);
+    const lines = [title, ...details, ''];
+    for (const section of sections(summary)) {
+        lines.push(section.title);
+        section.rows.forEach(([label, value]) => lines.push(value ? `  ${label}: ${value}` : `  ${label}`));
+        lines.push('');
+    }
+    lines.push(`Generated ${summary.generatedAt}`);
+    return lines.join('\n') + '\n';
+}
+
+function renderHtml(summary) {
+    const { title, details } = heading(summary);
+    const tables = sections(summary).map(section => `
+  <h2>${escapeHtml(section.title)}</h2>
+  <table>${section.rows.map(([label, value]) => `
+    <tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('')}
+  </table>`).join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; max-width: 800px; margin: 40px auto; }
+    h1 { color: #ea4b71; font-weight: 500; }
+    h2 { font-size: 16px; font-weight: 600; margin-top: 32px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .muted { color: #666; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${details.map(escapeHtml).join('<br>\n    ')}</p>${tables}
+  <p class="muted">Generated ${escapeHtml(summary.generatedAt)}</p>
+</body>
+</html>
+`;
+}
+
+// PDF strings only hold the standard fonts' characters; anything else becomes '?'
+function pdfText(text) {
+    return `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, c => `\\${c}`)})`;
+}
+
+// Single-column PDF of the text report in the built-in Helvetica fonts
+function renderPdf(summary) {
+    const { title, details } = heading(summary);
+    const lines = [{ text: title, font: 'F2', size: 18 }, ...details.map(text => ({ text, font: 'F1', size: 11 })), null];
+    for (const section of sections(summary)) {
+        lines.push({ text: section.title, font: 'F2', size: 12 });
+        section.rows.forEach(([label, value]) => lines.push({ text: value ? `${label}: ${value}` : label, font: 'F1', size: 10, indent: 12 }));
+        lines.push(null);
+    }
+    lines.push({ text: `Generated ${summary.generatedAt}`, font: 'F1', size: 8 });
+
+    const perPage = Math.floor((PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_LINE_HEIGHT);
+    const pages = [];
+    for (let i = 0; i < lines.length; i += perPage) {
+        pages.push(lines.slice(i, i + perPage));
+    }
+
+    // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content stream
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((p, i) => `${5 + 2 * i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((pageLines, i) => {
+        const content = pageLines.map((line, row) => {
+            if (!line) return '';
+            const y = PDF_PAGE.height - PDF_PAGE.margin - row * PDF_LINE_HEIGHT;
+            return `BT /${line.font} ${line.size} Tf ${PDF_PAGE.margin + (line.indent || 0)} ${y} Td ${pdfText(line.text)} Tj ET`;
+        }).filter(Boolean).join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + 2 * i} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderText, renderHtml, renderPdf, formatBytes, formatDuration };
+EOF
+
+    cat > /opt/n8n/api/lib/usage-reports.js << 'EOF'
+// Usage Reports
+// Emails each active user their usage and billing summary for the previous month.
+// Checked hourly; once USAGE_REPORT_DAY at USAGE_REPORT_HOUR (UTC) has passed, every user
+// without a sent report for the month gets one. Runs are recorded in usage_report_runs so
+// restarts never send twice, and failed sends are retried on the next check.
+
+const repository = require('./repository');
+const mailer = require('./mailer');
+const { renderText, renderHtml, renderPdf } = require('./report-renderer');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const PAGE_SIZE = 100;
+
+function envInt(name, fallback, min, max) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+}
+
+class UsageReports {
+    // summarize(userId, month) resolves to the summary the renderers take
+    constructor({ summarize }) {
+        this.summarize = summarize;
+        this.enabled = process.env.USAGE_REPORT_EMAILS === 'true';
+        // Day 28 at most, so every month has the send day
+        this.day = envInt('USAGE_REPORT_DAY', 1, 1, 28);
+        this.hour = envInt('USAGE_REPORT_HOUR', 6, 0, 23);
+        this.attachPdf = process.env.USAGE_REPORT_ATTACH_PDF !== 'false';
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.timer = setInterval(() => this.sendDue(), CHECK_INTERVAL_MS);
+        this.timer.unref();
+        this.sendDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Previous month (YYYY-MM) once this month's send time has passed, otherwise null
+    dueMonth(now = new Date()) {
+        const sendAt = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), this.day, this.hour);
+        return now.getTime() < sendAt ? null : this.previousMonth(now);
+    }
+
+    previousMonth(now = new Date()) {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+    }
+
+    // One pass at a time; a check that starts while one is running waits for it
+    sendDue() {
+        const month = this.dueMonth();
+        if (!month) return Promise.resolve();
+        return this.sendMonth(month);
+    }
+
+    sendMonth(month) {
+        if (!this.running) {
+            this.running = this.sendAll(month)
+                .catch(error => console.error(`Error sending ${month} usage reports:`, error))
+                .finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async sendAll(month) {
+        const monthEnd = Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 1);
+        const results = { sent: 0, failed: 0, skipped: 0 };
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { users } = await repository.listUsers({ status: 'active', limit: PAGE_SIZE, offset });
+            for (const user of users) {
+                // Users created after the month ended have nothing to report
+                if (!user.email || new Date(user.createdAt).getTime() >= monthEnd) {
+                    results.skipped++;
+                    continue;
+                }
+                const run = await repository.getReportRun(user.userId, month);
+                if (run && (run.status === 'sent' || run.attempts >= MAX_ATTEMPTS)) {
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await this.send(user.userId, month);
+                    results.sent++;
+                } catch (error) {
+                    console.error(`Error sending ${month} usage report to ${user.userId}:`, error.message);
+                    results.failed++;
+                }
+            }
+            if (users.length < PAGE_SIZE) break;
+        }
+        if (results.sent || results.failed) {
+            console.log(`Usage reports for ${month}: ${results.sent} sent, ${results.failed} failed, ${results.skipped} skipped`);
+        }
+        return results;
+    }
+
+    // Render and email one user's report, recording the outcome; rethrows send failures
+    async send(userId, month) {
+        const summary = await this.summarize(userId, month);
+        if (!summary.email) {
+            throw Object.assign(new Error('User has no email address'), { status: 400 });
+        }
+
+        const previous = await repository.getReportRun(userId, month);
+        const run = { userId, month, recipient: summary.email, attempts: (previous?.attempts || 0) + 1 };
+        try {
+            await mailer.send({
+                to: summary.email,
+                subject: `Usage summary for ${month}`,
+                text: renderText(summary),
+                html: renderHtml(summary),
+                attachments: this.attachPdf
+                    ? [{ filename: `usage-${month}.pdf`, contentType: 'application/pdf', content: renderPdf(summary) }]
+                    : []
+            });
         } catch (error) {
-            console.error('Error getting weekly report:', error);
-            res.status(500).json({
-                error: 'Internal server error'
+            await repository.saveReportRun({ ...run, status: 'failed', lastError: error.message });
+            throw error;
+        }
+        return repository.saveReportRun({ ...run, status: 'sent', sentAt: new Date().toISOString() });
+    }
+}
+
+module.exports = UsageReports;
+EOF
+
+    cat > /opt/n8n/api/endpoints/usage-export.js << 'EOF'
+// Usage Export API
+// Per-execution and per-day usage exports as CSV or JSON Lines, streamed row by row so
+// large ranges are never held in memory, and the monthly usage report emails
+
+const express = require('express');
+const repository = require('../lib/repository');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+const MetricsStore = require('../lib/metrics-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const MAX_PAGE_SIZE = 500;
+
+const EXECUTION_FIELDS = ['userId', 'executionId', 'workflowId', 'status', 'durationMs', 'timestamp'];
+const DAILY_FIELDS = ['userId', 'date', 'executions', 'successful', 'failed', 'durationMs', 'storageBytes'];
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' }
+};
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves once the response can take more data, or rejects if the client went away
+function drained(res) {
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            error ? reject(error) : resolve();
+        };
+        const onDrain = () => done();
+        const onClose = () => done(new Error('Client closed the connection'));
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+    });
+}
+
+class UsageExportAPI {
+    // metrics is the shared MetricsStore; reports is the UsageReports scheduler
+    constructor({ metrics, reports }) {
+        this.metrics = metrics;
+        this.reports = reports;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.get('/exports/usage/executions', this.exportExecutions.bind(this));
+        this.router.get('/exports/usage/daily', this.exportDaily.bind(this));
+        this.router.get('/exports/usage/reports', authMiddleware.requireAdmin, this.listReportRuns.bind(this));
+        this.router.post('/exports/usage/reports/send', authMiddleware.requireAdmin, this.sendReports.bind(this));
+    }
+
+    // One row per execution from the execution tracker's daily files
+    async exportExecutions(req, res) {
+        await this.export(req, res, 'executions', EXECUTION_FIELDS, async function* (metrics, userId, from, to) {
+            for await (const execution of metrics.executions(userId, from, to)) {
+                yield {
+                    userId,
+                    executionId: execution.executionId,
+                    workflowId: execution.workflowId,
+                    status: execution.status,
+                    durationMs: execution.duration,
+                    timestamp: execution.timestamp
+                };
+            }
+        });
+    }
+
+    // One row per user per UTC day, including days without executions
+    async exportDaily(req, res) {
+        await this.export(req, res, 'daily', DAILY_FIELDS, async function* (metrics, userId, from, to) {
+            for (const day of await metrics.daily(userId, from, to)) {
+                yield { userId, ...day };
+            }
+        });
+    }
+
+    // ?userId=&from=&to=&format=csv|jsonl; without userId every user is exported (admin only)
+    async export(req, res, kind, fields, rows) {
+        let started = false;
+        try {
+            const { userId, format = 'csv' } = req.query;
+            const output = FORMATS[format];
+            if (!output) {
+                return res.status(400).json({
+                    error: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+                });
+            }
+            if (userId) {
+                MetricsStore.validateUserId(userId);
+            }
+            if (req.user.role !== 'admin' && (!userId || userId !== req.user.userId)) {
+                return res.status(403).json({
+                    error: userId ? 'Access denied' : 'Admin privileges required to export all users'
+                });
+            }
+            const { from, to } = this.parseRange(req.query);
+            const userIds = userId ? [userId] : await repository.listUserIds();
+
+            await logging.audit(req, 'usage.exported', userId || '*', {
+                details: { kind, format, from: new Date(from).toISOString(), to: new Date(to).toISOString() }
+            });
+
+            const date = new Date(from).toISOString().split('T')[0];
+            res.set('Content-Type', output.contentType);
+            res.set('Content-Disposition', `attachment; filename="usage-${kind}-${userId || 'all'}-${date}.${output.extension}"`);
+            started = true;
+
+            if (format === 'csv' && !res.write(`${fields.join(',')}\n`)) {
+                await drained(res);
+            }
+            for (const id of userIds) {
+                for await (const row of rows(this.metrics, id, from, to)) {
+                    const line = format === 'csv'
+                        ? fields.map(field => csvField(row[field])).join(',')
+                        : JSON.stringify(Object.fromEntries(fields.map(field => [field, row[field] ?? null])));
+                    if (!res.write(`${line}\n`)) {
+                        await drained(res);
+                    }
+                }
+            }
+            res.end();
+        } catch (error) {
+            if (!started) {
+                return logging.sendError(res, `Error exporting ${kind} usage:`, error);
+            }
+            // Headers are already sent, so cut the response short rather than end it cleanly
+            if (!res.destroyed) {
+                console.error(`Error exporting ${kind} usage:`, error);
+                res.destroy(error);
+            }
+        }
+    }
+
+    // from defaults to the start of the current month and to to now; a date-only to
+    // covers the whole of that day
+    parseRange({ from, to }) {
+        const now = new Date();
+        const start = from ? new Date(from).getTime() : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+        let end = to ? new Date(to).getTime() : now.getTime();
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            end += DAY_MS - 1;
+        }
+        if (isNaN(start) || isNaN(end)) {
+            throw Object.assign(new Error('from and to must be ISO 8601 dates'), { status: 400 });
+        }
+        if (end < start) {
+            throw Object.assign(new Error('to must not be before from'), { status: 400 });
+        }
+        if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+            throw Object.assign(new Error(`Range cannot exceed ${MAX_RANGE_DAYS} days`), { status: 400 });
+        }
+        return { from: start, to: end };
+    }
+
+    // Report emails sent so far, filtered with ?month=&status=
+    async listReportRuns(req, res) {
+        try {
+            const { month, status } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { runs, total } = await repository.listReportRuns({ month, status, limit, offset });
+
+            res.json({
+                runs,
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + runs.length < total
+                }
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error listing usage reports:', error);
+        }
+    }
+
+    // { month, userId } sends one user's report now (again, if already sent); month defaults
+    // to the previous month. Without userId every user still missing that month's report is sent one in the background
+    async sendReports(req, res) {
+        try {
+            const { userId, month = this.reports.previousMonth() } = req.body || {};
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month))) {
+                return res.status(400).json({
+                    error: 'month must be YYYY-MM'
+                });
+            }
+
+            if (userId) {
+                MetricsStore.validateUserId(userId);
+                if (!await repository.getUser(userId)) {
+                    return res.status(404).json({
+                        error: 'User not found'
+                    });
+                }
+                const run = await this.reports.send(userId, month);
+                await logging.audit(req, 'usage_report.sent', userId, { details: { month, status: run.status } });
+                return res.json({ run });
+            }
+
+            this.reports.sendMonth(month);
+            await logging.audit(req, 'usage_report.sent', '*', { details: { month } });
+            res.status(202).json({
+                message: `Sending ${month} usage reports`,
+                month
+            });
+        } catch (error) {
+            logging.sendError(res, 'Error sending usage report:', error);
+        }
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = UsageExportAPI;
+EOF
+
+    log_pass "Usage exports and reports created"
+}
+
+# Create personal data export and erasure endpoints
+create_user_data_api() {
+    log_info "Creating user data export and erasure..."
+    
+    cat > /opt/n8n/api/lib/n8n-api.js << 'EOF'
+// n8n API
+// Client for the n8n public API, used by the user erasure and data export. Needs N8N_API_URL
+// and an owner's N8N_API_KEY, so every workflow and project member can be read.
+
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const PAGE_SIZE = 250;
+
+// Send a request without a body, resolving with the status code and the parsed JSON response
+function requestJson(url, method, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method,
+            headers: { Accept: 'application/json', ...headers },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (response) => {
+            let data = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { data += chunk; });
+            response.on('end', () => {
+                let body = null;
+                try {
+                    body = data ? JSON.parse(data) : null;
+                } catch (error) {
+                    // Not JSON, only the status code matters
+                }
+                resolve({ status: response.statusCode, body });
             });
+        });
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+// An unexpected n8n response is a bad gateway for the caller
+function upstreamError(status, action) {
+    return Object.assign(new Error(`n8n responded with ${status} ${action}`), { status: 502 });
+}
+
+class N8nApi {
+    constructor() {
+        this.url = (process.env.N8N_API_URL || '').replace(/\/+$/, '');
+        this.apiKey = process.env.N8N_API_KEY || '';
+    }
+
+    get configured() {
+        return Boolean(this.url && this.apiKey);
+    }
+
+    request(pathname, method = 'GET') {
+        return requestJson(`${this.url}${pathname}`, method, { 'X-N8N-API-KEY': this.apiKey });
+    }
+
+    // The n8n account with this email, or null
+    async findUser(email) {
+        const response = await this.request(`/api/v1/users/${encodeURIComponent(email)}`);
+        if (response.status === 404) {
+            return null;
+        }
+        if (response.status !== 200 || !response.body?.id) {
+            throw upstreamError(response.status, 'looking up the account');
+        }
+        return response.body;
+    }
+
+    // Deleting an account also deletes the workflows, credentials and executions of its personal project
+    async deleteUser(id) {
+        const response = await this.request(`/api/v1/users/${encodeURIComponent(id)}`, 'DELETE');
+        if (response.status >= 300 && response.status !== 404) {
+            throw upstreamError(response.status, 'deleting the account');
+        }
+    }
+
+    // Every item of a paginated list, following nextCursor
+    async list(pathname, params, action) {
+        const items = [];
+        let cursor = null;
+        do {
+            const query = new URLSearchParams({ ...params, limit: String(PAGE_SIZE), ...(cursor ? { cursor } : {}) });
+            const response = await this.request(`${pathname}?${query}`);
+            if (response.status !== 200) {
+                throw upstreamError(response.status, action);
+            }
+            items.push(...(response.body?.data || []));
+            cursor = response.body?.nextCursor || null;
+        } while (cursor);
+        return items;
+    }
+
+    // Workflows owned by a project the user is the only member of, which is their personal
+    // project. The projects API needs an enterprise licence, so members are read through the
+    // users API instead, once per owning project.
+    async userWorkflows(id) {
+        const ownProjects = new Map();
+        const workflows = [];
+        for (const workflow of await this.list('/api/v1/workflows', {}, 'listing workflows')) {
+            const owner = (workflow.shared || []).find(share => share.role === 'workflow:owner');
+            if (!owner) continue;
+            if (!ownProjects.has(owner.projectId)) {
+                const members = await this.list('/api/v1/users', { projectId: owner.projectId }, 'listing project members');
+                ownProjects.set(owner.projectId, members.length === 1 && members[0].id === id);
+            }
+            if (ownProjects.get(owner.projectId)) {
+                workflows.push(workflow);
+            }
+        }
+        return workflows;
+    }
+}
+
+module.exports = new N8nApi();
+module.exports.requestJson = requestJson;
+EOF
+
+    cat > /opt/n8n/api/lib/user-erasure.js << 'EOF'
+// User Erasure
+// Removes a user everywhere on request: the n8n account (with its workflows and executions),
+// proxy sessions, API tokens, the user directory, metrics files and snapshots, and finally the
+// user record. Each step's outcome is saved in erasure_jobs as soon as it finishes, so a failed
+// or interrupted job resumes at the step that did not finish, and every step can safely run
+// twice. Audit entries are kept: removing them would break the hash chain.
+
+const fs = require('fs').promises;
+const path = require('path');
+const n8n = require('./n8n-api');
+const repository = require('./repository');
+const tokenStore = require('./token-store');
+const webhooks = require('./webhooks');
+
+// Step name -> method, in the order they run
+const STEPS = {
+    n8n_account: 'eraseN8nAccount',
+    proxy_sessions: 'eraseProxySessions',
+    api_tokens: 'eraseApiTokens',
+    user_files: 'eraseUserFiles',
+    metrics: 'eraseMetrics',
+    user_record: 'eraseUserRecord'
+};
+
+// Metrics files of a user, after the user ID: current metrics, storage, daily executions and the legacy series
+const METRICS_FILE_SUFFIX = /^(\.json|_current\.json|_storage\.json|_\d{4}-\d{2}-\d{2}\.json|_series\.ndjson(\.imported)?)$/;
+
+function erasureError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+class UserErasure {
+    constructor({ usersPath = '/opt/n8n/users', metricsPath = '/opt/n8n/monitoring/metrics' } = {}) {
+        this.usersPath = usersPath;
+        this.metricsPath = metricsPath;
+        this.proxyUrl = (process.env.PROXY_API_URL || '').replace(/\/+$/, '');
+        this.proxyApiKey = process.env.PROXY_API_KEY || '';
+        this.running = new Map();
+    }
+
+    static get steps() {
+        return Object.keys(STEPS);
+    }
+
+    // Resume the jobs a restart interrupted
+    async start() {
+        for (const job of await repository.listErasureJobs('running')) {
+            this.run(job.userId);
+        }
+    }
+
+    // Start erasing a user, or retry a failed job from the step that failed. Running and
+    // completed jobs are returned as they are, unless the user was created again after a
+    // completed job, which then starts over. Returns { job, started }.
+    async request(userId, requestedBy) {
+        const user = await repository.getUser(userId);
+        let existing = await repository.getErasureJob(userId);
+        if (existing && existing.status === 'completed' && user) {
+            existing = null;
+        }
+        if (existing && existing.status !== 'failed') {
+            return { job: existing, started: false };
+        }
+        if (!existing && !user) {
+            throw erasureError('User not found', 404);
+        }
+        // Stops the user logging in while the job runs; any status but active is refused
+        if (user && user.status !== 'erasing') {
+            await repository.updateUser(userId, { status: 'erasing' });
+        }
+
+        const now = new Date().toISOString();
+        const job = await repository.saveErasureJob({
+            userId,
+            email: existing ? existing.email : user.email,
+            status: 'running',
+            steps: existing
+                ? existing.steps.map(step => (step.status === 'failed' ? { name: step.name, status: 'pending' } : step))
+                : UserErasure.steps.map(name => ({ name, status: 'pending' })),
+            requestedBy,
+            createdAt: existing ? existing.createdAt : now
+        });
+        this.run(userId);
+        return { job, started: true };
+    }
+
+    // One run per user at a time
+    run(userId) {
+        if (!this.running.has(userId)) {
+            this.running.set(userId, this.process(userId)
+                .catch(error => console.error(`Error erasing user ${userId}:`, error))
+                .finally(() => this.running.delete(userId)));
+        }
+        return this.running.get(userId);
+    }
+
+    // Run the steps that have not finished, saving the job after each one; stops at the first failure
+    async process(userId) {
+        const job = await repository.getErasureJob(userId);
+        for (const step of job.steps) {
+            if (step.status === 'done' || step.status === 'skipped') continue;
+            try {
+                const { status = 'done', detail = null } = await this[STEPS[step.name]](job);
+                Object.assign(step, { status, detail, finishedAt: new Date().toISOString() });
+            } catch (error) {
+                Object.assign(step, { status: 'failed', detail: error.message, finishedAt: new Date().toISOString() });
+                return repository.saveErasureJob({ ...job, status: 'failed', lastError: `${step.name}: ${error.message}` });
+            }
+            await repository.saveErasureJob(job);
+        }
+
+        // The email was only kept to find the user's n8n account and proxy sessions
+        const completed = await repository.saveErasureJob({
+            ...job,
+            email: null,
+            status: 'completed',
+            lastError: null,
+            completedAt: new Date().toISOString()
+        });
+        await repository.recordAuditEvent({
+            actor: job.requestedBy,
+            action: 'user.erased',
+            target: userId,
+            ip: null,
+            details: { steps: Object.fromEntries(job.steps.map(step => [step.name, step.status])) }
+        });
+        return completed;
+    }
+
+    // Deleting the account through the n8n public API also deletes the workflows, credentials and
+    // executions of its personal project. Needs N8N_API_URL and an owner's N8N_API_KEY.
+    async eraseN8nAccount(job) {
+        if (!n8n.configured) {
+            return { status: 'skipped', detail: 'N8N_API_URL and N8N_API_KEY are not set' };
+        }
+        const account = await n8n.findUser(job.email);
+        if (!account) {
+            return { detail: 'No n8n account' };
+        }
+        await n8n.deleteUser(account.id);
+        return { detail: `Deleted n8n account ${account.id}` };
+    }
+
+    // The example proxy revokes the user's sessions and drops its directory record and execution cache
+    async eraseProxySessions(job) {
+        if (!this.proxyUrl || !this.proxyApiKey) {
+            return { status: 'skipped', detail: 'PROXY_API_URL and PROXY_API_KEY are not set' };
+        }
+        const response = await n8n.requestJson(`${this.proxyUrl}/api/internal/users/${encodeURIComponent(job.email)}`, 'DELETE', {
+            'X-API-Key': this.proxyApiKey
+        });
+        if (response.status !== 200) {
+            throw new Error(`Proxy responded with ${response.status}`);
+        }
+        return { detail: `Revoked ${response.body?.revoked ?? 0} proxy sessions` };
+    }
+
+    async eraseApiTokens(job) {
+        await tokenStore.revokeUser(job.userId);
+        return {};
+    }
+
+    // Removed before the user record, or the next start would import the user again from user-config.json
+    async eraseUserFiles(job) {
+        await fs.rm(path.join(this.usersPath, job.userId), { recursive: true, force: true });
+        return {};
+    }
+
+    async eraseMetrics(job) {
+        let files = [];
+        try {
+            files = (await fs.readdir(this.metricsPath))
+                .filter(file => file.startsWith(job.userId) && METRICS_FILE_SUFFIX.test(file.slice(job.userId.length)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        for (const file of files) {
+            await fs.rm(path.join(this.metricsPath, file), { force: true });
+        }
+        const snapshots = await repository.deleteMetricSnapshots(job.userId);
+        return { detail: `Removed ${files.length} metrics files and ${snapshots} snapshots` };
+    }
+
+    // Also removes the user's config and usage report runs, and the email and IP address from stored
+    // webhook payloads. Only the user ID is sent on, and the job's own user.erased entry is the audit record
+    async eraseUserRecord(job) {
+        const redacted = await repository.redactUserDeliveries(job.userId);
+        const user = await repository.getUser(job.userId);
+        if (!user) {
+            return { detail: `Already removed, ${redacted} webhook payloads redacted` };
+        }
+        await repository.deleteUser(job.userId);
+        await webhooks.emit('user.deleted', { userId: job.userId });
+        return { detail: `${redacted} webhook payloads redacted` };
+    }
+}
+
+module.exports = new UserErasure();
+EOF
+
+    cat > /opt/n8n/api/endpoints/user-data.js << 'EOF'
+// User Data API
+// Personal data exports as a .tar.gz archive, and erasure jobs that remove a user everywhere
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const repository = require('../lib/repository');
+const erasure = require('../lib/user-erasure');
+const n8n = require('../lib/n8n-api');
+const authMiddleware = require('../middleware/auth');
+const logging = require('../middleware/logging');
+const MetricsStore = require('../lib/metrics-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The execution tracker's daily files are kept for 400 days
+const EXECUTION_HISTORY_MS = 400 * DAY_MS;
+const REDACTED = '[REDACTED]';
+const SECRET_KEY = /pass(word)?|secret|token|api[-_]?key|authorization|private[-_]?key/i;
+
+// Replace node credentials and string values under secret-looking keys; credential types are kept
+function redact(value, key = '') {
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+    if (value && typeof value === 'object') {
+        if (key === 'credentials') {
+            return Object.fromEntries(Object.keys(value).map(type => [type, REDACTED]));
+        }
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    return typeof value === 'string' && SECRET_KEY.test(key) ? REDACTED : value;
+}
+
+// 512-byte ustar header for a regular file; names are kept under 100 bytes by the caller
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(512);
+    const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtime / 1000), 12), 136);
+    header.write(' '.repeat(8), 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+// Writes a gzipped tar archive to a stream one entry at a time, waiting for the stream to drain
+class TarWriter {
+    constructor(output, root) {
+        this.gzip = zlib.createGzip();
+        this.gzip.pipe(output);
+        this.root = root;
+        this.mtime = Date.now();
+        this.names = [];
+    }
+
+    async write(chunk) {
+        if (!this.gzip.write(chunk)) {
+            await new Promise(resolve => this.gzip.once('drain', resolve));
+        }
+    }
+
+    async add(name, content) {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        await this.begin(name, data.length);
+        await this.write(data);
+        await this.pad(data.length);
+    }
+
+    // Stream a file's contents as an entry
+    async addFile(name, file) {
+        const { size } = await fs.promises.stat(file);
+        await this.begin(name, size);
+        for await (const chunk of fs.createReadStream(file)) {
+            await this.write(chunk);
+        }
+        await this.pad(size);
+    }
+
+    async begin(name, size) {
+        this.names.push(name);
+        await this.write(tarHeader(`${this.root}/${name}`, size, this.mtime));
+    }
+
+    async pad(size) {
+        if (size % 512) {
+            await this.write(Buffer.alloc(512 - (size % 512)));
+        }
+    }
+
+    // Two empty blocks end the archive
+    async finish() {
+        await this.write(Buffer.alloc(1024));
+        await new Promise(resolve => this.gzip.end(resolve));
+    }
+}
+
+class UserDataAPI {
+    // metrics is the shared MetricsStore
+    constructor({ metrics }) {
+        this.metrics = metrics;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.post('/users/:userId/export', authMiddleware.requireOwnUser, this.exportUser.bind(this));
+        this.router.post('/users/:userId/erasure', authMiddleware.requireOwnUser, this.requestErasure.bind(this));
+        this.router.get('/users/:userId/erasure', authMiddleware.requireOwnUser, this.getErasure.bind(this));
+    }
+
+    // Archive of everything kept about the user: profile, config, metrics history, n8n workflows
+    // and seeded templates with credentials redacted, and execution summaries, described by manifest.json
+    async exportUser(req, res) {
+        let started = false;
+        let tmpDir = null;
+        try {
+            const userId = MetricsStore.validateUserId(req.params.userId);
+            const user = await repository.getUser(userId);
+            if (!user) {
+                return res.status(404).json({
+                    error: 'User not found'
+                });
+            }
+
+            // Written to a temporary file first, since a tar entry needs its size up front
+            tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'user-export-'));
+            const executionsFile = path.join(tmpDir, 'executions.jsonl');
+            const executions = await this.writeExecutions(userId, user, executionsFile);
+            // Fetched before the response starts, so an n8n failure is still reported as an error
+            const { workflows, source } = await this.fetchWorkflows(user);
+
+            await logging.audit(req, 'user.exported', userId, { details: { executions } });
+
+            const date = new Date().toISOString().split('T')[0];
+            const root = `${userId}-export-${date}`;
+            res.set('Content-Type', 'application/gzip');
+            res.set('Content-Disposition', `attachment; filename="${root}.tar.gz"`);
+            started = true;
+
+            const tar = new TarWriter(res, root);
+            const { passwordHash, quotas, settings, permissions, ...profile } = user;
+            await tar.add('profile.json', JSON.stringify(profile, null, 2));
+            await tar.add('config.json', JSON.stringify({ quotas, settings, permissions }, null, 2));
+
+            const snapshots = await repository.metricSnapshots(userId);
+            await tar.add('metrics/snapshots.jsonl', snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+            for (const [name, suffix] of [['current', '_current'], ['storage', '_storage']]) {
+                const data = await this.metrics.readJson(path.join(this.metrics.metricsPath, `${userId}${suffix}.json`));
+                if (data) {
+                    await tar.add(`metrics/${name}.json`, JSON.stringify(data, null, 2));
+                }
+            }
+
+            for (const workflow of workflows) {
+                await tar.add(`workflows/${workflow.id}.json`, JSON.stringify(redact(workflow), null, 2));
+            }
+            const templates = await this.readTemplates(userId);
+            for (const { file, workflow } of templates) {
+                await tar.add(`templates/${file}`, JSON.stringify(redact(workflow), null, 2));
+            }
+            await tar.addFile('executions.jsonl', executionsFile);
+
+            await tar.add('manifest.json', JSON.stringify({
+                userId,
+                exportedAt: new Date(tar.mtime).toISOString(),
+                files: [...tar.names, 'manifest.json'],
+                counts: { metricSnapshots: snapshots.length, workflows: workflows.length, templates: templates.length, executions },
+                workflowsSource: source,
+                redacted: 'Node credentials and values under password, secret, token and API key parameters'
+            }, null, 2));
+            await tar.finish();
+        } catch (error) {
+            if (!started) {
+                return logging.sendError(res, 'Error exporting user data:', error);
+            }
+            // Headers are already sent, so cut the response short rather than end it cleanly
+            if (!res.destroyed) {
+                console.error('Error exporting user data:', error);
+                res.destroy(error);
+            }
+        } finally {
+            if (tmpDir) {
+                await fs.promises.rm(tmpDir, { recursive: true, force: true });
+            }
+        }
+    }
+
+    // Execution summaries since the user was created, at most as far back as the daily files go; returns the count
+    async writeExecutions(userId, user, file) {
+        const to = Date.now();
+        const from = Math.max(new Date(user.createdAt).getTime() || 0, to - EXECUTION_HISTORY_MS);
+        const output = fs.createWriteStream(file);
+        let count = 0;
+        try {
+            for await (const execution of this.metrics.executions(userId, from, to)) {
+                const line = JSON.stringify({
+                    executionId: execution.executionId,
+                    workflowId: execution.workflowId,
+                    status: execution.status,
+                    durationMs: execution.duration,
+                    timestamp: execution.timestamp
+                });
+                if (!output.write(`${line}\n`)) {
+                    await new Promise(resolve => output.once('drain', resolve));
+                }
+                count++;
+            }
+        } finally {
+            await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+        }
+        return count;
+    }
+
+    // The workflows of the user's n8n account; without the n8n API settings none are exported
+    // and the manifest says why
+    async fetchWorkflows(user) {
+        if (!n8n.configured) {
+            return { workflows: [], source: 'skipped: N8N_API_URL and N8N_API_KEY are not set' };
+        }
+        const account = await n8n.findUser(user.email);
+        if (!account) {
+            return { workflows: [], source: 'n8n: no account' };
         }
+        return { workflows: await n8n.userWorkflows(account.id), source: `n8n: account ${account.id}` };
     }
 
-    async getMonthlyReport(req, res) {
+    // Seeded template files in the user's directory; files that do not parse are left out
+    async readTemplates(userId) {
+        const dir = path.join(this.metrics.usersPath, userId, 'workflows');
+        let files = [];
         try {
-            const { userId } = req.params;
-            const { month = new Date().toISOString().slice(0, 7) } = req.query;
-            
-            const reportPath = path.join(this.reportsPath, `${userId}_monthly_${month}.json`);
-            
+            files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const workflows = [];
+        for (const file of files) {
             try {
-                const reportData = await fs.readFile(reportPath, 'utf8');
-                const report = JSON.parse(reportData);
-                
-                res.json(report);
+                const workflow = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+                // Keeps the archive path within a tar header's 100-byte name
+                workflows.push({ file: file.length > 64 ? `${file.slice(0, 59)}.json` : file, workflow });
             } catch (error) {
-                res.status(404).json({
-                    error: 'Monthly report not found'
-                });
+                console.error(`Skipping unreadable template ${file} in the export of ${userId}:`, error.message);
             }
-            
-        } catch (error) {
-            console.error('Error getting monthly report:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
         }
+        return workflows;
     }
 
-    async getSystemOverview(req, res) {
+    // { confirm: userId } starts erasing the user, or retries a failed erasure from the step that
+    // failed. 202 while the job runs, 200 once the user has been erased.
+    async requestErasure(req, res) {
         try {
-            const { period = '7d' } = req.query;
-            
-            // Get aggregated system overview
-            const overview = {
-                totalUsers: await this.getTotalUserCount(),
-                activeUsers: await this.getActiveUserCount(),
-                totalExecutions: await this.getTotalExecutions(period),
-                averageExecutionTime: await this.getAverageExecutionTime(period),
-                storageUsage: await this.getTotalStorageUsage(),
-                systemHealth: await this.getSystemHealth()
-            };
-            
-            res.json(overview);
-            
+            const { userId } = req.params;
+            if ((req.body || {}).confirm !== userId) {
+                return res.status(400).json({
+                    error: 'Set confirm to the user ID to erase the user'
+                });
+            }
+            const { job, started } = await erasure.request(userId, logging.actor(req));
+            if (started) {
+                await logging.audit(req, 'user.erasure_requested', userId, {
+                    details: { resumed: job.steps.some(step => step.status !== 'pending') }
+                });
+            }
+            res.status(job.status === 'completed' ? 200 : 202).json({ job });
         } catch (error) {
-            console.error('Error getting system overview:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error requesting user erasure:', error);
         }
     }
 
-    async getUsageTrends(req, res) {
+    async getErasure(req, res) {
         try {
-            const { period = '30d', metric = 'executions' } = req.query;
-            
-            // This would analyze trends in usage metrics
-            const trends = await this.calculateUsageTrends(metric, period);
-            
-            res.json({
-                metric,
-                period,
-                trends
-            });
-            
+            const job = await repository.getErasureJob(req.params.userId);
+            if (!job) {
+                return res.status(404).json({
+                    error: 'No erasure requested for this user'
+                });
+            }
+            res.json({ job });
         } catch (error) {
-            console.error('Error getting usage trends:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+            logging.sendError(res, 'Error getting user erasure:', error);
         }
     }
 
-    async getPerformanceAnalytics(req, res) {
-        try {
-            const { userId } = req.query;
-            
-            const performance = {
-                averageExecutionTime: await this.getAverageExecutionTime('7d', userId),
-                successRate: await this.getSuccessRate('7d', userId),
-                resourceUtilization: await this.getResourceUtilization(userId),
-                bottlenecks: await this.identifyBottlenecks(userId)
-            };
-            
-            res.json(performance);
-            
-        } catch (error) {
-            console.error('Error getting performance analytics:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = UserDataAPI;
+EOF
+
+    log_pass "User data export and erasure created"
+}
+
+# Create metrics time series store
+create_metrics_store() {
+    log_info "Creating metrics store..."
+    
+    cat > /opt/n8n/api/lib/metrics-store.js << 'EOF'
+// Metrics Store
+// Time series of per-user metric snapshots with period aggregation, trends and bottlenecks.
+// Snapshots are kept in the user repository's database.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_UNITS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS, m: 30 * DAY_MS, y: 365 * DAY_MS };
+const COUNTERS = ['totalExecutions', 'successfulExecutions', 'failedExecutions', 'totalDuration'];
+const METRICS = {
+    executions: 'totalExecutions',
+    successful: 'successfulExecutions',
+    failures: 'failedExecutions',
+    duration: 'totalDuration',
+    storage: 'storageBytes'
+};
+const RETENTION_MS = 400 * DAY_MS;
+
+class MetricsStore {
+    constructor({
+        metricsPath = '/opt/n8n/monitoring/metrics',
+        usersPath = '/opt/n8n/users',
+        repository,
+        slowWorkflowMs = 60 * 1000,
+        failureRateThreshold = 0.2,
+        minExecutions = 5,
+        onSnapshot = null
+    } = {}) {
+        this.metricsPath = metricsPath;
+        this.usersPath = usersPath;
+        this.repository = repository;
+        this.slowWorkflowMs = slowWorkflowMs;
+        this.failureRateThreshold = failureRateThreshold;
+        this.minExecutions = minExecutions;
+        this.onSnapshot = onSnapshot;
+        this.lastPrune = 0;
+    }
+
+    // Period strings like 24h, 7d, 4w, 1m (30 days) or 1y in milliseconds
+    static periodMs(period) {
+        const match = /^(\d+)([hdwmy])$/.exec(period || '');
+        if (!match || Number(match[1]) === 0) {
+            throw Object.assign(new Error(`Invalid period: ${period}`), { status: 400 });
         }
+        return Number(match[1]) * PERIOD_UNITS[match[2]];
     }
 
-    async getBillingAnalytics(req, res) {
-        try {
-            const { userId, period = '1m' } = req.query;
-            
-            const billing = {
-                executionCount: await this.getExecutionCount(period, userId),
-                storageUsage: await this.getStorageUsage(userId),
-                computeTime: await this.getComputeTime(period, userId),
-                estimatedCost: await this.calculateCost(period, userId)
-            };
-            
-            res.json(billing);
-            
-        } catch (error) {
-            console.error('Error getting billing analytics:', error);
-            res.status(500).json({
-                error: 'Internal server error'
-            });
+    static validateUserId(userId) {
+        if (!/^[a-zA-Z0-9_]+$/.test(userId || '')) {
+            throw Object.assign(new Error('Invalid user ID'), { status: 400 });
         }
+        return userId;
     }
 
-    // Helper methods
-    async getHistoricalMetrics(userId, period) {
-        // Implementation would depend on how historical data is stored
-        return [];
+    // Least-squares slope of evenly spaced values, in value units per step
+    static slope(values) {
+        const n = values.length;
+        if (n < 2) return 0;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((a, b) => a + b, 0) / n;
+        let num = 0;
+        let den = 0;
+        values.forEach((y, x) => {
+            num += (x - meanX) * (y - meanY);
+            den += (x - meanX) ** 2;
+        });
+        return num / den;
     }
 
-    async getTotalUserCount() {
+    async readJson(file) {
         try {
-            const userDirs = await fs.readdir('/opt/n8n/users');
-            return userDirs.length;
+            return JSON.parse(await fs.readFile(file, 'utf8'));
         } catch (error) {
-            return 0;
+            return null;
         }
     }
 
-    async getActiveUserCount() {
+    async listUserIds() {
+        const ids = new Set(await this.repository.listUserIds());
         try {
-            const metricsFiles = await fs.readdir(this.metricsPath);
-            let activeCount = 0;
-            
-            for (const file of metricsFiles) {
-                if (file.endsWith('_current.json')) {
-                    try {
-                        const metricsData = await fs.readFile(
-                            path.join(this.metricsPath, file), 
-                            'utf8'
-                        );
-                        const metrics = JSON.parse(metricsData);
-                        
-                        const lastActivity = new Date(metrics.lastActivity);
-                        const daysSinceActivity = (Date.now() - lastActivity.getTime()) / (1000 * 60 * 60 * 24);
-                        
-                        if (daysSinceActivity <= 7) {
-                            activeCount++;
-                        }
-                    } catch (error) {
-                        // Skip invalid metrics files
-                    }
-                }
-            }
-            
-            return activeCount;
+            (await fs.readdir(this.metricsPath))
+                .filter(file => file.endsWith('_current.json'))
+                .forEach(file => ids.add(file.slice(0, -'_current.json'.length)));
         } catch (error) {
-            return 0;
+            // No metrics yet
         }
+        return [...ids].filter(id => /^[a-zA-Z0-9_]+$/.test(id));
     }
 
-    async getTotalExecutions(period) {
-        // Would aggregate execution counts from all users
-        return 0;
+    async directorySize(dir) {
+        let total = 0;
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return 0;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                total += await this.directorySize(entryPath);
+            } else if (entry.isFile()) {
+                total += (await fs.stat(entryPath)).size;
+            }
+        }
+        return total;
     }
 
-    async getAverageExecutionTime(period, userId = null) {
-        // Would calculate average execution time
-        return 0;
+    // Storage from the storage monitor's latest run, otherwise measured directly
+    async storageBytes(userId) {
+        const storage = await this.readJson(path.join(this.metricsPath, `${MetricsStore.validateUserId(userId)}_storage.json`));
+        if (Number.isFinite(storage?.storage?.totalBytes)) return storage.storage.totalBytes;
+        return this.directorySize(path.join(this.usersPath, userId));
     }
 
-    async getTotalStorageUsage() {
-        // Would calculate total storage usage across all users
-        return 0;
+    // Record the user's cumulative execution counters and current storage in the series.
+    // onSnapshot(userId, previous, entry) is called with the snapshot it follows, if any.
+    async snapshot(userId) {
+        const current = await this.readJson(path.join(this.metricsPath, `${MetricsStore.validateUserId(userId)}_current.json`)) || {};
+        const entry = { timestamp: new Date().toISOString() };
+        COUNTERS.forEach(counter => { entry[counter] = current[counter] || 0; });
+        entry.storageBytes = await this.storageBytes(userId);
+        const previous = this.onSnapshot ? await this.repository.latestMetricSnapshot(userId) : null;
+        await this.repository.addMetricSnapshot(userId, entry);
+        if (this.onSnapshot) await this.onSnapshot(userId, previous, entry);
+        return entry;
     }
 
-    async getSystemHealth() {
-        // Would check system health metrics
-        return 'healthy';
+    async snapshotAll() {
+        const userIds = await this.listUserIds();
+        for (const userId of userIds) {
+            try {
+                await this.snapshot(userId);
+            } catch (error) {
+                console.warn(`Failed to snapshot metrics for ${userId}:`, error.message);
+            }
+        }
+        // Drop snapshots older than the retention window
+        if (Date.now() - this.lastPrune > DAY_MS) {
+            this.lastPrune = Date.now();
+            await this.repository.pruneMetricSnapshots(Date.now() - RETENTION_MS)
+                .catch(error => console.warn('Failed to prune metrics:', error.message));
+        }
+        return userIds.length;
     }
 
-    async calculateUsageTrends(metric, period) {
-        // Would analyze trends in the specified metric
-        return {};
+    // Snapshots oldest first, optionally limited to [from, to] (ms timestamps)
+    async series(userId, from = 0, to = Infinity) {
+        return this.repository.metricSnapshots(MetricsStore.validateUserId(userId), from, to);
     }
 
-    async getSuccessRate(period, userId = null) {
-        // Would calculate workflow success rate
-        return 0;
+    // The latest snapshot taken at or before `at`, or null
+    async latestSnapshot(userId, at = Infinity) {
+        return this.repository.latestMetricSnapshot(MetricsStore.validateUserId(userId), at);
     }
 
-    async getResourceUtilization(userId = null) {
-        // Would get resource utilization metrics
-        return {};
+    // Counter increases between consecutive snapshots; a drop means the counters were reset
+    static increments(snapshots) {
+        const increments = [];
+        for (let i = 1; i < snapshots.length; i++) {
+            const increment = { timestamp: snapshots[i].timestamp, storageBytes: snapshots[i].storageBytes || 0 };
+            COUNTERS.forEach(counter => {
+                const previous = snapshots[i - 1][counter] || 0;
+                const current = snapshots[i][counter] || 0;
+                increment[counter] = current >= previous ? current - previous : current;
+            });
+            increments.push(increment);
+        }
+        return increments;
     }
 
-    async identifyBottlenecks(userId = null) {
-        // Would identify performance bottlenecks
-        return [];
+    // Increments within [from, to], measured from the last snapshot before from
+    async incrementsFor(userId, from, to) {
+        const baseline = await this.latestSnapshot(userId, from - 1);
+        const snapshots = await this.series(userId, from, to);
+        return MetricsStore.increments(baseline ? [baseline, ...snapshots] : snapshots);
     }
 
-    async getExecutionCount(period, userId = null) {
-        // Would count executions in period
-        return 0;
+    // Execution totals for users within [from, to], with the latest storage
+    async totals(userIds, from, to = Date.now()) {
+        const totals = { executions: 0, successful: 0, failed: 0, durationMs: 0, storageBytes: 0 };
+        for (const userId of userIds) {
+            for (const inc of await this.incrementsFor(userId, from, to)) {
+                totals.executions += inc.totalExecutions;
+                totals.successful += inc.successfulExecutions;
+                totals.failed += inc.failedExecutions;
+                totals.durationMs += inc.totalDuration;
+            }
+            const latest = await this.latestSnapshot(userId, to);
+            totals.storageBytes += latest ? latest.storageBytes || 0 : await this.storageBytes(userId);
+        }
+        totals.averageDurationMs = totals.executions ? Math.round(totals.durationMs / totals.executions) : 0;
+        totals.successRate = totals.executions ? Math.round((totals.successful / totals.executions) * 1000) / 10 : 0;
+        return totals;
     }
 
-    async getStorageUsage(userId = null) {
-        // Would get storage usage
-        return 0;
-    }
+    // Metric per bucket (e.g. executions per day) with a least-squares trend
+    async trend(userIds, metric, from, to = Date.now(), bucketMs = DAY_MS) {
+        const field = METRICS[metric];
+        if (!field) {
+            throw Object.assign(new Error(`Unknown metric: ${metric}`), { status: 400 });
+        }
+        const bucketCount = Math.max(1, Math.ceil((to - from) / bucketMs));
+        const values = Array(bucketCount).fill(0);
+        const gauges = userIds.map(() => Array(bucketCount).fill(null));
+
+        for (const [u, userId] of userIds.entries()) {
+            for (const inc of await this.incrementsFor(userId, from, to)) {
+                const bucket = Math.min(bucketCount - 1, Math.floor((new Date(inc.timestamp).getTime() - from) / bucketMs));
+                if (bucket < 0) continue;
+                // Storage is a gauge: use each user's last value in the bucket
+                if (field === 'storageBytes') gauges[u][bucket] = inc.storageBytes;
+                else values[bucket] += inc[field];
+            }
+        }
+        if (field === 'storageBytes') {
+            gauges.forEach(userValues => {
+                let last = 0;
+                userValues.forEach((value, bucket) => {
+                    if (value !== null) last = value;
+                    values[bucket] += last;
+                });
+            });
+        }
 
-    async getComputeTime(period, userId = null) {
-        // Would calculate compute time
-        return 0;
+        const slope = MetricsStore.slope(values);
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const relative = mean ? slope / mean : 0;
+        return {
+            bucketMs,
+            points: values.map((value, bucket) => ({ start: new Date(from + bucket * bucketMs).toISOString(), value })),
+            total: field === 'storageBytes' ? values[values.length - 1] : values.reduce((a, b) => a + b, 0),
+            slope: Math.round(slope * 1000) / 1000,
+            direction: Math.abs(relative) < 0.01 ? 'flat' : (relative > 0 ? 'up' : 'down'),
+            changePercent: values[0] ? Math.round(((values[values.length - 1] - values[0]) / values[0]) * 1000) / 10 : null
+        };
     }
 
-    async calculateCost(period, userId = null) {
-        // Would calculate estimated cost
-        return 0;
+    // Executions recorded by the execution tracker's daily files within [from, to], oldest
+    // first. Yields one entry at a time so exports never hold more than a day in memory.
+    async *executions(userId, from, to = Date.now()) {
+        for (let day = new Date(new Date(from).toISOString().split('T')[0]).getTime(); day <= to; day += DAY_MS) {
+            const date = new Date(day).toISOString().split('T')[0];
+            const daily = await this.readJson(path.join(this.metricsPath, `${MetricsStore.validateUserId(userId)}_${date}.json`));
+            for (const execution of daily?.executions || []) {
+                const time = new Date(execution.timestamp).getTime();
+                if (time >= from && time <= to) yield execution;
+            }
+        }
     }
 
-    getWeekStart() {
-        const now = new Date();
-        const dayOfWeek = now.getDay();
-        const diff = now.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1);
-        const monday = new Date(now.setDate(diff));
-        return monday.toISOString().split('T')[0];
+    // Per-day (UTC) execution totals within [from, to] from the snapshot increments, with the
+    // storage at the end of each day. Every day in the range is included, even without data.
+    async daily(userId, from, to = Date.now()) {
+        const days = new Map();
+        for (let day = new Date(new Date(from).toISOString().split('T')[0]).getTime(); day <= to; day += DAY_MS) {
+            const date = new Date(day).toISOString().split('T')[0];
+            days.set(date, { date, executions: 0, successful: 0, failed: 0, durationMs: 0, storageBytes: null });
+        }
+        for (const inc of await this.incrementsFor(userId, from, to)) {
+            const day = days.get(inc.timestamp.split('T')[0]);
+            if (!day) continue;
+            day.executions += inc.totalExecutions;
+            day.successful += inc.successfulExecutions;
+            day.failed += inc.failedExecutions;
+            day.durationMs += inc.totalDuration;
+            day.storageBytes = inc.storageBytes;
+        }
+        // Storage is a gauge: days without a snapshot keep the previous day's value
+        let storageBytes = (await this.latestSnapshot(userId, from - 1))?.storageBytes || 0;
+        return [...days.values()].map(day => {
+            storageBytes = day.storageBytes ?? storageBytes;
+            return { ...day, storageBytes };
+        });
     }
 
-    requireAdmin(req, res, next) {
-        if (!req.user || req.user.role !== 'admin') {
-            return res.status(403).json({
-                error: 'Admin privileges required'
-            });
+    // Per-workflow stats from the execution tracker's daily files within [from, to]
+    async workflowStats(userId, from, to = Date.now()) {
+        const stats = new Map();
+        for await (const execution of this.executions(userId, from, to)) {
+            const workflowId = execution.workflowId || 'unknown';
+            const s = stats.get(workflowId) || { workflowId, executions: 0, failed: 0, totalDuration: 0, maxDuration: 0 };
+            s.executions++;
+            if (['failed', 'error'].includes(execution.status)) s.failed++;
+            s.totalDuration += execution.duration || 0;
+            s.maxDuration = Math.max(s.maxDuration, execution.duration || 0);
+            stats.set(workflowId, s);
         }
-        return next();
+        return [...stats.values()].map(s => ({
+            ...s,
+            averageDuration: Math.round(s.totalDuration / s.executions),
+            failureRate: Math.round((s.failed / s.executions) * 1000) / 1000
+        }));
     }
 
-    getRouter() {
-        return this.router;
+    // Slow workflows and workflows that fail often, worst first
+    async bottlenecks(userIds, from, to = Date.now()) {
+        const bottlenecks = [];
+        for (const userId of userIds) {
+            for (const s of await this.workflowStats(userId, from, to)) {
+                if (s.averageDuration >= this.slowWorkflowMs) {
+                    bottlenecks.push({
+                        type: 'slow_workflow',
+                        userId,
+                        workflowId: s.workflowId,
+                        executions: s.executions,
+                        averageDuration: s.averageDuration,
+                        maxDuration: s.maxDuration,
+                        severity: s.averageDuration / this.slowWorkflowMs
+                    });
+                }
+                if (s.executions >= this.minExecutions && s.failureRate >= this.failureRateThreshold) {
+                    bottlenecks.push({
+                        type: 'high_failure_rate',
+                        userId,
+                        workflowId: s.workflowId,
+                        executions: s.executions,
+                        failed: s.failed,
+                        failureRate: s.failureRate,
+                        severity: s.failureRate / this.failureRateThreshold
+                    });
+                }
+            }
+        }
+        return bottlenecks
+            .sort((a, b) => b.severity - a.severity)
+            .map(b => ({ ...b, severity: Math.round(b.severity * 100) / 100 }));
     }
 }
 
-module.exports = AnalyticsAPI;
+module.exports = MetricsStore;
 EOF
 
-    log_pass "Analytics API created"
+    log_pass "Metrics store created"
 }
 
 # Create API middleware
@@ -1206,6 +4984,9 @@ create_api_middleware() {
 const jwt = require('jsonwebtoken');
 const fs = require('fs').promises;
 const path = require('path');
+const tokenStore = require('../lib/token-store');
+const apiKeyStore = require('../lib/api-key-store');
+const logging = require('./logging');
 
 class AuthMiddleware {
     constructor() {
@@ -1213,8 +4994,8 @@ class AuthMiddleware {
         this.usersPath = '/opt/n8n/users';
     }
 
-    // Middleware to verify JWT token
-    verifyToken(req, res, next) {
+    // Middleware to verify JWT token, rejecting revoked tokens
+    async verifyToken(req, res, next) {
         const token = req.headers.authorization?.replace('Bearer ', '');
         
         if (!token) {
@@ -1223,15 +5004,16 @@ class AuthMiddleware {
             });
         }
         
+        let decoded;
         try {
-            const decoded = jwt.verify(token, this.jwtSecret);
-            req.user = decoded;
-            next();
+            decoded = await tokenStore.verifyAccessToken(token);
         } catch (error) {
             return res.status(401).json({
-                error: 'Invalid token.'
+                error: error.status ? `${error.message}.` : 'Invalid token.'
             });
         }
+        req.user = decoded;
+        next();
     }
 
     // Middleware to check user permissions
@@ -1272,8 +5054,28 @@ class AuthMiddleware {
         };
     }
 
+    // Middleware to allow admins only. API keys were already checked for the route's scope by
+    // verifyApiKey, so they pass here and in requireOwnUser.
+    requireAdmin(req, res, next) {
+        if (req.apiKey) {
+            return next();
+        }
+        
+        if (!req.user || req.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Admin privileges required'
+            });
+        }
+        
+        next();
+    }
+
     // Middleware to ensure user can only access their own data
     requireOwnUser(req, res, next) {
+        if (req.apiKey) {
+            return next();
+        }
+        
         if (!req.user) {
             return res.status(401).json({
                 error: 'Authentication required'
@@ -1298,7 +5100,7 @@ class AuthMiddleware {
     }
 
     // API key authentication (for server-to-server communication)
-    verifyApiKey(req, res, next) {
+    async verifyApiKey(req, res, next) {
         const apiKey = req.headers['x-api-key'];
         
         if (!apiKey) {
@@ -1307,90 +5109,113 @@ class AuthMiddleware {
             });
         }
         
-        // Load API key configuration
-        const configPath = '/opt/n8n/user-configs/api-auth.json';
-        
+        let keyRecord;
         try {
-            const configData = require(configPath);
-            const validKeys = configData.apiAuthentication.methods.apiKey.keys;
-            
-            const keyFound = Object.values(validKeys).includes(apiKey);
-            
-            if (!keyFound) {
-                return res.status(401).json({
-                    error: 'Invalid API key'
-                });
-            }
-            
-            // Set API context
-            req.apiAuth = true;
-            next();
-            
+            keyRecord = await apiKeyStore.verify(apiKey);
         } catch (error) {
+            console.error('Error verifying API key:', error);
             return res.status(500).json({
                 error: 'API authentication configuration error'
             });
         }
-    }
-
-    // Rate limiting middleware
-    rateLimit(windowMs = 15 * 60 * 1000, maxRequests = 100) {
-        const requests = new Map();
         
-        return (req, res, next) => {
-            const clientId = req.ip || req.connection.remoteAddress;
-            const now = Date.now();
-            
-            // Clean up old entries
-            for (const [id, data] of requests.entries()) {
-                if (now - data.resetTime > windowMs) {
-                    requests.delete(id);
-                }
-            }
-            
-            // Get or create client entry
-            let clientData = requests.get(clientId);
-            if (!clientData || now - clientData.resetTime > windowMs) {
-                clientData = {
-                    count: 0,
-                    resetTime: now
-                };
-                requests.set(clientId, clientData);
-            }
-            
-            // Check rate limit
-            if (clientData.count >= maxRequests) {
-                return res.status(429).json({
-                    error: 'Too many requests',
-                    retryAfter: Math.ceil((windowMs - (now - clientData.resetTime)) / 1000)
-                });
-            }
-            
-            // Increment count
-            clientData.count++;
-            
-            // Set rate limit headers
-            res.set({
-                'X-RateLimit-Limit': maxRequests,
-                'X-RateLimit-Remaining': maxRequests - clientData.count,
-                'X-RateLimit-Reset': new Date(clientData.resetTime + windowMs).toISOString()
+        if (!keyRecord) {
+            return res.status(401).json({
+                error: 'Invalid API key'
             });
-            
-            next();
-        };
+        }
+        
+        // Set API context
+        req.apiAuth = true;
+        req.apiKey = { id: keyRecord.id, name: keyRecord.name, scopes: keyRecord.scopes };
+        
+        const scope = AuthMiddleware.requiredScope(req);
+        const request = { method: req.method, path: req.originalUrl, scope };
+        if (!keyRecord.scopes.includes(scope)) {
+            await logging.audit(req, 'api_key.denied', keyRecord.id, { details: request });
+            return res.status(403).json({
+                error: `API key lacks the ${scope} scope`
+            });
+        }
+        
+        await logging.audit(req, 'api_key.used', keyRecord.id, { details: request });
+        next();
+    }
+
+    // Scope an internal request needs: metrics reads, other reads or writes
+    static requiredScope(req) {
+        if (req.method !== 'GET') return 'users:write';
+        return /\/metrics\/?$/.test(req.path) ? 'metrics:read' : 'users:read';
     }
 }
 
 module.exports = new AuthMiddleware();
+EOF
+
+    # Rate limiting middleware
+    cat > /opt/n8n/api/middleware/rate-limit.js << 'EOF'
+// Rate Limiting Middleware
+// Per-route rate limit policies and the failed-login lockout
+
+const { createRateLimitStore, RateLimiter, LoginLockout } = require('../lib/rate-limit');
+
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+
+// Logins and token calls are limited per IP; authenticated calls per API key or user
+const POLICIES = {
+    login: { name: 'login', limit: 10, windowMs: FIFTEEN_MINUTES_MS },
+    auth: { name: 'auth', limit: 100, windowMs: FIFTEEN_MINUTES_MS },
+    api: {
+        name: 'api',
+        limit: parseInt(process.env.API_RATE_LIMIT_MAX_REQUESTS, 10) || 1000,
+        windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW, 10) || FIFTEEN_MINUTES_MS,
+        keyBy: ['apiKey', 'user', 'ip']
+    },
+    // Dashboards poll metrics, so reads get a burst-friendly bucket of their own
+    metrics: { name: 'metrics', algorithm: 'token-bucket', limit: 300, windowMs: 60 * 1000, keyBy: ['apiKey', 'user', 'ip'] }
+};
+
+const METRICS_PATH = /^\/(metrics|reports|analytics)\/|\/metrics\/?$/;
+
+class RateLimitMiddleware {
+    constructor() {
+        // Counters in memory (default) or in Redis, shared by every API instance
+        this.store = createRateLimitStore({
+            type: process.env.RATE_LIMIT_STORE || 'memory',
+            redisUrl: process.env.REDIS_URL
+        });
+        this.limiter = new RateLimiter({ store: this.store, prefix: 'n8n_api:ratelimit:' });
+        this.lockout = new LoginLockout({
+            store: this.store,
+            prefix: 'n8n_api:lockout:',
+            threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5
+        });
+
+        this.login = this.limiter.middleware(POLICIES.login);
+        this.auth = this.limiter.middleware(POLICIES.auth);
+        this.api = this.api.bind(this);
+    }
+
+    // Runs after authentication, so requests are keyed by API key or user
+    api(req, res, next) {
+        const policy = req.method === 'GET' && METRICS_PATH.test(req.path) ? POLICIES.metrics : POLICIES.api;
+        this.limiter.check(policy, req, res)
+            .then(allowed => allowed && next())
+            .catch(next);
+    }
+}
+
+module.exports = new RateLimitMiddleware();
 EOF
 
     # Request logging middleware
     cat > /opt/n8n/api/middleware/logging.js << 'EOF'
 // Request Logging Middleware
-// Logs API requests for monitoring and debugging
+// Logs API requests for monitoring and debugging, and records audit events
 
 const fs = require('fs');
 const path = require('path');
+const repository = require('../lib/repository');
 
 class LoggingMiddleware {
     constructor() {
@@ -1414,8 +5239,7 @@ class LoggingMiddleware {
             method: req.method,
             url: req.url,
             ip: req.ip || req.connection.remoteAddress,
-            userAgent: req.get('User-Agent'),
-            userId: req.user?.userId || 'anonymous'
+            userAgent: req.get('User-Agent')
         };
         
         // Override res.end to capture response details
@@ -1423,28 +5247,69 @@ class LoggingMiddleware {
         res.end = function(chunk, encoding) {
             const duration = Date.now() - startTime;
             
+            // Authentication has run by now, so the caller is known
             const responseLog = {
                 ...requestLog,
+                userId: req.user?.userId || (req.apiKey ? `api-key:${req.apiKey.name}` : 'anonymous'),
                 statusCode: res.statusCode,
                 duration,
                 responseSize: res.get('Content-Length') || 0
             };
             
-            // Write to daily log file
+            // Write to daily log file without blocking the response
             const logFile = path.join(
                 '/opt/n8n/api/logs',
                 `api-${new Date().toISOString().split('T')[0]}.log`
             );
             
-            fs.appendFileSync(logFile, JSON.stringify(responseLog) + '\n');
+            fs.promises.appendFile(logFile, JSON.stringify(responseLog) + '\n')
+                .catch(error => console.error('Error writing request log:', error.message));
             
             // Call original end
-            originalEnd.call(this, chunk, encoding);
+            return originalEnd.call(this, chunk, encoding);
         };
         
         next();
     }
 
+    // The caller of a request as recorded in the audit log: user ID or api-key:{name}
+    actor(req) {
+        return req.user?.userId || (req.apiKey ? `api-key:${req.apiKey.name}` : null);
+    }
+
+    // Record an audit event for a request: the caller is the actor.
+    // changes: { before, after, details, actor }; actor overrides the caller, e.g. for logins.
+    async audit(req, action, target, changes = {}) {
+        const { actor = this.actor(req), before, after, details } = changes;
+        try {
+            await repository.recordAuditEvent({
+                actor,
+                action,
+                target,
+                ip: req.ip || req.connection?.remoteAddress || null,
+                before,
+                after,
+                details
+            });
+        } catch (error) {
+            console.error('Error recording audit event:', error);
+        }
+    }
+
+    // Route error response: errors with a status (invalid input, failed upstream calls) are
+    // reported to the caller, anything else is logged with the message and answered with a 500
+    sendError(res, message, error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message
+            });
+        }
+        console.error(message, error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+
     // Error logging middleware
     logErrors(err, req, res, next) {
         const errorLog = {
@@ -1477,6 +5342,84 @@ class LoggingMiddleware {
 }
 
 module.exports = new LoggingMiddleware();
+EOF
+
+    # Prometheus metrics middleware
+    cat > /opt/n8n/api/middleware/metrics.js << 'EOF'
+// Metrics Middleware
+// Prometheus and OpenMetrics export of request, user and webhook metrics at GET /metrics
+
+const { Registry } = require('../lib/prometheus');
+const repository = require('../lib/repository');
+
+class MetricsMiddleware {
+    constructor() {
+        // Per-user series count towards the limit, so it bounds the number of users exported
+        this.registry = new Registry({
+            prefix: 'n8n_user_api_',
+            maxSeries: parseInt(process.env.METRICS_MAX_SERIES, 10) || 1000
+        });
+
+        this.users = this.registry.gauge({
+            name: 'n8n_user_api_users',
+            help: 'Users by status and role',
+            labelNames: ['status', 'role']
+        });
+        this.userExecutions = this.registry.gauge({
+            name: 'n8n_user_api_user_executions',
+            help: 'Executions reported by n8n in the user\'s latest metrics snapshot',
+            labelNames: ['user', 'status']
+        });
+        this.userSuccessRatio = this.registry.gauge({
+            name: 'n8n_user_api_user_execution_success_ratio',
+            help: 'Share of the user\'s executions that succeeded, from 0 to 1',
+            labelNames: ['user']
+        });
+        this.userStorage = this.registry.gauge({
+            name: 'n8n_user_api_user_storage_bytes',
+            help: 'Storage used by the user in bytes',
+            labelNames: ['user']
+        });
+        this.webhookDeliveries = this.registry.gauge({
+            name: 'n8n_user_api_webhook_deliveries',
+            help: 'Webhook deliveries by status; dead deliveries are the dead-letter queue',
+            labelNames: ['status']
+        });
+        this.registry.collect(this.collect.bind(this));
+
+        this.requests = this.registry.httpMetrics();
+        this.handler = this.registry.handler({ token: process.env.METRICS_TOKEN });
+    }
+
+    // Refresh the gauges from the database before each scrape
+    async collect() {
+        this.users.reset();
+        for (const { status, role, count } of await repository.countUsersByStatusAndRole()) {
+            this.users.set({ status, role }, count);
+        }
+
+        this.userExecutions.reset();
+        this.userSuccessRatio.reset();
+        this.userStorage.reset();
+        for (const snapshot of await repository.latestMetricSnapshots()) {
+            const user = snapshot.userId;
+            this.userExecutions.set({ user, status: 'success' }, snapshot.successfulExecutions);
+            this.userExecutions.set({ user, status: 'error' }, snapshot.failedExecutions);
+            this.userExecutions.set({ user, status: 'total' }, snapshot.totalExecutions);
+            if (snapshot.totalExecutions) {
+                this.userSuccessRatio.set({ user }, snapshot.successfulExecutions / snapshot.totalExecutions);
+            }
+            this.userStorage.set({ user }, snapshot.storageBytes);
+        }
+
+        ['pending', 'delivered', 'dead'].forEach(status => this.webhookDeliveries.set({ status }, 0));
+        for (const { status, count } of await repository.countDeliveriesByStatus()) {
+            this.webhookDeliveries.set({ status }, count);
+        }
+    }
+}
+
+module.exports = new MetricsMiddleware();
 EOF
 
     log_pass "API middleware created"
@@ -1498,10 +5441,21 @@ const compression = require('compression');
 // Import API endpoints
 const UserProvisioningAPI = require('./endpoints/user-provisioning');
 const AnalyticsAPI = require('./endpoints/analytics');
+const ApiKeysAPI = require('./endpoints/api-keys');
+const AuditAPI = require('./endpoints/audit');
+const WebhooksAPI = require('./endpoints/webhooks');
+const UsageExportAPI = require('./endpoints/usage-export');
+const UserDataAPI = require('./endpoints/user-data');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
 const loggingMiddleware = require('./middleware/logging');
+const rateLimitMiddleware = require('./middleware/rate-limit');
+const metricsMiddleware = require('./middleware/metrics');
+const repository = require('./lib/repository');
+const webhooks = require('./lib/webhooks');
+const UsageReports = require('./lib/usage-reports');
+const erasure = require('./lib/user-erasure');
 
 class UserManagementServer {
     constructor() {
@@ -1513,6 +5467,9 @@ class UserManagementServer {
     }
 
     setupMiddleware() {
+        // Request duration per route, first so the whole request is timed
+        this.app.use(metricsMiddleware.requests);
+
         // Security middleware
         this.app.use(helmet());
         
@@ -1533,9 +5490,6 @@ class UserManagementServer {
         
         // Request logging
         this.app.use(loggingMiddleware.logRequests);
-        
-        // Rate limiting for API
-        this.app.use('/api/', authMiddleware.rateLimit(15 * 60 * 1000, 100));
     }
 
     setupRoutes() {
@@ -1548,6 +5502,9 @@ class UserManagementServer {
             });
         });
 
+        // Prometheus/OpenMetrics scrape endpoint; without METRICS_TOKEN only the local host may scrape
+        this.app.get('/metrics', metricsMiddleware.handler);
+
         // API documentation
         this.app.get('/api/docs', (req, res) => {
             res.json({
@@ -1560,7 +5517,12 @@ class UserManagementServer {
                         'GET /api/users': 'List all users',
                         'GET /api/users/:userId': 'Get specific user',
                         'PUT /api/users/:userId': 'Update user',
-                        'DELETE /api/users/:userId': 'Delete user'
+                        'DELETE /api/users/:userId': 'Delete user (starts an erasure job)'
+                    },
+                    userData: {
+                        'POST /api/users/:userId/export': 'Download the user\'s data as a .tar.gz archive',
+                        'POST /api/users/:userId/erasure': 'Erase the user everywhere',
+                        'GET /api/users/:userId/erasure': 'Get the status of the user\'s erasure'
                     },
                     auth: {
                         'POST /api/auth/login': 'User login',
@@ -1573,7 +5535,34 @@ class UserManagementServer {
                         'GET /api/metrics/users/:userId': 'Get user metrics',
                         'GET /api/metrics/system': 'Get system metrics',
                         'GET /api/reports/users/:userId/daily': 'Get daily report',
+                        'GET /api/reports/users/:userId/monthly': 'Get monthly report (format=json, html or pdf)',
                         'GET /api/analytics/usage-trends': 'Get usage trends'
+                    },
+                    apiKeys: {
+                        'GET /api/api-keys': 'List API keys',
+                        'POST /api/api-keys': 'Create API key',
+                        'POST /api/api-keys/:keyId/rotate': 'Rotate API key',
+                        'DELETE /api/api-keys/:keyId': 'Revoke API key'
+                    },
+                    audit: {
+                        'GET /api/audit': 'Query or export audit events',
+                        'GET /api/audit/verify': 'Verify the audit hash chain'
+                    },
+                    webhooks: {
+                        'GET /api/webhooks': 'List webhooks',
+                        'POST /api/webhooks': 'Create webhook',
+                        'GET /api/webhooks/:webhookId': 'Get webhook',
+                        'PUT /api/webhooks/:webhookId': 'Update webhook',
+                        'DELETE /api/webhooks/:webhookId': 'Delete webhook',
+                        'GET /api/webhooks/:webhookId/deliveries': 'List a webhook\'s deliveries',
+                        'GET /api/webhooks/deliveries': 'List deliveries (status=dead for the dead-letter queue)',
+                        'POST /api/webhooks/deliveries/:deliveryId/retry': 'Retry a delivery'
+                    },
+                    usageExports: {
+                        'GET /api/exports/usage/executions': 'Export per-execution usage as CSV or JSONL',
+                        'GET /api/exports/usage/daily': 'Export per-day usage totals as CSV or JSONL',
+                        'GET /api/exports/usage/reports': 'List monthly usage report emails',
+                        'POST /api/exports/usage/reports/send': 'Send monthly usage report emails'
                     }
                 }
             });
@@ -1581,27 +5570,70 @@ class UserManagementServer {
 
         // User management routes (public endpoints for login)
         const userAPI = new UserProvisioningAPI();
+        // Data exports and erasure, sharing the analytics metrics store
+        const analyticsAPI = new AnalyticsAPI();
+        const userDataAPI = new UserDataAPI({ metrics: analyticsAPI.metrics });
         
-        // Public authentication endpoints
-        this.app.use('/api/auth', userAPI.getAuthRouter());
+        // Public authentication endpoints, rate limited per IP
+        this.app.post('/api/auth/login', rateLimitMiddleware.login);
+        this.app.use('/api/auth', rateLimitMiddleware.auth, userAPI.getAuthRouter());
+        
+        // Server-to-server API endpoints (API key authentication), ahead of the JWT-protected /api routes
+        this.app.use('/api/internal',
+            authMiddleware.verifyApiKey,
+            rateLimitMiddleware.api,
+            userAPI.getUserRouter(),
+            userDataAPI.getRouter()
+        );
         
         // Protected user management endpoints
         this.app.use('/api',
             authMiddleware.verifyToken.bind(authMiddleware),
-            userAPI.getUserRouter()
+            rateLimitMiddleware.api,
+            userAPI.getUserRouter(),
+            userDataAPI.getRouter()
         );
 
         // Analytics routes (require authentication)
-        const analyticsAPI = new AnalyticsAPI();
         this.app.use('/api',
             authMiddleware.verifyToken.bind(authMiddleware),
+            rateLimitMiddleware.api,
             analyticsAPI.getRouter()
         );
 
-        // Server-to-server API endpoints (API key authentication)
-        this.app.use('/api/internal',
-            authMiddleware.verifyApiKey,
-            userAPI.getUserRouter()
+        // Usage exports and monthly report emails, sharing the analytics metrics store
+        this.usageReports = new UsageReports({
+            summarize: (userId, month) => analyticsAPI.monthlySummary(userId, month)
+        });
+        const usageExportAPI = new UsageExportAPI({ metrics: analyticsAPI.metrics, reports: this.usageReports });
+        this.app.use('/api',
+            authMiddleware.verifyToken.bind(authMiddleware),
+            rateLimitMiddleware.api,
+            usageExportAPI.getRouter()
+        );
+
+        // API key management (admin only)
+        const apiKeysAPI = new ApiKeysAPI();
+        this.app.use('/api',
+            authMiddleware.verifyToken.bind(authMiddleware),
+            rateLimitMiddleware.api,
+            apiKeysAPI.getRouter()
+        );
+
+        // Audit log (admin only)
+        const auditAPI = new AuditAPI();
+        this.app.use('/api',
+            authMiddleware.verifyToken.bind(authMiddleware),
+            rateLimitMiddleware.api,
+            auditAPI.getRouter()
+        );
+
+        // Outbound webhooks (admin only)
+        const webhooksAPI = new WebhooksAPI();
+        this.app.use('/api',
+            authMiddleware.verifyToken.bind(authMiddleware),
+            rateLimitMiddleware.api,
+            webhooksAPI.getRouter()
         );
 
         // 404 handler
@@ -1622,7 +5654,23 @@ class UserManagementServer {
         process.on('SIGINT', this.gracefulShutdown.bind(this));
     }
 
-    start() {
+    // Move users and metric series stored as files before the database existed
+    async migrateLegacyData() {
+        const users = await repository.importUserDirectories('/opt/n8n/users');
+        if (users.imported || users.failed) {
+            console.log(`[${new Date().toISOString()}] [INFO] Imported ${users.imported} users into the database (${users.failed} failed)`);
+        }
+        const snapshots = await repository.importMetricSeries('/opt/n8n/monitoring/metrics');
+        if (snapshots) {
+            console.log(`[${new Date().toISOString()}] [INFO] Imported ${snapshots} metric snapshots into the database`);
+        }
+    }
+
+    async start() {
+        await this.migrateLegacyData();
+        webhooks.start();
+        this.usageReports.start();
+        await erasure.start();
         this.server = this.app.listen(this.port, () => {
             console.log(`[${new Date().toISOString()}] [INFO] n8n User Management API started on port ${this.port}`);
             console.log(`[${new Date().toISOString()}] [INFO] API documentation available at http://localhost:${this.port}/api/docs`);
@@ -1636,9 +5684,12 @@ class UserManagementServer {
 
     gracefulShutdown() {
         console.log(`[${new Date().toISOString()}] [INFO] Shutting down API server gracefully...`);
+        webhooks.stop();
+        this.usageReports.stop();
         
         if (this.server) {
             this.server.close(() => {
+                repository.close();
                 console.log(`[${new Date().toISOString()}] [INFO] API server shut down complete`);
                 process.exit(0);
             });
@@ -1651,7 +5702,10 @@ class UserManagementServer {
 // Start the server if this file is run directly
 if (require.main === module) {
     const server = new UserManagementServer();
-    server.start();
+    server.start().catch((error) => {
+        console.error(`[${new Date().toISOString()}] [ERROR] Failed to start API server:`, error);
+        process.exit(1);
+    });
 }
 
 module.exports = UserManagementServer;
@@ -1676,7 +5730,8 @@ EOF
     "compression": "^1.7.4",
     "bcrypt": "^5.1.0",
     "jsonwebtoken": "^9.0.1",
-    "uuid": "^9.0.0"
+    "uuid": "^9.0.0",
+    "better-sqlite3": "^11.3.0"
   },
   "devDependencies": {
     "nodemon": "^3.0.1",
@@ -1741,14 +5796,20 @@ The API uses JWT-based authentication. Include the JWT token in the Authorizatio
 Authorization: Bearer <jwt_token>
 ```
 
-For server-to-server communication, use API key authentication:
+Access tokens expire after 15 minutes. Use the refresh token from login to get a new pair; each refresh token works once. Presenting a used refresh token again revokes the whole session. Logging out, changing a user's password or status and erasing the user revoke their tokens.
+
+For server-to-server communication, use API key authentication on the `/api/internal` routes:
 
 ```
 X-API-Key: <api_key>
 ```
 
+See [API Keys](#api-keys) for scopes and key management.
+
 ## User Management Endpoints
 
+Creating, listing and updating users needs an admin JWT or an API key. Users can get and delete their own record.
+
 ### Create User
 ```http
 POST /users
@@ -1762,11 +5823,15 @@ Content-Type: application/json
 }
 ```
 
+New users get the workflow templates listed for everyone and for their plan in `/opt/n8n/user-configs/templates/seeds.json`. Each one is written to `/opt/n8n/users/{userId}/workflows/template-{id}.json`, and the response lists them as `templates`. Existing files are never overwritten. The catalog format is described in the example proxy's README under Workflow Templates.
+
 ### List Users
 ```http
-GET /users?limit=50&offset=0&status=active
+GET /users?status=active&role=user&plan=pro&search=john&sort=createdAt&order=desc&limit=50&offset=0
 ```
 
+All parameters are optional. `search` matches user IDs and emails. `sort` is one of `userId`, `email`, `createdAt` (default), `updatedAt` or `lastActivity`. `limit` is 1-500 (default 50). The response includes `pagination.total`, the number of matching users.
+
 ### Get User
 ```http
 GET /users/{userId}
@@ -1789,9 +5854,60 @@ Content-Type: application/json
 
 ### Delete User
 ```http
-DELETE /users/{userId}?backup=true
+DELETE /users/{userId}
 ```
 
+Starts an erasure job for the user and returns it with `202`, see [Data Export and Erasure](#data-export-and-erasure).
+
+## Data Export and Erasure
+
+Users can download and erase their own data; admins and API keys can do so for any user.
+
+### Export User Data
+```http
+POST /users/{userId}/export
+```
+
+Downloads `{userId}-export-{date}.tar.gz` with:
+- `profile.json` and `config.json` - the user record without the password hash, and its quotas, settings and permissions
+- `metrics/snapshots.jsonl`, plus `metrics/current.json` and `metrics/storage.json` when present
+- `workflows/{id}.json` - the workflows of the user's personal project in n8n, read through the n8n public API with `N8N_API_URL` and an owner's `N8N_API_KEY`
+- `templates/*.json` - the templates seeded into the user's directory
+- `executions.jsonl` - one summary per execution (ID, workflow ID, status, duration, time), as far back as the daily execution files go
+- `manifest.json` - the file list, counts and `workflowsSource`, which says whether the workflows came from n8n or why they were skipped
+
+In workflows and templates, node credentials and values of password, secret, token and API key parameters are replaced by `[REDACTED]`. If n8n cannot be reached the export fails with `502`.
+
+### Erase User
+```http
+POST /users/{userId}/erasure
+Content-Type: application/json
+
+{
+  "confirm": "john_doe"
+}
+```
+
+`confirm` must repeat the user ID. The user's status becomes `erasing`, which blocks logins, and a background job runs these steps in order:
+
+1. `n8n_account` - deletes the n8n account through the n8n public API, which also deletes the workflows, credentials and executions of the user's personal project. Needs `N8N_API_URL` and an owner's `N8N_API_KEY`.
+2. `proxy_sessions` - asks the example proxy to revoke the user's sessions and drop its directory record and execution cache. Needs `PROXY_API_URL` and the proxy's `PROXY_API_KEY`.
+3. `api_tokens` - revokes the user's API tokens
+4. `user_files` - removes `/opt/n8n/users/{userId}`
+5. `metrics` - removes the user's files in `/opt/n8n/monitoring/metrics` and their metric snapshots
+6. `user_record` - deletes the user with their config and usage report runs, removes the email and IP address from stored webhook payloads about the user, and sends the `user.deleted` webhook
+
+Returns `202` with the job. Each step ends `done`, `skipped` (the service is not configured) or `failed`. A failed job stops at that step; request erasure again to retry it, and steps already done are not repeated. Jobs interrupted by a restart resume when the API starts. Once every step has finished the job is `completed`, its email is cleared, and further requests return it with `200`. If a user with the same ID is created again, the next request starts a new job.
+
+Audit entries about the user are kept, since removing them would break the audit hash chain. They name the user by ID only, and the completed job is recorded as `user.erased` with the outcome of each step.
+
+### Get Erasure Status
+```http
+GET /users/{userId}/erasure
+```
+
+Returns `{ "job": { "userId", "status", "steps": [{ "name", "status", "detail", "finishedAt" }], "lastError", "createdAt", "completedAt", ... } }`.
+
 ## Authentication Endpoints
 
 ### Login
@@ -1805,6 +5921,24 @@ Content-Type: application/json
 }
 ```
 
+Returns `token` (access token), `refreshToken` and `expiresIn` (seconds).
+
+### Refresh Token
+```http
+POST /auth/refresh
+Content-Type: application/json
+
+{
+  "refreshToken": "<refresh_token>"
+}
+```
+
+### Logout
+```http
+POST /auth/logout
+Authorization: Bearer <jwt_token>
+```
+
 ### Validate Token
 ```http
 GET /auth/validate
@@ -1813,11 +5947,24 @@ Authorization: Bearer <jwt_token>
 
 ## Analytics Endpoints
 
+Analytics are computed from a time series of per-user snapshots (`/opt/n8n/monitoring/metrics/{userId}_series.ndjson`), recorded every 15 minutes. Periods are written as `24h`, `7d`, `4w`, `1m` (30 days) or `1y`.
+
 ### Get User Metrics
 ```http
 GET /metrics/users/{userId}?period=24h
 ```
 
+Users can read their own metrics and reports; admins can read any user's, and `GET /metrics/users` (every user) is admin only.
+
+### Get User Reports
+```http
+GET /reports/users/{userId}/daily?date=2024-01-01
+GET /reports/users/{userId}/weekly?week=2024-01-01
+GET /reports/users/{userId}/monthly?month=2024-01
+```
+
+Reports written by the analytics processor are returned as is; otherwise the report is computed from the snapshots. Add `format=html` or `format=pdf` to the monthly report for the usage and billing summary that is emailed to users (see Usage Exports and Reports).
+
 ### Get System Overview
 ```http
 GET /reports/system/overview?period=7d
@@ -1825,9 +5972,221 @@ GET /reports/system/overview?period=7d
 
 ### Get Usage Trends
 ```http
-GET /analytics/usage-trends?period=30d&metric=executions
+GET /analytics/usage-trends?period=30d&metric=executions&userId={userId}
+```
+
+Metrics: `executions`, `successful`, `failures`, `duration` or `storage`. Returns daily points, the least-squares slope per day and the trend direction.
+
+### Get Performance Analytics
+```http
+GET /analytics/performance?period=7d&userId={userId}
+```
+
+Bottlenecks are workflows averaging at least 60 seconds per execution and workflows with at least 5 executions of which 20% or more failed.
+
+## API Keys
+
+API keys authenticate server-to-server calls to `/api/internal/...`, which serves the user management routes. Keys are stored as SHA-256 hashes in `/opt/n8n/user-configs/api-keys.json`; the plaintext key is returned only when it is created or rotated. Edits to that file, including revocations, apply without a restart.
+
+Each key has one or more scopes:
+- `users:read` - GET user routes other than metrics
+- `users:write` - POST, PUT and DELETE user routes
+- `metrics:read` - GET `/internal/users/{userId}/metrics`
+
+A key without the scope a request needs gets 403. Unknown, expired and revoked keys get 401.
+
+Keys from `api-auth.json` are imported once, when `api-keys.json` does not exist yet. The `webapp` key gets `users:read` and `metrics:read`; other keys get all scopes.
+
+Managing keys requires an admin JWT.
+
+### List API Keys
+```http
+GET /api-keys
+```
+
+### Create API Key
+```http
+POST /api-keys
+Content-Type: application/json
+
+{
+  "name": "reporting",
+  "scopes": ["users:read", "metrics:read"],
+  "expiresInDays": 90
+}
+```
+
+`expiresInDays` is optional; keys without it do not expire.
+
+### Rotate API Key
+```http
+POST /api-keys/{keyId}/rotate
+```
+
+Issues a new secret for the key. The old secret stops working immediately. The expiry period is kept unless `expiresInDays` is given.
+
+### Revoke API Key
+```http
+DELETE /api-keys/{keyId}
+```
+
+## Audit Log
+
+The API records an audit entry for:
+- User changes: `user.created`, `user.updated`, `user.config_updated`, plus `user.role_changed` and `user.permissions_changed` when those fields change
+- Logins: `auth.login` and `auth.login_failed`, with the reason (`invalid_password`, `unknown_user`, `inactive` or `locked`)
+- API keys: `api_key.created`, `api_key.rotated`, `api_key.revoked`, and `api_key.used` or `api_key.denied` for each `/internal` request
+- Webhooks: `webhook.created`, `webhook.updated`, `webhook.deleted` and `webhook.delivery_retried`
+- Usage: `usage.exported` for each export and `usage_report.sent` for report emails sent by an admin
+- Templates: `template.installed` for each template seeded for a new user
+- Personal data: `user.exported`, `user.erasure_requested` and `user.erased` once an erasure job completes
+
+Each entry holds the actor (user ID or `api-key:{name}`), action, target, the changed values before and after, the client IP and details. Password hashes, emails and webhook secrets are never recorded; `user.updated` notes `emailChanged` instead.
+
+Entries form a hash chain: each entry's `hash` covers its content and the previous entry's hash (`prevHash`), so editing or removing an entry invalidates every later hash. Both endpoints require an admin JWT.
+
+### Query Audit Log
+```http
+GET /audit?actor=admin&action=user.updated&target=john_doe&from=2024-01-01T00:00:00Z&to=2024-02-01T00:00:00Z&limit=100&offset=0
+```
+
+All filters are optional; entries are returned newest first. Add `format=ndjson` or `format=csv` to download all matching entries as a file.
+
+### Verify Audit Log
+```http
+GET /audit/verify
+```
+
+Returns `{ "valid": true, "checked": 1234, "head": "..." }`, or `valid: false` with `brokenAt`, the ID of the first entry that fails. Keep a copy of `head` elsewhere to also detect removal of the newest entries.
+
+## Webhooks
+
+Webhooks send user and usage events to your own systems. Events:
+- `user.created` - `{ userId, email, role, plan }`
+- `user.deleted` - `{ userId }`, once an erasure job has removed the user
+- `user.login` - a successful login, with the client `ip`
+- `quota.threshold` - a user's executions or storage in the current billing period reached 80% (`level: "warning"`) or 100% (`level: "exceeded"`) of the plan limit
+- `executions.failure_spike` - at least 5 executions failed since the previous metrics snapshot, and at least half of all executions in that interval
+
+Usage events are raised when metrics snapshots are taken, every 15 minutes. A webhook subscribes to event types, prefixes such as `user.*`, or `*` for all events. All endpoints require an admin JWT.
+
+Each event is sent as a POST with a JSON body:
+
+```json
+{
+  "id": "event-uuid",
+  "type": "quota.threshold",
+  "createdAt": "2024-01-01T00:00:00.000Z",
+  "data": { "userId": "john_doe", "plan": "standard", "period": "2024-01", "metric": "executions", "level": "warning", "used": 8000, "limit": 10000 }
+}
+```
+
+The `X-Webhook-Signature` header is `t={unix timestamp},v1={signature}`, where the signature is the hex HMAC-SHA256 of `{timestamp}.{raw body}` keyed with the webhook's secret. `X-Webhook-Event` and `X-Webhook-Delivery` carry the event type and delivery ID. To verify in Node.js:
+
+```javascript
+const [, t, v1] = /t=(\d+),v1=([0-9a-f]+)/.exec(req.headers['x-webhook-signature']);
+const expected = crypto.createHmac('sha256', secret).update(`${t}.${rawBody}`).digest('hex');
+const valid = crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)) && Date.now() / 1000 - t < 300;
+```
+
+Any 2xx response marks the delivery delivered. Other responses, connection errors and timeouts (10 seconds) are retried after 30 seconds, doubling each time up to 6 hours. After `WEBHOOK_DELIVERY_MAX_ATTEMPTS` (8) attempts the delivery is dead and stays in the dead-letter queue until retried or the webhook is deleted. Delivered entries are kept for 30 days. The same event may be delivered more than once; use the event `id` to deduplicate.
+
+### List Webhooks
+```http
+GET /webhooks
+```
+
+### Create Webhook
+```http
+POST /webhooks
+Content-Type: application/json
+
+{
+  "url": "https://crm.example.com/hooks/n8n",
+  "events": ["user.*", "quota.threshold"],
+  "description": "CRM sync"
+}
+```
+
+The response includes the signing secret, which is not shown again. Pass `secret` (at least 16 characters) to choose it yourself.
+
+### Update Webhook
+```http
+PUT /webhooks/{webhookId}
+Content-Type: application/json
+
+{
+  "active": false
+}
+```
+
+`url`, `events`, `description`, `secret` and `active` can be changed. Deliveries for an inactive webhook go to the dead-letter queue.
+
+### Delete Webhook
+```http
+DELETE /webhooks/{webhookId}
+```
+
+Also removes the webhook's delivery log.
+
+### List Deliveries
+```http
+GET /webhooks/deliveries?status=dead&event=user.created&limit=50&offset=0
+GET /webhooks/{webhookId}/deliveries
+```
+
+Deliveries are returned newest first with their status (`pending`, `delivered` or `dead`), attempts, next attempt time and last response code or error. `status=dead` lists the dead-letter queue.
+
+### Retry Delivery
+```http
+POST /webhooks/deliveries/{deliveryId}/retry
+```
+
+Queues a dead or delivered delivery again with a fresh set of attempts.
+
+## Usage Exports and Reports
+
+### Export Usage
+```http
+GET /exports/usage/executions?userId={userId}&from=2024-01-01&to=2024-01-31&format=csv
+GET /exports/usage/daily?userId={userId}&from=2024-01-01&to=2024-01-31&format=jsonl
+```
+
+`executions` has one row per execution (`userId`, `executionId`, `workflowId`, `status`, `durationMs`, `timestamp`) from the execution tracker's daily files. `daily` has one row per user per UTC day (`userId`, `date`, `executions`, `successful`, `failed`, `durationMs`, `storageBytes`), including days without executions, with the storage at the end of the day.
+
+- `format` is `csv` (default) or `jsonl` (one JSON object per line); the response is a file download
+- `from` defaults to the start of the current month and `to` to now; a date without a time for `to` covers the whole day. The range is at most 366 days
+- Without `userId` every user is exported, which requires an admin. Other users can only export their own usage
+
+Rows are written to the response as they are read, so large exports are not held in memory. If reading fails part way, the connection is closed without a final chunk, so a truncated download is reported as an error by the client.
+
+### Monthly Report Emails
+With `USAGE_REPORT_EMAILS="true"`, each active user with an email address is sent a summary of the previous month once `USAGE_REPORT_DAY` (1-28, default 1) at `USAGE_REPORT_HOUR` (UTC, default 6) has passed. The email has plain text and HTML versions with the executions, execution time, storage, the billing estimate on the user's plan and workflows needing attention, plus a PDF copy unless `USAGE_REPORT_ATTACH_PDF="false"`.
+
+Mail is sent through `SMTP_SERVER` and `SMTP_PORT`, as the server's other email alerts. Port 465 or `SMTP_TLS="YES"` connect over TLS; otherwise STARTTLS is used when the server offers it. `SMTP_USERNAME` and `SMTP_PASSWORD` are used when the server supports AUTH. `EMAIL_SENDER` is the sender.
+
+Each user's report is recorded per month, so a restart never sends it twice. A failed send is retried at the next hourly check, up to 3 attempts. Both endpoints require an admin JWT.
+
+```http
+GET /exports/usage/reports?month=2024-01&status=failed&limit=50&offset=0
+```
+
+Lists sent and failed reports with the recipient, attempts and last error.
+
+```http
+POST /exports/usage/reports/send
+Content-Type: application/json
+
+{
+  "month": "2024-01",
+  "userId": "john_doe"
+}
 ```
 
+With `userId`, sends that user's report now, even if it was already sent, and returns the recorded run; SMTP failures return `502`. Without `userId`, every user still missing that month's report is sent one in the background and `202` is returned. `month` defaults to the previous month.
+
+To try this locally, point `SMTP_SERVER` and `SMTP_PORT` at an SMTP sink such as `python3 -m aiosmtpd -n -l localhost:1025` or MailHog.
+
 ## Error Handling
 
 All endpoints return consistent error responses:
@@ -1841,9 +6200,37 @@ All endpoints return consistent error responses:
 
 ## Rate Limiting
 
-API endpoints are rate limited:
-- 100 requests per 15 minutes per IP address
-- 1000 requests per hour for authenticated users
+Rate limits are per route:
+- `POST /auth/login`: 10 requests per 15 minutes per IP address
+- Other `/auth` endpoints: 100 requests per 15 minutes per IP address
+- Authenticated endpoints: `API_RATE_LIMIT_MAX_REQUESTS` (1000) per `API_RATE_LIMIT_WINDOW` (15 minutes) per API key or user
+- Metrics, reports and analytics reads: 300 per minute per API key or user, with bursts up to that many
+
+Responses carry `X-RateLimit-Limit`, `X-RateLimit-Remaining` and `X-RateLimit-Reset`. Limited requests get 429 with a `Retry-After` header.
+
+After `LOGIN_LOCKOUT_THRESHOLD` (5) failed logins for a user ID, logins are refused with 429 for a minute. Each further failure doubles the lockout, up to an hour. A successful login clears the count.
+
+Set `RATE_LIMIT_STORE=redis` and `REDIS_URL` to share counters between API instances; the default keeps them in memory.
+
+## Metrics
+
+`GET /metrics` (outside `/api`) serves metrics in the Prometheus text format, or OpenMetrics when the scraper sends `Accept: application/openmetrics-text` (or `?format=openmetrics`). Set `METRICS_TOKEN` to require `Authorization: Bearer <token>` from scrapers; without it only the local host may scrape, and everything else gets `403`. Per-user series are labelled with user IDs and rebuilt from the latest snapshots on every scrape, so an erased user's series go with the snapshots.
+
+- `n8n_user_api_http_request_duration_seconds` - histogram by `method`, `route` (e.g. `/api/users/:userId`, `unmatched` for unknown paths and rejected authentication) and `status`
+- `n8n_user_api_users` - users by `status` and `role`
+- `n8n_user_api_user_executions` - executions by `user` and `status` (`success`, `error`, `total`) from the latest metrics snapshot
+- `n8n_user_api_user_execution_success_ratio` - by `user`
+- `n8n_user_api_user_storage_bytes` - by `user`
+- `n8n_user_api_webhook_deliveries` - by `status`; `dead` is the dead-letter queue
+- `process_resident_memory_bytes`, `process_start_time_seconds`, `nodejs_heap_size_used_bytes`
+
+Each metric keeps at most `METRICS_MAX_SERIES` (1000) label sets. Further histogram samples go to one series labelled `other`, further gauge values are dropped, and both are counted in `n8n_user_api_metrics_series_overflow_total`. Netdata scrapes the endpoint through its Prometheus collector (see `setup/netdata_config.sh`).
+
+## Storage
+
+Users, their configs, metric snapshots, audit events and webhooks are stored in SQLite at `/opt/n8n/api/data/n8n-api.db` (override with `API_DB_PATH`). Schema migrations run automatically when the server starts.
+
+On start, the server also imports users from `/opt/n8n/users/{userId}/user-config.json` that are not yet in the database, and metric series from `/opt/n8n/monitoring/metrics/*_series.ndjson` (renamed to `*.imported` afterwards). Users created outside the API are picked up on the next restart. The API keeps `user-config.json` up to date when a user or its config changes, for the shell scripts that read it, and creates the user directory again if it is missing; the file has no password hash and is never read back once the user is in the database.
 
 ## Response Format
 
@@ -1915,8 +6302,20 @@ main() {
     
     load_environment
     create_api_directories
+    create_token_store
+    create_user_repository
     create_user_provisioning_api
+    create_billing_engine
+    create_template_catalog
+    create_metrics_store
     create_analytics_api
+    create_api_keys_api
+    create_audit_api
+    create_webhooks_api
+    create_usage_reports
+    create_user_data_api
+    create_rate_limiter
+    create_metrics_exporter
     create_api_middleware
     create_api_server
     create_api_documentation
@@ -46,6 +46,8 @@ test_api_directories() {
         "/opt/n8n/api/middleware"
         "/opt/n8n/api/docs"
         "/opt/n8n/api/logs"
+        "/opt/n8n/api/lib"
+        "/opt/n8n/api/data"
     )
     
     for dir in "${required_dirs[@]}"; do
@@ -63,6 +65,11 @@ test_api_endpoint_files() {
     local required_files=(
         "/opt/n8n/api/endpoints/user-provisioning.js"
         "/opt/n8n/api/endpoints/analytics.js"
+        "/opt/n8n/api/endpoints/api-keys.js"
+        "/opt/n8n/api/endpoints/audit.js"
+        "/opt/n8n/api/endpoints/webhooks.js"
+        "/opt/n8n/api/endpoints/usage-export.js"
+        "/opt/n8n/api/endpoints/user-data.js"
     )
     
     for file in "${required_files[@]}"; do
@@ -88,6 +95,8 @@ test_api_middleware_files() {
     local required_files=(
         "/opt/n8n/api/middleware/auth.js"
         "/opt/n8n/api/middleware/logging.js"
+        "/opt/n8n/api/middleware/rate-limit.js"
+        "/opt/n8n/api/middleware/metrics.js"
     )
     
     for file in "${required_files[@]}"; do
@@ -436,6 +445,79 @@ test_api_config_files() {
     return 0
 }
 
+# Test shared API library files
+test_api_lib_files() {
+    local required_files=(
+        "/opt/n8n/api/lib/billing.js"
+        "/opt/n8n/api/lib/template-catalog.js"
+        "/opt/n8n/api/lib/metrics-store.js"
+        "/opt/n8n/api/lib/token-store.js"
+        "/opt/n8n/api/lib/repository.js"
+        "/opt/n8n/api/lib/audit-log.js"
+        "/opt/n8n/api/lib/webhooks.js"
+        "/opt/n8n/api/lib/api-key-store.js"
+        "/opt/n8n/api/lib/rate-limit.js"
+        "/opt/n8n/api/lib/prometheus.js"
+        "/opt/n8n/api/lib/resp-client.js"
+        "/opt/n8n/api/lib/mailer.js"
+        "/opt/n8n/api/lib/report-renderer.js"
+        "/opt/n8n/api/lib/usage-reports.js"
+        "/opt/n8n/api/lib/n8n-api.js"
+        "/opt/n8n/api/lib/user-erasure.js"
+    )
+    
+    for file in "${required_files[@]}"; do
+        if [[ ! -f "$file" ]]; then
+            echo "Missing API library file: $file"
+            return 1
+        fi
+        
+        # Basic syntax check for JavaScript
+        if command -v node >/dev/null 2>&1; then
+            if ! node -c "$file" 2>/dev/null; then
+                echo "Syntax error in library file: $file"
+                return 1
+            fi
+        fi
+    done
+    
+    return 0
+}
+
+# Test billing engine and plans
+test_billing_engine() {
+    if [[ ! -f "/opt/n8n/user-configs/billing-plans.json" ]]; then
+        echo "Missing billing plans: /opt/n8n/user-configs/billing-plans.json"
+        return 1
+    fi
+    
+    if command -v node >/dev/null 2>&1; then
+        if ! node -e "require('/opt/n8n/api/lib/billing.js').BillingEngine.fromFile('/opt/n8n/user-configs/billing-plans.json')" 2>/dev/null; then
+            echo "Billing plans could not be loaded"
+            return 1
+        fi
+    fi
+    
+    return 0
+}
+
+# Test workflow template catalog and seeds
+test_template_catalog() {
+    if [[ ! -f "/opt/n8n/user-configs/templates/seeds.json" ]]; then
+        echo "Missing template seeds: /opt/n8n/user-configs/templates/seeds.json"
+        return 1
+    fi
+    
+    if command -v node >/dev/null 2>&1; then
+        if ! node -e "require('/opt/n8n/api/lib/template-catalog.js').TemplateCatalog.fromDirectory('/opt/n8n/user-configs/templates')" 2>/dev/null; then
+            echo "Workflow templates could not be loaded"
+            return 1
+        fi
+    fi
+    
+    return 0
+}
+
 # Test API health endpoint structure
 test_health_endpoint() {
     # Create a simple test to verify health endpoint structure
@@ -484,6 +566,7 @@ main() {
     run_test "API endpoint files" test_api_endpoint_files
     run_test "API middleware files" test_api_middleware_files
     run_test "API server file" test_api_server_file
+    run_test "API library files" test_api_lib_files
     run_test "Package.json configuration" test_package_json
     run_test "Systemd service file" test_systemd_service
     run_test "API documentation" test_api_documentation
@@ -496,6 +579,8 @@ main() {
     run_test "JWT secret configuration" test_jwt_secret
     run_test "Rate limiting configuration" test_rate_limiting
     run_test "API configuration files" test_api_config_files
+    run_test "Billing engine" test_billing_engine
+    run_test "Workflow template catalog" test_template_catalog
     run_test "Health endpoint structure" test_health_endpoint
     
     log_subsection "User Management API Test Results:"